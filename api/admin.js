@@ -0,0 +1,31 @@
+// Vercel Serverless Function: /api/admin/*
+// Same endpoints as server/routes/admin.js, both backed by server/security/adminService.js.
+// Sub-paths are rewritten here by vercel.json, so the endpoint is read from the original request URL.
+
+import * as adminService from '../server/security/adminService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const denied = adminService.authorizeAdmin(req.headers.authorization);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\/admin\/?/, '').replace(/\/$/, '');
+
+    let result = null;
+    if (endpoint === 'blocked-attempts' && req.method === 'GET') {
+        result = adminService.getBlockedAttempts(Object.fromEntries(url.searchParams));
+    } else if (endpoint === 'cache' && req.method === 'GET') {
+        result = adminService.getCachedWalkthroughs();
+    } else if (endpoint === 'cache' && req.method === 'DELETE') {
+        result = adminService.clearCachedWalkthroughs(Object.fromEntries(url.searchParams));
+    }
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
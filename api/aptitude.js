@@ -0,0 +1,40 @@
+// Vercel Serverless Function: /api/aptitude/categories and /api/aptitude/sessions[/:id[/submit]]
+// Same endpoints as server/routes/aptitude.js, both backed by server/aptitude/aptitudeService.js.
+// Sub-paths are rewritten here by vercel.json, so the path is read from the original request URL.
+// Sessions are held in memory, so a submission must reach a warm instance.
+
+import * as aptitudeService from '../server/aptitude/aptitudeService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    // "/api/aptitude/sessions/<id>/submit" → ["sessions", "<id>", "submit"]
+    const url = new URL(req.url, 'http://localhost');
+    const [resource, id, action] = url.pathname.replace(/^\/api\/aptitude\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (resource === 'categories' && !id && req.method === 'GET') {
+        const { status, body } = aptitudeService.getCategories();
+        return res.status(status).json(body);
+    }
+    if (resource !== 'sessions') return res.status(405).json({ error: 'Method not allowed' });
+
+    const auth = authenticate(req.headers.authorization);
+    if (!auth) return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
+
+    let result = null;
+    if (req.method === 'POST' && !id) {
+        result = await aptitudeService.startSession(auth.user.id, req.body || {});
+    } else if (req.method === 'GET' && id && !action) {
+        result = aptitudeService.getPracticeSession(auth.user.id, id);
+    } else if (req.method === 'POST' && id && action === 'submit') {
+        result = aptitudeService.submitAnswers(auth.user.id, id, req.body || {});
+    }
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
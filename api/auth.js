@@ -0,0 +1,26 @@
+// Vercel Serverless Function: /api/auth/*
+// Same endpoints as server/routes/auth.js, both backed by server/security/authService.js.
+// Sub-paths are rewritten here by vercel.json, so the endpoint is read from the original request URL.
+
+import * as authService from '../server/security/authService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\/auth\/?/, '').replace(/\/$/, '');
+    const authorization = req.headers.authorization;
+
+    let result = null;
+    if (endpoint === 'register' && req.method === 'POST') result = await authService.register(req.body || {});
+    else if (endpoint === 'login' && req.method === 'POST') result = await authService.login(req.body || {});
+    else if (endpoint === 'logout' && req.method === 'POST') result = authService.logout(authorization);
+    else if (endpoint === 'me' && req.method === 'GET') result = authService.getCurrentUser(authorization);
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
@@ -0,0 +1,41 @@
+// Vercel Serverless Function: /api/documents and /api/documents/:id
+// Same endpoints as server/routes/documents.js, both backed by server/retrieval/documentService.js.
+// Sub-paths are rewritten here by vercel.json, so the document id is read from the original request URL.
+
+import * as documentService from '../server/retrieval/documentService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+import { checkWritable } from '../server/storage/index.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    // Ingested notes feed the researcher prompt, so only signed-in users may add or remove them
+    const auth = req.method !== 'GET' ? authenticate(req.headers.authorization) : null;
+    if (req.method !== 'GET' && !auth) {
+        return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
+    }
+
+    // Refuse changes this instance would lose on its next cold start
+    const unwritable = req.method !== 'GET' && checkWritable('documents');
+    if (unwritable) return res.status(unwritable.status).json(unwritable.body);
+
+    const url = new URL(req.url, 'http://localhost');
+    const [id, extra] = url.pathname
+        .replace(/^\/api\/documents\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .map(decodeURIComponent);
+
+    let result = null;
+    if (!extra && !id && req.method === 'POST') result = documentService.createDocument(auth.user.id, req.body || {});
+    if (!extra && !id && req.method === 'GET') result = documentService.listTopicDocuments(Object.fromEntries(url.searchParams));
+    if (!extra && id && req.method === 'GET') result = documentService.getDocumentById(id);
+    if (!extra && id && req.method === 'DELETE') result = documentService.removeDocument(auth.user.id, id);
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
@@ -0,0 +1,34 @@
+// Vercel Serverless Function: /api/interview and /api/interview/:id[/answer]
+// Same endpoints as server/routes/interview.js, both backed by server/interview/interviewService.js.
+// Sub-paths are rewritten here by vercel.json, so the path is read from the original request URL.
+// Interviews are checkpointed in memory, so every answer must reach a warm instance.
+
+import * as interviewService from '../server/interview/interviewService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const auth = authenticate(req.headers.authorization);
+    if (!auth) return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
+
+    // "/api/interview/<id>/answer" → ["<id>", "answer"]
+    const url = new URL(req.url, 'http://localhost');
+    const [id, action] = url.pathname.replace(/^\/api\/interview\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+
+    let result = null;
+    if (req.method === 'POST' && !id) {
+        result = await interviewService.startInterview(auth.user.id, req.body || {});
+    } else if (req.method === 'GET' && id && !action) {
+        result = await interviewService.getInterview(auth.user.id, id);
+    } else if (req.method === 'POST' && id && action === 'answer') {
+        result = await interviewService.answerQuestion(auth.user.id, id, req.body || {});
+    }
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
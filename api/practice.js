@@ -0,0 +1,34 @@
+// Vercel Serverless Function: /api/practice and /api/practice/:id[/submit]
+// Same endpoints as server/routes/practice.js, both backed by server/practice/practiceService.js.
+// Sub-paths are rewritten here by vercel.json, so the problem id is read from the original request URL.
+// Problems are held in memory, so a submission must reach a warm instance.
+
+import * as practiceService from '../server/practice/practiceService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    // "/api/practice/<id>/submit" → ["<id>", "submit"]
+    const [id, action] = new URL(req.url, 'http://localhost').pathname
+        .replace(/^\/api\/practice\/?/, '')
+        .split('/')
+        .filter(Boolean);
+
+    // Generation calls the LLM and submissions spawn judge workers — both need a session
+    if (req.method === 'POST' && !authenticate(req.headers.authorization)) {
+        return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
+    }
+
+    let result = null;
+    if (req.method === 'POST' && !id) result = await practiceService.generateProblem(req.body || {});
+    else if (req.method === 'GET' && id && !action) result = practiceService.getProblemById(id);
+    else if (req.method === 'POST' && id && action === 'submit') result = await practiceService.submitSolution(id, req.body || {});
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
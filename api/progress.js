@@ -0,0 +1,36 @@
+// Vercel Serverless Function: /api/progress and /api/progress/:recordId/quiz
+// Same endpoints as server/routes/progress.js, both backed by server/progress/progressService.js.
+// Sub-paths are rewritten here by vercel.json, so the path is read from the original request URL.
+
+import * as progressService from '../server/progress/progressService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+import { checkWritable } from '../server/storage/index.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const auth = authenticate(req.headers.authorization);
+    if (!auth) return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
+
+    // Quiz scores this instance would lose on its next cold start are refused
+    const unwritable = req.method === 'POST' && checkWritable('progress');
+    if (unwritable) return res.status(unwritable.status).json(unwritable.body);
+
+    // "/api/progress/<recordId>/quiz" → ["<recordId>", "quiz"]
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.replace(/^\/api\/progress\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+
+    let result = null;
+    if (segments.length === 0 && req.method === 'GET') {
+        result = progressService.getUserProgress(auth.user.id);
+    } else if (segments.length === 2 && segments[1] === 'quiz' && req.method === 'POST') {
+        result = progressService.submitQuizAnswers(auth.user.id, segments[0], req.body || {});
+    }
+
+    if (!result) return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(result.status).json(result.body);
+}
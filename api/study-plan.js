@@ -0,0 +1,18 @@
+// Vercel Serverless Function: /api/study-plan
+// Same endpoint as server/routes/studyPlan.js, both backed by server/studyPlan/studyPlanService.js.
+
+import { createStudyPlan } from '../server/studyPlan/studyPlanService.js';
+import { authenticate } from '../server/security/authService.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const auth = authenticate(req.headers.authorization);
+    const { status, body } = createStudyPlan(auth?.user.id || null, req.body || {});
+    return res.status(status).json(body);
+}
@@ -1,42 +1,106 @@
-// Vercel Serverless Function: GET/POST /api/topics
-// Returns knowledge base topics or adds new ones
+// Vercel Serverless Function: /api/topics, /api/topics/:id[/subtopic[s]] and /api/topics/graph
+// Same endpoints as server/routes/topics.js, both backed by server/topicService.js.
+// Sub-paths are rewritten here by vercel.json, so the path is read from the original request URL.
+// Reads are public; every change requires a signed-in user.
 
-import knowledgeBase from '../server/knowledgeBase.js';
-import { v4 as uuidv4 } from 'uuid';
+import * as topicService from '../server/topicService.js';
+import { authenticate, UNAUTHORIZED } from '../server/security/authService.js';
+import { checkWritable } from '../server/storage/index.js';
+
+// Picks the service call for a method and path segments; null if nothing matches
+function route(method, segments, body, query) {
+    const [id, section, subId, extra] = segments;
+    if (extra !== undefined) return null;
+
+    if (id === 'graph') {
+        if (method === 'GET' && !section) return topicService.getGraph();
+        if (subId !== undefined) return null;
+        if (method === 'GET' && section === 'neighbors') return topicService.getNeighbors(query);
+        if (method === 'GET' && section === 'prerequisites') return topicService.getPrerequisites(query);
+        if (method === 'GET' && section === 'order') return topicService.getLearningOrder(query);
+        if (method === 'POST' && section === 'edges') return topicService.addEdge(body);
+        return null;
+    }
+
+    if (!id) {
+        if (method === 'GET') return topicService.listTopics();
+        if (method === 'POST') return topicService.createTopic(body);
+        return null;
+    }
+
+    if (!section) {
+        if (method === 'PATCH') return topicService.updateTopic(id, body);
+        if (method === 'DELETE') return topicService.deleteTopic(id);
+        return null;
+    }
+
+    if (section === 'subtopics' && !subId && method === 'PUT') return topicService.reorderSubtopics(id, body);
+
+    if (section === 'subtopic') {
+        if (!subId && method === 'POST') return topicService.addSubtopic(id, body);
+        if (subId && method === 'PATCH') return topicService.updateSubtopic(id, subId, body);
+        if (subId && method === 'DELETE') return topicService.deleteSubtopic(id, subId);
+    }
+
+    return null;
+}
+
+const GRAPH_SECTIONS = ['neighbors', 'prerequisites', 'order', 'edges'];
+
+// Whether the path exists for some method, so a miss is a 405 rather than a 404
+function isKnownPath(segments) {
+    const [id, section, subId, extra] = segments;
+    if (extra !== undefined) return false;
+    if (id === 'graph') return !section || (GRAPH_SECTIONS.includes(section) && subId === undefined);
+    if (!id || !section) return true;
+    if (section === 'subtopics') return subId === undefined;
+    return section === 'subtopic';
+}
+
+// Path segments, or null when one is not valid percent-encoding
+function decodeSegments(segments) {
+    try {
+        return segments.map(decodeURIComponent);
+    } catch {
+        return null;
+    }
+}
 
 export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
-    if (req.method === 'GET') {
-        return res.status(200).json({ topics: knowledgeBase.getAllTopics() });
+    if (req.method !== 'GET' && !authenticate(req.headers.authorization)) {
+        return res.status(UNAUTHORIZED.status).json(UNAUTHORIZED.body);
     }
 
-    if (req.method === 'POST') {
-        const { name, description, subtopics } = req.body;
-
-        if (!name || !name.trim()) {
-            return res.status(400).json({ error: 'Topic name is required' });
-        }
-
-        const id = name.toLowerCase().replace(/\s+/g, '-') + '-' + uuidv4().slice(0, 4);
-        knowledgeBase.addTopic(id, name.trim(), description || '', subtopics || []);
+    // Refuse changes this instance would lose on its next cold start
+    const unwritable = req.method !== 'GET' && checkWritable('knowledgeBase');
+    if (unwritable) {
+        return res.status(unwritable.status).json(unwritable.body);
+    }
 
-        return res.status(201).json({
-            topic: {
-                id,
-                name: name.trim(),
-                description: description || '',
-                subtopics: subtopics || []
-            }
-        });
+    // "/api/topics/dsa/subtopic/linked-lists" → ["dsa", "subtopic", "linked-lists"]
+    const url = new URL(req.url, 'http://localhost');
+    const segments = decodeSegments(url.pathname
+        .replace(/^\/api\/topics\/?/, '')
+        .split('/')
+        .filter(Boolean));
+    if (!segments) {
+        return res.status(400).json({ error: 'Malformed URL' });
     }
 
-    return res.status(405).json({ error: 'Method not allowed' });
+    const result = route(req.method, segments, req.body || {}, Object.fromEntries(url.searchParams));
+    if (!result) {
+        return isKnownPath(segments)
+            ? res.status(405).json({ error: 'Method not allowed' })
+            : res.status(404).json({ error: 'Not found' });
+    }
+    return res.status(result.status).json(result.body);
 }
@@ -2,7 +2,14 @@ import { useState, useEffect } from 'react';
 import Sidebar from './components/Sidebar.jsx';
 import ChatPanel from './components/ChatPanel.jsx';
 import LandingPage from './components/LandingPage.jsx';
-import { sendMessage, getTopics, addTopic } from './api.js';
+import PracticePanel from './components/PracticePanel.jsx';
+import StudyPlanPanel from './components/StudyPlanPanel.jsx';
+import AptitudePanel from './components/AptitudePanel.jsx';
+import InterviewPanel from './components/InterviewPanel.jsx';
+import {
+    sendMessage, resumeChat, register, login, logout, getCurrentUser, getSessionToken, onSessionExpired, getProgress, submitQuizAnswers, getTopics, addTopic, updateTopic, deleteTopic,
+    addSubtopic, updateSubtopic, deleteSubtopic, reorderSubtopics, generatePractice
+} from './api.js';
 
 // Fallback topics when backend is unreachable (Vercel frontend-only deploy)
 const FALLBACK_TOPICS = [
@@ -17,25 +24,71 @@ const FALLBACK_TOPICS = [
     { id: 'ml', name: 'Machine Learning & AI', description: 'ML algorithms and AI concepts', subtopics: ['Decision Trees', 'Random Forest', 'Linear Regression', 'Neural Networks', 'SVM', 'K-Means', 'KNN', 'NLP'] },
 ];
 
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const DEFAULT_DIFFICULTY = 'intermediate';
+
+const difficultyKey = (user) => `ai_tutor_difficulty:${user.email || user.name}`;
+
 export default function App() {
     const [topics, setTopics] = useState(FALLBACK_TOPICS);
     const [duration, setDuration] = useState(3);
+    // Depth of explanation, independent of duration — remembered per signed-in user
+    const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
     const [messages, setMessages] = useState([]);
     const [loading, setLoading] = useState(false);
     const [loadingStep, setLoadingStep] = useState('guardrail');
+    // Walkthrough being streamed by the Teacher agent: { topic, markdown }
+    const [streaming, setStreaming] = useState(null);
     const [activeTopic, setActiveTopic] = useState(null);
+    // Subtopic id the last answer was resolved to, shown under the active topic
+    const [activeSubtopic, setActiveSubtopic] = useState(null);
     const [backendOnline, setBackendOnline] = useState(true);
+    // Conversation thread — lets the agents see earlier turns for follow-ups
+    const [threadId, setThreadId] = useState(null);
+    // Coding practice panel: { topic, loading, problem, error } or null when closed
+    const [practice, setPractice] = useState(null);
+    // Study plan or aptitude drill panel ('studyPlan' | 'aptitude' | null) — only one side panel is open at a time
+    const [sidePanel, setSidePanel] = useState(null);
+    // Mock interview view, shown in place of the chat
+    const [interviewMode, setInterviewMode] = useState(false);
 
-    // Auth state
+    // Auth state — the cached profile is only trusted while a session token is stored
     const [user, setUser] = useState(() => {
         try {
             const saved = localStorage.getItem('ai_tutor_user');
-            return saved ? JSON.parse(saved) : null;
+            return saved && getSessionToken() ? JSON.parse(saved) : null;
         } catch {
             return null;
         }
     });
     const [showAuthModal, setShowAuthModal] = useState(false);
+    // Shown above the auth form, e.g. when the session expired
+    const [authNotice, setAuthNotice] = useState(null);
+    // Learning progress from the server: per-topic completion and where to continue
+    const [progress, setProgress] = useState(null);
+
+    const refreshProgress = () => {
+        getProgress()
+            .then(setProgress)
+            .catch(err => console.warn('Could not load progress:', err.message));
+    };
+
+    useEffect(() => {
+        setProgress(null);
+        if (user) refreshProgress();
+    }, [user?.id]);
+
+    // Restore the signed-in user's difficulty
+    useEffect(() => {
+        if (!user) return;
+        const saved = localStorage.getItem(difficultyKey(user));
+        setDifficulty(DIFFICULTIES.includes(saved) ? saved : DEFAULT_DIFFICULTY);
+    }, [user]);
+
+    const handleDifficultyChange = (level) => {
+        setDifficulty(level);
+        if (user) localStorage.setItem(difficultyKey(user), level);
+    };
     const [authMode, setAuthMode] = useState('signin');
 
     // Try to load topics from backend, fallback to hardcoded
@@ -59,40 +112,97 @@ export default function App() {
     useEffect(() => {
         const area = document.getElementById('messages-area');
         if (area) area.scrollTop = area.scrollHeight;
-    }, [messages, loading]);
+    }, [messages, loading, streaming]);
 
     // loadingStep is now set by the streaming onProgress callback (no more fake timers)
 
-    const handleSend = async (query) => {
-        const userMsg = {
-            role: 'user',
-            content: query,
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-        };
-        setMessages(prev => [...prev, userMsg]);
+    // Streams one chat request (a new query or an answer to a clarifying question)
+    // and appends the assistant's reply. label is shown while the topic is unknown.
+    const runChat = async (label, request) => {
         setLoading(true);
-        setLoadingStep('guardrail');
+        setStreaming(null);
+
+        const handleProgress = (step, data) => {
+            // Update loading step based on real server streaming progress
+            if (step === 'supervisor') {
+                setLoadingStep('teacher');
+                setStreaming({ topic: data.topic || label, markdown: '' });
+                // Highlight the knowledge-base topic the query was resolved to
+                if (data.topicId) {
+                    setActiveTopic(data.topicId);
+                    setActiveSubtopic(data.subtopicId);
+                }
+            }
+            else if (step === 'clarification') {
+                // The run paused to ask which subtopic was meant — nothing more streams until it's answered
+                setStreaming(null);
+            }
+            else if (step === 'retriever') setStreaming(prev => ({ ...prev, sources: data.sources }));
+            else if (step === 'researcher_delta') {
+                setStreaming(prev => ({ ...prev, markdown: (prev?.markdown || '') + data.delta }));
+            } else if (step === 'verifier') {
+                if (data.verdict === 'revise') {
+                    // The verifier sent the draft back — the revision streams from scratch
+                    setStreaming(prev => prev && { ...prev, markdown: '', critique: null });
+                    setLoadingStep('teacher');
+                } else {
+                    setStreaming(prev => prev && { ...prev, critique: data });
+                }
+            } else if (step === 'word_budget') {
+                // The editor extended, condensed or trimmed the walkthrough to fit the duration
+                if (data.markdown !== undefined) setStreaming(prev => prev && { ...prev, markdown: data.markdown });
+            } else if (step === 'researcher') {
+                setStreaming(prev => ({ ...prev, markdown: data.markdown || '' }));
+                setLoadingStep('media');
+            }
+            else if (step === 'media') setLoadingStep('done');
+            else if (step === 'quiz') setStreaming(prev => prev && { ...prev, quiz: data.quiz });
+            else if (step === 'moderation') {
+                if (data.action === 'regenerate') {
+                    // The walkthrough was sent back to the Teacher and streams again from scratch
+                    setStreaming(prev => prev && { ...prev, markdown: '', quiz: null, critique: null, moderation: null });
+                    setLoadingStep('teacher');
+                } else {
+                    setStreaming(prev => prev && {
+                        ...prev,
+                        moderation: data,
+                        ...(data.markdown !== undefined && { markdown: data.markdown }),
+                    });
+                }
+            }
+        };
 
         try {
-            const result = await sendMessage(query, duration, (step) => {
-                // Update loading step based on real server streaming progress
-                if (step === 'supervisor') setLoadingStep('teacher');
-                else if (step === 'researcher') setLoadingStep('media');
-                else if (step === 'media') setLoadingStep('done');
-            });
+            const result = await request(handleProgress);
+            if (result.threadId) setThreadId(result.threadId);
             const assistantMsg = {
                 role: 'assistant',
                 rejected: result.rejected,
                 rejectionReason: result.rejectionReason,
+                classification: result.classification,
                 markdown: result.markdown,
                 imageUrl: result.imageUrl,
                 audioText: result.audioText,
                 mediaFailed: result.mediaFailed,
+                quiz: result.quiz,
+                critique: result.critique,
+                wordBudget: result.wordBudget,
+                moderation: result.moderation,
+                sources: result.sources,
+                clarification: result.clarification,
+                clarificationAnswer: null,
+                cached: result.cached,
+                cachedAt: result.cachedAt,
+                progressId: result.progressId,
+                practiceAvailable: result.practiceAvailable,
                 topic: result.topic,
                 time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
             };
             setMessages(prev => [...prev, assistantMsg]);
+            if (result.progressId) refreshProgress();
         } catch (err) {
+            // An expired session already sent the student back to sign in
+            if (err.status === 401) return;
             console.error('Chat error:', err);
             setMessages(prev => [...prev, {
                 role: 'assistant',
@@ -104,11 +214,94 @@ export default function App() {
             }]);
         } finally {
             setLoading(false);
+            setStreaming(null);
+        }
+    };
+
+    // options: { duration, difficulty } for this walkthrough instead of the sidebar's
+    const handleSend = async (query, options = {}) => {
+        const userMsg = {
+            role: 'user',
+            content: query,
+            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        };
+        setMessages(prev => [...prev, userMsg]);
+        setLoadingStep('guardrail');
+        const walkthroughDuration = options.duration ?? duration;
+        const walkthroughDifficulty = options.difficulty ?? difficulty;
+        await runChat(query, (onProgress) => sendMessage(query, walkthroughDuration, walkthroughDifficulty, threadId, onProgress));
+    };
+
+    // Answers a clarifying question: the chosen option becomes the student's reply
+    // and the paused run continues on the same thread
+    const handleClarify = async (index, choice) => {
+        setMessages(prev => [
+            ...prev.map((msg, i) => (i === index ? { ...msg, clarificationAnswer: choice.id } : msg)),
+            {
+                role: 'user',
+                content: choice.label,
+                time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            }
+        ]);
+        if (choice.subtopicId) {
+            setActiveTopic(choice.topicId);
+            setActiveSubtopic(choice.subtopicId);
+        }
+        setLoadingStep('teacher');
+        await runChat(choice.label, (onProgress) => {
+            setStreaming({ topic: choice.label, markdown: '' });
+            return resumeChat(threadId, choice.id, onProgress);
+        });
+    };
+
+    // A finished quiz is scored by the server and counts towards progress
+    // Resolves with the score and the answer key; the quiz card shows any error
+    const handleQuizComplete = async (progressId, answers) => {
+        const result = await submitQuizAnswers(progressId, answers);
+        refreshProgress();
+        return result;
+    };
+
+    // One click on a study-plan item runs its walkthrough at the planned length
+    const handleStudyPlanItem = (item) => {
+        if (loading) return;
+        setInterviewMode(false);
+        setDuration(item.request.duration);
+        handleSend(item.request.query, item.request);
+    };
+
+    const openSidePanel = (panel) => {
+        setPractice(null);
+        setSidePanel(panel);
+    };
+
+    // A weak subtopic in the interview report opens its walkthrough in the chat
+    const handleInterviewReview = (query) => {
+        setInterviewMode(false);
+        handleSend(query);
+    };
+
+    const handlePractice = async (topic) => {
+        setSidePanel(null);
+        setPractice({ topic, loading: true, problem: null, error: null });
+        try {
+            const problem = await generatePractice(topic);
+            setPractice({ topic, loading: false, problem, error: null });
+        } catch (err) {
+            console.error('Practice error:', err);
+            setPractice({
+                topic,
+                loading: false,
+                problem: null,
+                error: err.response?.data?.error || err.message || 'Could not generate a problem.'
+            });
         }
     };
 
     const handleTopicClick = (topic) => {
+        setInterviewMode(false);
         setActiveTopic(topic.id);
+        setActiveSubtopic(null);
         handleSend(`Explain ${topic.name}`);
     };
 
@@ -124,40 +317,87 @@ export default function App() {
             setTopics(prev => [...prev, newTopic]);
             return;
         }
-        try {
-            const newTopic = await addTopic(name, description);
-            setTopics(prev => [...prev, newTopic]);
-        } catch (err) {
-            console.error('Failed to add topic:', err);
-        }
+        // Errors (e.g. a 409 for a duplicate name) are rethrown for the Sidebar's form
+        const newTopic = await addTopic(name, description);
+        setTopics(prev => [...prev, newTopic]);
+    };
+
+    // Topic edits go through the API, which returns the updated topic.
+    // Errors are rethrown so the Sidebar can show them next to the form.
+    const replaceTopic = (topic) => setTopics(prev => prev.map(t => t.id === topic.id ? topic : t));
+
+    const topicActions = {
+        update: async (topicId, fields) => replaceTopic(await updateTopic(topicId, fields)),
+        remove: async (topicId) => {
+            await deleteTopic(topicId);
+            setTopics(prev => prev.filter(t => t.id !== topicId));
+            if (activeTopic === topicId) {
+                setActiveTopic(null);
+                setActiveSubtopic(null);
+            }
+        },
+        addSubtopic: async (topicId, name) => replaceTopic(await addSubtopic(topicId, name)),
+        updateSubtopic: async (topicId, subtopicId, name) => replaceTopic(await updateSubtopic(topicId, subtopicId, name)),
+        removeSubtopic: async (topicId, subtopicId) => replaceTopic(await deleteSubtopic(topicId, subtopicId)),
+        reorderSubtopics: async (topicId, order) => replaceTopic(await reorderSubtopics(topicId, order)),
     };
 
     const handleGoHome = () => {
         setMessages([]);
+        setThreadId(null);
+        setPractice(null);
+        setSidePanel(null);
+        setInterviewMode(false);
         setActiveTopic(null);
+        setActiveSubtopic(null);
         setLoading(false);
     };
 
     // Auth handlers
-    const handleSignIn = (name, email) => {
-        const userData = { name, email, avatar: name.charAt(0).toUpperCase() };
+    const handleSignIn = (userData) => {
         setUser(userData);
         localStorage.setItem('ai_tutor_user', JSON.stringify(userData));
+        setAuthNotice(null);
         setShowAuthModal(false);
     };
 
-    const handleSignOut = () => {
+    const clearSession = () => {
         setUser(null);
         localStorage.removeItem('ai_tutor_user');
         setMessages([]);
+        setThreadId(null);
+        setPractice(null);
+        setSidePanel(null);
+        setInterviewMode(false);
         setActiveTopic(null);
+        setActiveSubtopic(null);
+    };
+
+    const handleSignOut = () => {
+        logout().catch(err => console.warn('Sign-out request failed:', err.message));
+        clearSession();
     };
 
     const openAuth = (mode) => {
         setAuthMode(mode);
+        setAuthNotice(null);
         setShowAuthModal(true);
     };
 
+    // Refresh the profile from the server and sign out if the stored session is no longer valid
+    useEffect(() => {
+        onSessionExpired(() => {
+            clearSession();
+            setAuthMode('signin');
+            setAuthNotice('Your session has expired. Please sign in again.');
+            setShowAuthModal(true);
+        });
+        if (!getSessionToken()) return;
+        getCurrentUser()
+            .then(handleSignIn)
+            .catch(err => console.warn('Could not refresh the signed-in user:', err.message));
+    }, []);
+
     // ─── If not signed in, show landing page ───
     if (!user) {
         return (
@@ -170,7 +410,8 @@ export default function App() {
                     <AuthModal
                         mode={authMode}
                         onClose={() => setShowAuthModal(false)}
-                        onSubmit={handleSignIn}
+                        notice={authNotice}
+                        onAuthenticated={handleSignIn}
                         onSwitchMode={(m) => setAuthMode(m)}
                     />
                 )}
@@ -184,29 +425,68 @@ export default function App() {
             <Sidebar
                 topics={topics}
                 duration={duration}
+                difficulty={difficulty}
+                onDifficultyChange={handleDifficultyChange}
                 onDurationChange={setDuration}
                 onTopicClick={handleTopicClick}
                 onAddTopic={handleAddTopic}
+                topicActions={backendOnline ? topicActions : null}
                 activeTopic={activeTopic}
+                activeSubtopic={activeSubtopic}
+                progress={progress}
+                onOpenStudyPlan={backendOnline ? () => openSidePanel('studyPlan') : null}
+                onOpenInterview={backendOnline ? () => setInterviewMode(true) : null}
+                onOpenAptitude={backendOnline ? () => openSidePanel('aptitude') : null}
                 onGoHome={handleGoHome}
             />
-            <ChatPanel
-                messages={messages}
-                loading={loading}
-                loadingStep={loadingStep}
-                onSend={handleSend}
-                user={user}
-                onSignIn={() => openAuth('signin')}
-                onSignUp={() => openAuth('signup')}
-                onSignOut={handleSignOut}
-                onGoHome={handleGoHome}
-                backendOnline={backendOnline}
-            />
+            {interviewMode ? (
+                <InterviewPanel
+                    topics={topics}
+                    difficulty={difficulty}
+                    user={user}
+                    onReview={handleInterviewReview}
+                    onExit={() => setInterviewMode(false)}
+                />
+            ) : (
+                <ChatPanel
+                    messages={messages}
+                    loading={loading}
+                    loadingStep={loadingStep}
+                    streaming={streaming}
+                    onSend={handleSend}
+                    onClarify={handleClarify}
+                    onQuizComplete={handleQuizComplete}
+                    onPractice={handlePractice}
+                    progress={progress}
+                    user={user}
+                    onSignIn={() => openAuth('signin')}
+                    onSignUp={() => openAuth('signup')}
+                    onSignOut={handleSignOut}
+                    onGoHome={handleGoHome}
+                    backendOnline={backendOnline}
+                />
+            )}
+            {practice && (
+                <PracticePanel practice={practice} onClose={() => setPractice(null)} />
+            )}
+            {sidePanel === 'studyPlan' && (
+                <StudyPlanPanel
+                    topics={topics}
+                    difficulty={difficulty}
+                    progress={progress}
+                    onStartItem={handleStudyPlanItem}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'aptitude' && (
+                <AptitudePanel onClose={() => setSidePanel(null)} />
+            )}
             {showAuthModal && (
                 <AuthModal
                     mode={authMode}
                     onClose={() => setShowAuthModal(false)}
-                    onSubmit={handleSignIn}
+                    notice={authNotice}
+                    onAuthenticated={handleSignIn}
                     onSwitchMode={(m) => setAuthMode(m)}
                 />
             )}
@@ -215,18 +495,31 @@ export default function App() {
 }
 
 /* ─── Auth Modal ─── */
-function AuthModal({ mode, onClose, onSubmit, onSwitchMode }) {
+function AuthModal({ mode, notice, onClose, onAuthenticated, onSwitchMode }) {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    // Errors belong to the form they came from
+    useEffect(() => setError(null), [mode]);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (email.trim() && password.trim()) {
-            onSubmit(
-                mode === 'signup' ? name.trim() || 'Student' : email.split('@')[0],
-                email.trim()
-            );
+        if (submitting) return;
+        setSubmitting(true);
+        setError(null);
+        try {
+            const user = mode === 'signup'
+                ? await register(name.trim(), email.trim(), password)
+                : await login(email.trim(), password);
+            onAuthenticated(user);
+        } catch (err) {
+            setError(err.response
+                ? err.response.data?.error || `Request failed (HTTP ${err.response.status})`
+                : 'Could not reach the server. Please try again.');
+            setSubmitting(false);
         }
     };
 
@@ -240,6 +533,8 @@ function AuthModal({ mode, onClose, onSubmit, onSwitchMode }) {
                     <p>Cantilever AI Tutor — Placement Preparation</p>
                 </div>
                 <form className="auth-form" onSubmit={handleSubmit}>
+                    {notice && !error && <div className="auth-message notice">{notice}</div>}
+                    {error && <div className="auth-message error" role="alert">{error}</div>}
                     {mode === 'signup' && (
                         <div className="auth-field">
                             <label>Full Name</label>
@@ -249,6 +544,7 @@ function AuthModal({ mode, onClose, onSubmit, onSwitchMode }) {
                                 value={name}
                                 onChange={e => setName(e.target.value)}
                                 autoFocus
+                                required
                             />
                         </div>
                     )}
@@ -270,11 +566,15 @@ function AuthModal({ mode, onClose, onSubmit, onSwitchMode }) {
                             placeholder="••••••••"
                             value={password}
                             onChange={e => setPassword(e.target.value)}
+                            minLength={mode === 'signup' ? 8 : undefined}
+                            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
                             required
                         />
                     </div>
-                    <button type="submit" className="auth-submit">
-                        {mode === 'signin' ? 'Sign In' : 'Sign Up'}
+                    <button type="submit" className="auth-submit" disabled={submitting}>
+                        {submitting
+                            ? (mode === 'signin' ? 'Signing In…' : 'Creating Account…')
+                            : (mode === 'signin' ? 'Sign In' : 'Sign Up')}
                     </button>
                 </form>
                 <div className="auth-switch">
@@ -5,26 +5,83 @@ const api = axios.create({
     timeout: 120000, // 2 min timeout
 });
 
+// ─── Session ── token from /api/auth, sent as "Authorization: Bearer <token>" ───
+const SESSION_KEY = 'ai_tutor_session';
+
+export const getSessionToken = () => localStorage.getItem(SESSION_KEY);
+
+const authHeaders = () => {
+    const token = getSessionToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Called when the server rejects a stored session (expired, or signed out elsewhere)
+let sessionExpiredHandler = null;
+
+export function onSessionExpired(handler) {
+    sessionExpiredHandler = handler;
+}
+
+function handleUnauthorized() {
+    if (!getSessionToken()) return;
+    localStorage.removeItem(SESSION_KEY);
+    sessionExpiredHandler?.();
+}
+
+api.interceptors.request.use(config => {
+    Object.assign(config.headers, authHeaders());
+    return config;
+});
+
+api.interceptors.response.use(
+    response => response,
+    error => {
+        if (error.response?.status === 401) handleUnauthorized();
+        return Promise.reject(error);
+    }
+);
+
 /**
  * Send a chat message using streaming (JSON lines).
- * Each line is a JSON object: { step: "supervisor"|"researcher"|"media"|"done"|"error", data: {...} }
+ * Each line is a JSON object: { step: "supervisor"|"retriever"|"researcher_delta"|"researcher"|"media"|"quiz"|"done"|"error", data: {...} }
+ * retriever carries the study-note passages the walkthrough may cite: { sources: [{ index, title, heading, excerpt }] }
+ * researcher_delta carries one streamed chunk of the walkthrough: { delta: string }
+ * clarification means the run paused to ask which subtopic was meant: { question, choices: [{ id, label, topicName }] }
+ * — the final result then has no walkthrough; answer with resumeChat(threadId, choice.id)
  * @param {string} query
  * @param {number} duration
+ * @param {string} difficulty - "beginner" | "intermediate" | "advanced"
+ * @param {string|null} threadId - conversation id from a previous result (null starts a new thread)
  * @param {function} onProgress - callback(step, data) called for each intermediate step
- * @returns {Promise<object>} - the final assembled result
+ * @returns {Promise<object>} - the final assembled result (includes threadId)
+ */
+export async function sendMessage(query, duration, difficulty, threadId, onProgress) {
+    return streamChat({ query, duration, difficulty, threadId }, onProgress);
+}
+
+/**
+ * Answer a clarifying question — resumes the paused run on the thread with the
+ * chosen option and streams the rest of the pipeline like sendMessage.
  */
-export async function sendMessage(query, duration, onProgress) {
+export async function resumeChat(threadId, choiceId, onProgress) {
+    return streamChat({ threadId, resume: { choiceId } }, onProgress);
+}
+
+async function streamChat(body, onProgress) {
     const response = await fetch('/api/chat', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, duration }),
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(body),
     });
 
+    if (response.status === 401) handleUnauthorized();
     if (!response.ok) {
         const errorBody = await response.text();
         let errorMsg = `HTTP ${response.status}`;
         try { errorMsg = JSON.parse(errorBody).error || errorMsg; } catch { }
-        throw new Error(errorMsg);
+        const error = new Error(errorMsg);
+        error.status = response.status;
+        throw error;
     }
 
     const reader = response.body.getReader();
@@ -32,6 +89,30 @@ export async function sendMessage(query, duration, onProgress) {
     let buffer = '';
     let finalResult = null;
 
+    // Only a malformed line is skipped — an error event must still reach the caller
+    const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (e) {
+            if (e instanceof SyntaxError) return;
+            throw e;
+        }
+
+        if (onProgress) {
+            onProgress(parsed.step, parsed.data);
+        }
+
+        if (parsed.step === 'done') {
+            finalResult = parsed.data;
+        } else if (parsed.step === 'error') {
+            throw new Error(parsed.data?.error || 'AI processing failed');
+        }
+    };
+
     while (true) {
         const { done, value } = await reader.read();
         if (done) break;
@@ -41,43 +122,66 @@ export async function sendMessage(query, duration, onProgress) {
         // Process complete lines
         const lines = buffer.split('\n');
         buffer = lines.pop(); // keep incomplete last line in buffer
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed) continue;
-
-            try {
-                const parsed = JSON.parse(trimmed);
-
-                if (onProgress) {
-                    onProgress(parsed.step, parsed.data);
-                }
-
-                if (parsed.step === 'done') {
-                    finalResult = parsed.data;
-                } else if (parsed.step === 'error') {
-                    throw new Error(parsed.data?.error || 'AI processing failed');
-                }
-            } catch (e) {
-                if (e.message && !e.message.includes('JSON')) throw e;
-                // Skip malformed lines
-            }
-        }
+        lines.forEach(handleLine);
     }
 
     // Process any remaining buffer
-    if (buffer.trim()) {
-        try {
-            const parsed = JSON.parse(buffer.trim());
-            if (parsed.step === 'done') finalResult = parsed.data;
-            if (parsed.step === 'error') throw new Error(parsed.data?.error || 'AI processing failed');
-        } catch { }
-    }
+    handleLine(buffer);
 
     if (!finalResult) throw new Error('No response received from server');
     return finalResult;
 }
 
+// ─── Accounts ── register and login store the session token ───
+
+/**
+ * @returns {Promise<object>} - the signed-in user: { id, name, email, avatar, createdAt }
+ */
+export async function register(name, email, password) {
+    const response = await api.post('/auth/register', { name, email, password });
+    localStorage.setItem(SESSION_KEY, response.data.token);
+    return response.data.user;
+}
+
+export async function login(email, password) {
+    const response = await api.post('/auth/login', { email, password });
+    localStorage.setItem(SESSION_KEY, response.data.token);
+    return response.data.user;
+}
+
+// Revokes the session on the server; the local token is dropped first, whatever the outcome
+export async function logout() {
+    const headers = authHeaders();
+    localStorage.removeItem(SESSION_KEY);
+    await api.post('/auth/logout', null, { headers });
+}
+
+export async function getCurrentUser() {
+    const response = await api.get('/auth/me');
+    return response.data.user;
+}
+
+// ─── Learning progress of the signed-in student ───
+
+/**
+ * @returns {Promise<object>} - { topics: [{ topicId, studiedSubtopics, totalSubtopics, completion, ... }],
+ *   recent: [record], continue: { last: record|null, next: { topicId, subtopicId, name, topicName }|null } }
+ */
+export async function getProgress() {
+    const response = await api.get('/progress');
+    return response.data;
+}
+
+/**
+ * Submit the chosen option index per quiz question; the server scores them.
+ * The streamed quiz has no answer key — it comes back here.
+ * @returns {Promise<object>} - { record: { quizScore: { correct, total }, ... }, solutions: [{ correctIndex, explanation }] }
+ */
+export async function submitQuizAnswers(progressId, answers) {
+    const response = await api.post(`/progress/${encodeURIComponent(progressId)}/quiz`, { answers });
+    return response.data;
+}
+
 export async function getTopics() {
     const response = await api.get('/topics');
     return response.data.topics;
@@ -88,4 +192,116 @@ export async function addTopic(name, description, subtopics) {
     return response.data.topic;
 }
 
+export async function updateTopic(topicId, fields) {
+    const response = await api.patch(`/topics/${encodeURIComponent(topicId)}`, fields);
+    return response.data.topic;
+}
+
+export async function deleteTopic(topicId) {
+    await api.delete(`/topics/${encodeURIComponent(topicId)}`);
+}
+
+export async function addSubtopic(topicId, name) {
+    const response = await api.post(`/topics/${encodeURIComponent(topicId)}/subtopic`, { subtopic: name });
+    return response.data.topic;
+}
+
+// Subtopic ids are "<topicId>/<slug>"; the URL only carries the slug
+const subtopicPath = (topicId, subtopicId) =>
+    `/topics/${encodeURIComponent(topicId)}/subtopic/${encodeURIComponent(subtopicId.slice(topicId.length + 1))}`;
+
+export async function updateSubtopic(topicId, subtopicId, name) {
+    const response = await api.patch(subtopicPath(topicId, subtopicId), { name });
+    return response.data.topic;
+}
+
+export async function deleteSubtopic(topicId, subtopicId) {
+    const response = await api.delete(subtopicPath(topicId, subtopicId));
+    return response.data.topic;
+}
+
+export async function reorderSubtopics(topicId, order) {
+    const response = await api.put(`/topics/${encodeURIComponent(topicId)}/subtopics`, { order });
+    return response.data.topic;
+}
+
+/**
+ * Build a day-by-day study plan. Signed-in students get their studied subtopics left out.
+ * @param {{ targetDate, dailyMinutes, focusAreas?, startDate?, difficulty? }} options - dates as "YYYY-MM-DD"
+ * @returns {Promise<object>} - { duration, days: [{ date, minutes, items: [{ name, topicName, request }] }], unscheduled, warning, ... }
+ */
+export async function createStudyPlan(options) {
+    const response = await api.post('/study-plan', options);
+    return response.data.plan;
+}
+
+// ─── Mock interviews ───
+
+/**
+ * Start a mock interview on a knowledge-base topic.
+ * @param {{ topicId, difficulty?, subtopicIds?, questionCount? }} options
+ * @returns {Promise<object>} - { id, topic, status, subtopics, question: { text, subtopicId, followUp, number }, exchanges, report }
+ */
+export async function startInterview(options) {
+    const response = await api.post('/interview', options);
+    return response.data.interview;
+}
+
+/**
+ * Answer the interview's pending question; resolves with the evaluated answer
+ * and the next question, or with the report once the interview is over.
+ */
+export async function answerInterview(interviewId, answer) {
+    const response = await api.post(`/interview/${encodeURIComponent(interviewId)}/answer`, { answer });
+    return response.data.interview;
+}
+
+// ─── Aptitude practice ───
+
+/**
+ * List the aptitude categories and the problem templates in each.
+ * @returns {Promise<Array>} - [{ id, name, subtopicId, templates }]
+ */
+export async function getAptitudeCategories() {
+    const response = await api.get('/aptitude/categories');
+    return response.data.categories;
+}
+
+/**
+ * Start a timed aptitude session. Answers stay on the server until the session is submitted.
+ * @param {{ categories?, count?, timeLimitMinutes?, paraphrase? }} options
+ * @returns {Promise<object>} - { id, expiresAt, timeLimitSeconds, questions: [{ index, categoryName, question, options }], result }
+ */
+export async function startAptitudeSession(options) {
+    const response = await api.post('/aptitude/sessions', options);
+    return response.data.session;
+}
+
+/**
+ * Submit the chosen option index per question (null = skipped).
+ * @returns {Promise<object>} - the session, with result: { score, total, timedOut, byCategory, questions: [{ correct, answer, solution }] }
+ */
+export async function submitAptitudeSession(sessionId, answers) {
+    const response = await api.post(`/aptitude/sessions/${encodeURIComponent(sessionId)}/submit`, { answers });
+    return response.data.session;
+}
+
+/**
+ * Generate a coding practice problem for a topic.
+ * @returns {Promise<object>} - { id, title, statement, signature, starterCode, examples, hiddenTestCount, ... }
+ */
+export async function generatePractice(topic) {
+    const response = await api.post('/practice', { topic });
+    return response.data.problem;
+}
+
+/**
+ * Submit code for a practice problem and get per-test verdicts.
+ * @returns {Promise<object>} - { status, passed, total, results: [{ name, hidden, verdict, timeMs, error }] }
+ */
+export async function submitPractice(problemId, code) {
+    const response = await api.post(`/practice/${problemId}/submit`, { code });
+    return response.data.result;
+}
+
 export default api;
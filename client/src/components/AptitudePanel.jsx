@@ -0,0 +1,246 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAptitudeCategories, startAptitudeSession, submitAptitudeSession } from '../api.js';
+
+const QUESTION_COUNTS = [5, 10, 15, 20];
+const OPTION_LABELS = ['A', 'B', 'C', 'D'];
+
+// Seconds → "m:ss"
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+export default function AptitudePanel({ onClose }) {
+    const [categories, setCategories] = useState([]);
+    const [session, setSession] = useState(null);
+    const [answers, setAnswers] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        getAptitudeCategories()
+            .then(setCategories)
+            .catch(err => setError(err.response?.data?.error || err.message));
+    }, []);
+
+    const run = async (request) => {
+        setLoading(true);
+        setError(null);
+        try {
+            setSession(await request());
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleStart = (options) => run(async () => {
+        const next = await startAptitudeSession(options);
+        setAnswers(next.questions.map(() => null));
+        return next;
+    });
+
+    const handleSubmit = () => run(() => submitAptitudeSession(session.id, answers));
+
+    const chooseAnswer = (index, option) => {
+        setAnswers(prev => prev.map((a, i) => (i === index ? option : a)));
+    };
+
+    return (
+        <aside className="practice-panel aptitude-panel">
+            <div className="practice-header">
+                <h3>🧮 Aptitude Drill</h3>
+                {session && !session.result && (
+                    <SessionTimer expiresAt={session.expiresAt} onExpire={handleSubmit} />
+                )}
+                <button className="practice-close" onClick={onClose} title="Close aptitude drill">✕</button>
+            </div>
+
+            <div className="practice-body">
+                {!session ? (
+                    <AptitudeSetup categories={categories} loading={loading} onStart={handleStart} />
+                ) : session.result ? (
+                    <SessionResult result={session.result} onRestart={() => setSession(null)} />
+                ) : (
+                    <>
+                        {session.questions.map(question => (
+                            <AptitudeQuestion
+                                key={question.index}
+                                question={question}
+                                chosen={answers[question.index]}
+                                onChoose={(option) => chooseAnswer(question.index, option)}
+                            />
+                        ))}
+                        <button className="btn-sm primary" onClick={handleSubmit} disabled={loading}>
+                            {loading ? 'Scoring...' : `Submit (${answers.filter(a => a !== null).length}/${answers.length} answered)`}
+                        </button>
+                    </>
+                )}
+
+                {loading && !session && (
+                    <div className="practice-status">
+                        <div className="spinner"></div>
+                        Generating your questions...
+                    </div>
+                )}
+                {error && <div className="practice-error">⚠️ {error}</div>}
+            </div>
+        </aside>
+    );
+}
+
+/* ─── Setup ── categories, length and wording ─── */
+function AptitudeSetup({ categories, loading, onStart }) {
+    const [chosen, setChosen] = useState([]);
+    const [count, setCount] = useState(5);
+    const [paraphrase, setParaphrase] = useState(false);
+
+    const toggleCategory = (id) => {
+        setChosen(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+    };
+
+    const handleStart = () => onStart({
+        categories: chosen.length > 0 ? chosen : undefined,
+        count,
+        paraphrase,
+    });
+
+    return (
+        <div className="study-plan-form">
+            <p className="aptitude-intro">
+                Every question is generated from a template with freshly drawn numbers, and its answer is computed —
+                not guessed. You get {formatClock(90)} per question; the session is submitted when the clock runs out.
+            </p>
+            <div className="study-plan-focus">
+                <span>Categories <small>(none selected = all)</small></span>
+                <div className="study-plan-focus-options">
+                    {categories.map(category => (
+                        <button
+                            key={category.id}
+                            type="button"
+                            className={`difficulty-option ${chosen.includes(category.id) ? 'active' : ''}`}
+                            onClick={() => toggleCategory(category.id)}
+                        >
+                            {category.name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="study-plan-focus">
+                <span>Questions</span>
+                <div className="study-plan-focus-options">
+                    {QUESTION_COUNTS.map(n => (
+                        <button
+                            key={n}
+                            type="button"
+                            className={`difficulty-option ${count === n ? 'active' : ''}`}
+                            onClick={() => setCount(n)}
+                        >
+                            {n}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <label className="aptitude-toggle">
+                <input type="checkbox" checked={paraphrase} onChange={(e) => setParaphrase(e.target.checked)} />
+                Reword questions with AI (numbers and answers stay the same)
+            </label>
+            <button className="btn-sm primary" onClick={handleStart} disabled={loading}>
+                {loading ? 'Preparing...' : 'Start drill'}
+            </button>
+        </div>
+    );
+}
+
+/* ─── Countdown ── submits the session once when time is up ─── */
+function SessionTimer({ expiresAt, onExpire }) {
+    const remainingSeconds = () => Math.max(0, Math.ceil((Date.parse(expiresAt) - Date.now()) / 1000));
+    const [remaining, setRemaining] = useState(remainingSeconds);
+    const expiredRef = useRef(false);
+    // Latest callback, so the interval always submits the current answers
+    const onExpireRef = useRef(onExpire);
+    onExpireRef.current = onExpire;
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            const left = remainingSeconds();
+            setRemaining(left);
+            if (left === 0 && !expiredRef.current) {
+                expiredRef.current = true;
+                clearInterval(timer);
+                onExpireRef.current();
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [expiresAt]);
+
+    return (
+        <span className={`aptitude-timer ${remaining <= 30 ? 'urgent' : ''}`} title="Time left">
+            ⏱ {formatClock(remaining)}
+        </span>
+    );
+}
+
+/* ─── One multiple-choice question ─── */
+function AptitudeQuestion({ question, chosen, onChoose }) {
+    return (
+        <div className="aptitude-question">
+            <div className="aptitude-question-meta">
+                Q{question.index + 1} · {question.categoryName}
+            </div>
+            <p>{question.question}</p>
+            <div className="aptitude-options">
+                {question.options.map((option, i) => (
+                    <label key={i} className={`aptitude-option ${chosen === i ? 'active' : ''}`}>
+                        <input
+                            type="radio"
+                            name={`aptitude-${question.index}`}
+                            checked={chosen === i}
+                            onChange={() => onChoose(i)}
+                        />
+                        <span className="aptitude-option-label">{OPTION_LABELS[i]}</span>
+                        {option}
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/* ─── Score, per-category breakdown and worked solutions ─── */
+function SessionResult({ result, onRestart }) {
+    return (
+        <div className="aptitude-result">
+            <div className="aptitude-score">
+                <strong>{result.score}/{result.total}</strong>
+                <span>
+                    {result.attempted} attempted · {formatClock(result.timeTakenSeconds)} taken
+                    {result.timedOut && ' · submitted after time ran out'}
+                </span>
+            </div>
+
+            <div className="aptitude-breakdown">
+                {Object.entries(result.byCategory).map(([category, { correct, total }]) => (
+                    <div key={category} className="aptitude-breakdown-row">
+                        <span>{result.questions.find(q => q.category === category)?.categoryName}</span>
+                        <span>{correct}/{total}</span>
+                    </div>
+                ))}
+            </div>
+
+            {result.questions.map(question => (
+                <div key={question.index} className={`aptitude-question ${question.correct ? 'correct' : 'wrong'}`}>
+                    <div className="aptitude-question-meta">
+                        Q{question.index + 1} · {question.categoryName} · {question.correct ? '✓ Correct'
+                            : question.chosenIndex === null ? 'Skipped' : `✗ You chose ${OPTION_LABELS[question.chosenIndex]}`}
+                    </div>
+                    <p>{question.question}</p>
+                    <div className="aptitude-answer">Answer: {OPTION_LABELS[question.correctIndex]}. {question.answer}</div>
+                    <ol className="aptitude-solution">
+                        {question.solution.map((step, i) => <li key={i}>{step}</li>)}
+                    </ol>
+                </div>
+            ))}
+
+            <button className="btn-sm primary" onClick={onRestart}>New drill</button>
+        </div>
+    );
+}
@@ -1,7 +1,7 @@
 import { useState, useRef, useEffect } from 'react';
 import OutputPanel from './OutputPanel.jsx';
 
-export default function ChatPanel({ messages, loading, loadingStep, onSend, user, onSignIn, onSignUp, onSignOut, onGoHome, backendOnline = true }) {
+export default function ChatPanel({ messages, loading, loadingStep, streaming, onSend, onClarify, onQuizComplete, onPractice, progress, user, onSignIn, onSignUp, onSignOut, onGoHome, backendOnline = true }) {
     const [menuOpen, setMenuOpen] = useState(false);
     const menuRef = useRef(null);
 
@@ -106,7 +106,7 @@ export default function ChatPanel({ messages, loading, loadingStep, onSend, user
             {/* Messages */}
             <div className="messages-area" id="messages-area">
                 {messages.length === 0 && !loading ? (
-                    <WelcomeState onSend={onSend} suggestions={suggestions} user={user} />
+                    <WelcomeState onSend={onSend} suggestions={suggestions} user={user} progress={progress} />
                 ) : (
                     <>
                         {messages.map((msg, idx) => (
@@ -114,12 +114,26 @@ export default function ChatPanel({ messages, loading, loadingStep, onSend, user
                                 {msg.role === 'user' ? (
                                     <UserMessage content={msg.content} time={msg.time} user={user} />
                                 ) : msg.rejected ? (
-                                    <AssistantRejection reason={msg.rejectionReason} />
+                                    <AssistantRejection reason={msg.rejectionReason} classification={msg.classification} />
+                                ) : msg.clarification ? (
+                                    <AssistantClarification
+                                        clarification={msg.clarification}
+                                        answer={msg.clarificationAnswer}
+                                        disabled={loading}
+                                        onChoose={(choice) => onClarify(idx, choice)}
+                                    />
                                 ) : (
-                                    <AssistantMessage msg={msg} />
+                                    <AssistantMessage
+                                        msg={msg}
+                                        onPractice={onPractice}
+                                        onQuizComplete={msg.progressId && onQuizComplete
+                                            ? (answers) => onQuizComplete(msg.progressId, answers)
+                                            : undefined}
+                                    />
                                 )}
                             </div>
                         ))}
+                        {loading && streaming?.markdown && <AssistantMessage msg={streaming} streaming />}
                         {loading && <AgentProgress step={loadingStep} />}
                     </>
                 )}
@@ -146,7 +160,7 @@ export default function ChatPanel({ messages, loading, loadingStep, onSend, user
 }
 
 /* ─── Welcome State ─── */
-function WelcomeState({ onSend, suggestions, user }) {
+function WelcomeState({ onSend, suggestions, user, progress }) {
     return (
         <div className="welcome-state">
             <div className="welcome-hero">
@@ -155,6 +169,8 @@ function WelcomeState({ onSend, suggestions, user }) {
                 <p>Your multi-agent assistant for placement preparation — bridging colleges to corporates. Ask conceptual questions, request coding walkthroughs, or explore topics.</p>
             </div>
 
+            {progress?.continue?.last && <ContinueCard progress={progress} onSend={onSend} />}
+
             {/* Tip Cards */}
             <div className="tips-row">
                 <div className="tip-card">
@@ -210,6 +226,40 @@ function WelcomeState({ onSend, suggestions, user }) {
     );
 }
 
+/* ─── Continue Where You Left Off ── last walkthrough and the next unstudied subtopic ─── */
+function ContinueCard({ progress, onSend }) {
+    const { last, next } = progress.continue;
+    const started = progress.topics.filter(t => t.walkthroughs > 0).length;
+
+    return (
+        <div className="continue-card">
+            <div className="continue-card-label">📈 Continue where you left off</div>
+            <div className="continue-card-last">
+                Last studied <strong>{last.topic}</strong> · {formatDaysAgo(last.completedAt)}
+                {last.quizScore && ` · quiz ${last.quizScore.correct}/${last.quizScore.total}`}
+            </div>
+            <div className="continue-card-actions">
+                {next && (
+                    <button className="continue-card-btn primary" onClick={() => onSend(`Explain ${next.name} in ${next.topicName}`)}>
+                        Next: {next.name} →
+                    </button>
+                )}
+                <button className="continue-card-btn" onClick={() => onSend(`Explain ${last.topic}`)}>
+                    Review {last.topic}
+                </button>
+            </div>
+            <div className="continue-card-meta">{started} of {progress.topics.length} topics started</div>
+        </div>
+    );
+}
+
+function formatDaysAgo(iso) {
+    const days = Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+}
+
 /* ─── User Message Bubble ─── */
 function UserMessage({ content, time, user }) {
     return (
@@ -223,16 +273,25 @@ function UserMessage({ content, time, user }) {
 }
 
 /* ─── Assistant Rejection ─── */
-function AssistantRejection({ reason }) {
+function AssistantRejection({ reason, classification }) {
+    // guardrail_error: the guardrail itself failed, so the query was blocked unchecked
+    const guardrailError = classification === 'guardrail_error';
+    const injection = classification === 'injection';
     return (
         <div className="message message-assistant">
             <div className="ai-avatar">🛡️</div>
             <div className="message-assistant-content">
                 <div className="ai-name-row">
                     <span className="ai-name">Guardrail Agent</span>
-                    <span className="ai-badge model">Protected</span>
+                    {guardrailError ? (
+                        <span className="ai-badge guardrail-error">Unavailable</span>
+                    ) : injection ? (
+                        <span className="ai-badge injection">Injection Blocked</span>
+                    ) : (
+                        <span className="ai-badge model">Protected</span>
+                    )}
                 </div>
-                <div className="rejection-banner">
+                <div className={`rejection-banner ${guardrailError ? 'guardrail-error' : ''}`}>
                     <span className="rejection-banner-icon">⚠️</span>
                     <p>{reason}</p>
                 </div>
@@ -241,8 +300,39 @@ function AssistantRejection({ reason }) {
     );
 }
 
-/* ─── Assistant Full Response ─── */
-function AssistantMessage({ msg }) {
+/* ─── Assistant Clarifying Question ── the run is paused until a choice is picked ─── */
+function AssistantClarification({ clarification, answer, disabled, onChoose }) {
+    return (
+        <div className="message message-assistant">
+            <div className="ai-avatar">❓</div>
+            <div className="message-assistant-content">
+                <div className="ai-name-row">
+                    <span className="ai-name">AI Tutor</span>
+                    <span className="ai-badge clarification">Needs Clarification</span>
+                </div>
+                <div className="clarification-card">
+                    <p>{clarification.question}</p>
+                    <div className="clarification-choices">
+                        {clarification.choices.map(choice => (
+                            <button
+                                key={choice.id}
+                                className={`clarification-choice ${answer === choice.id ? 'chosen' : ''}`}
+                                disabled={disabled || Boolean(answer)}
+                                onClick={() => onChoose(choice)}
+                            >
+                                <span className="clarification-choice-label">{choice.label}</span>
+                                {choice.topicName && <span className="clarification-choice-topic">{choice.topicName}</span>}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/* ─── Assistant Full Response (or the walkthrough still being streamed) ─── */
+function AssistantMessage({ msg, streaming = false, onPractice, onQuizComplete }) {
     return (
         <div className="message message-assistant">
             <div className="ai-avatar">🤖</div>
@@ -250,14 +340,32 @@ function AssistantMessage({ msg }) {
                 <div className="ai-name-row">
                     <span className="ai-name">AI Tutor</span>
                     <span className="ai-badge model">Llama 3.3 · Groq</span>
+                    {msg.classification === 'guardrail_error' && (
+                        <span className="ai-badge guardrail-error" title="The guardrail could not check this query">Unverified</span>
+                    )}
+                    {msg.cached && (
+                        <span className="ai-badge cached" title={msg.cachedAt ? `Generated ${new Date(msg.cachedAt).toLocaleString()}` : undefined}>Cached</span>
+                    )}
                 </div>
                 <OutputPanel
                     markdown={msg.markdown}
                     imageUrl={msg.imageUrl}
                     audioText={msg.audioText}
                     mediaFailed={msg.mediaFailed}
+                    quiz={msg.quiz}
+                    sources={msg.sources}
+                    critique={msg.critique}
+                    moderation={msg.moderation}
+                    wordBudget={msg.wordBudget}
                     topic={msg.topic}
+                    streaming={streaming}
+                    onQuizComplete={onQuizComplete}
                 />
+                {msg.practiceAvailable && onPractice && (
+                    <button className="practice-launch" onClick={() => onPractice(msg.topic)}>
+                        💻 Practice a coding problem
+                    </button>
+                )}
             </div>
         </div>
     );
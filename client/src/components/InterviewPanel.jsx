@@ -0,0 +1,276 @@
+import { useState, useEffect, useRef } from 'react';
+import { startInterview, answerInterview } from '../api.js';
+
+const QUESTION_COUNTS = [2, 3, 4, 5, 6];
+
+const RUBRIC_LABELS = {
+    correctness: 'Correctness',
+    depth: 'Depth',
+    clarity: 'Clarity',
+};
+
+// Score out of 100 → bar colour band
+const scoreBand = (score) => (score >= 75 ? 'strong' : score >= 60 ? 'fair' : 'weak');
+
+export default function InterviewPanel({ topics, difficulty, user, onReview, onExit }) {
+    const [interview, setInterview] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const areaRef = useRef(null);
+
+    // Keep the latest question or report in view
+    useEffect(() => {
+        areaRef.current?.scrollTo({ top: areaRef.current.scrollHeight, behavior: 'smooth' });
+    }, [interview, loading]);
+
+    const run = async (request) => {
+        setLoading(true);
+        setError(null);
+        try {
+            setInterview(await request());
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleStart = (topicId, questionCount) => run(() => startInterview({ topicId, difficulty, questionCount }));
+
+    const handleAnswer = (e) => {
+        e.preventDefault();
+        const input = e.target.elements.answer;
+        const answer = input.value.trim();
+        if (!answer) return;
+        run(async () => {
+            const next = await answerInterview(interview.id, answer);
+            input.value = '';
+            return next;
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        // Enter adds a line; Ctrl/Cmd+Enter sends the answer
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            e.target.form.requestSubmit();
+        }
+    };
+
+    return (
+        <main className="main-content interview-view">
+            <div className="chat-header">
+                <div className="chat-header-left">
+                    <h2>🎤 Mock Interview</h2>
+                    {interview && <span className="header-agent-badge">{interview.topic} · {interview.difficulty}</span>}
+                </div>
+                <div className="chat-header-right">
+                    {interview && (
+                        <button className="btn-sm secondary" onClick={() => setInterview(null)} disabled={loading}>
+                            New interview
+                        </button>
+                    )}
+                    <button className="btn-sm secondary" onClick={onExit}>← Back to tutor</button>
+                </div>
+            </div>
+
+            <div className="messages-area" ref={areaRef}>
+                {!interview ? (
+                    <InterviewSetup topics={topics} difficulty={difficulty} loading={loading} onStart={handleStart} />
+                ) : (
+                    <>
+                        {interview.exchanges.map(exchange => (
+                            <div key={exchange.number}>
+                                <InterviewerQuestion question={exchange} total={interview.subtopics.length} subtopics={interview.subtopics} />
+                                <div className="message message-user">
+                                    <div>
+                                        <div className="message-user-bubble">{exchange.answer}</div>
+                                        <div className="message-user-meta">{user ? user.name : 'You'}</div>
+                                    </div>
+                                </div>
+                                {exchange.evaluation && <AnswerEvaluation evaluation={exchange.evaluation} />}
+                            </div>
+                        ))}
+                        {interview.question && !loading && (
+                            <InterviewerQuestion
+                                question={{ ...interview.question, question: interview.question.text }}
+                                total={interview.subtopics.length}
+                                subtopics={interview.subtopics}
+                            />
+                        )}
+                        {interview.report && <InterviewReport report={interview.report} onReview={onReview} />}
+                    </>
+                )}
+                {loading && (
+                    <div className="practice-status">
+                        <div className="spinner"></div>
+                        {interview ? 'The interviewer is reviewing your answer...' : 'Preparing your interview...'}
+                    </div>
+                )}
+                {error && <div className="practice-error">⚠️ {error}</div>}
+            </div>
+
+            {interview?.question && (
+                <div className="chat-input-area">
+                    <form className="chat-input-wrapper" onSubmit={handleAnswer}>
+                        <textarea
+                            name="answer"
+                            className="chat-input interview-answer"
+                            placeholder="Type your answer as you would say it... (Ctrl+Enter to send)"
+                            rows={4}
+                            onKeyDown={handleKeyDown}
+                            disabled={loading}
+                            autoFocus
+                        />
+                        <button type="submit" className="send-btn" disabled={loading} title="Send answer">
+                            ➤
+                        </button>
+                    </form>
+                </div>
+            )}
+        </main>
+    );
+}
+
+/* ─── Setup ── topic and length of the interview ─── */
+function InterviewSetup({ topics, difficulty, loading, onStart }) {
+    const [topicId, setTopicId] = useState(topics[0]?.id || '');
+    const [questionCount, setQuestionCount] = useState(4);
+
+    return (
+        <div className="interview-setup">
+            <div className="welcome-hero">
+                <div className="welcome-avatar">🎤</div>
+                <h2>Practice a Technical Interview</h2>
+                <p>
+                    The interviewer asks one question at a time, scores each typed answer for correctness, depth and clarity,
+                    follows up where an answer is weak, and ends with a scored report per subtopic.
+                </p>
+            </div>
+
+            <div className="interview-setup-field">
+                <span>Topic</span>
+                <div className="study-plan-focus-options">
+                    {topics.map(topic => (
+                        <button
+                            key={topic.id}
+                            type="button"
+                            className={`difficulty-option ${topicId === topic.id ? 'active' : ''}`}
+                            onClick={() => setTopicId(topic.id)}
+                        >
+                            {topic.name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="interview-setup-field">
+                <span>Subtopics to cover</span>
+                <div className="study-plan-focus-options">
+                    {QUESTION_COUNTS.map(n => (
+                        <button
+                            key={n}
+                            type="button"
+                            className={`difficulty-option ${questionCount === n ? 'active' : ''}`}
+                            onClick={() => setQuestionCount(n)}
+                        >
+                            {n}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="interview-setup-note">Difficulty: {difficulty} — change it in the sidebar.</div>
+
+            <button className="btn-sm primary" disabled={!topicId || loading} onClick={() => onStart(topicId, questionCount)}>
+                Start interview
+            </button>
+        </div>
+    );
+}
+
+/* ─── Interviewer's question ─── */
+function InterviewerQuestion({ question, subtopics, total }) {
+    const index = subtopics.findIndex(s => s.id === question.subtopicId);
+
+    return (
+        <div className="message message-assistant">
+            <div className="ai-avatar">🎤</div>
+            <div className="message-assistant-content">
+                <div className="ai-name-row">
+                    <span className="ai-name">Interviewer</span>
+                    <span className="ai-badge model">{question.subtopicName} · {index + 1}/{total}</span>
+                    {question.followUp && <span className="ai-badge cached">Follow-up</span>}
+                </div>
+                <div className="interview-question">{question.question}</div>
+            </div>
+        </div>
+    );
+}
+
+/* ─── Rubric scores and feedback for one answer ─── */
+function AnswerEvaluation({ evaluation }) {
+    if (evaluation.unchecked) {
+        return <div className="interview-evaluation unchecked">{evaluation.feedback}</div>;
+    }
+
+    return (
+        <div className={`interview-evaluation ${scoreBand(evaluation.score)}`}>
+            <div className="interview-evaluation-header">
+                <strong>{evaluation.score}/100</strong>
+                {Object.entries(evaluation.scores).map(([criterion, score]) => (
+                    <span key={criterion} className="interview-criterion">{RUBRIC_LABELS[criterion] || criterion} {score}/5</span>
+                ))}
+            </div>
+            <p>{evaluation.feedback}</p>
+            {evaluation.weakPoints.length > 0 && (
+                <ul className="interview-weak-points">
+                    {evaluation.weakPoints.map(point => <li key={point}>{point}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/* ─── Final report ── score per subtopic, with walkthroughs for the weak ones ─── */
+function InterviewReport({ report, onReview }) {
+    return (
+        <div className="output-card interview-report">
+            <div className="output-card-header">
+                <span>📋</span> Interview Report
+                {report.overall !== null && <span className="quiz-score">{report.overall}/100</span>}
+            </div>
+            {report.subtopics.map(subtopic => (
+                <div key={subtopic.subtopicId} className="interview-report-row">
+                    <div className="interview-report-name">
+                        {subtopic.name}
+                        <small>{subtopic.questions} question{subtopic.questions === 1 ? '' : 's'}</small>
+                    </div>
+                    {subtopic.score === null ? (
+                        <span className="interview-report-unscored">Not scored</span>
+                    ) : (
+                        <>
+                            <div className="topic-progress interview-report-bar">
+                                <div className={`topic-progress-fill ${scoreBand(subtopic.score)}`} style={{ width: `${subtopic.score}%` }} />
+                            </div>
+                            <span className="interview-report-score">{subtopic.score}</span>
+                        </>
+                    )}
+                    {subtopic.weakPoints.length > 0 && (
+                        <ul className="interview-weak-points">
+                            {subtopic.weakPoints.map(point => <li key={point}>{point}</li>)}
+                        </ul>
+                    )}
+                </div>
+            ))}
+            {report.review.length > 0 && (
+                <div className="interview-review">
+                    <span>Revise before your next attempt:</span>
+                    {report.review.map(item => (
+                        <button key={item.subtopicId} className="continue-card-btn" onClick={() => onReview(item.query)}>
+                            📖 {item.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -2,7 +2,22 @@ import { useState, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
-export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed, topic }) {
+// Verifier outcome → badge label and style
+const CRITIQUE_BADGES = {
+    passed: { label: '🔍 Verified', className: 'verifier' },
+    accepted_with_issues: { label: '🔍 Review Notes', className: 'verifier flagged' },
+    unchecked: { label: '🔍 Review Unavailable', className: 'verifier unchecked' },
+};
+
+// Moderation outcome → badge label and style
+const MODERATION_BADGES = {
+    passed: { label: '🧹 Moderation Passed', className: 'moderation' },
+    redacted: { label: '🧹 Content Redacted', className: 'moderation flagged' },
+    withheld: { label: '🧹 Content Withheld', className: 'moderation flagged' },
+    unchecked: { label: '🧹 Moderation Unavailable', className: 'moderation unchecked' },
+};
+
+export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed, quiz, sources, critique, moderation, wordBudget, topic, streaming = false, onQuizComplete }) {
     const [isPlaying, setIsPlaying] = useState(false);
     const utteranceRef = useRef(null);
 
@@ -39,9 +54,26 @@ export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed
             {/* Agent Transparency Badges */}
             <div className="agent-badges">
                 <span className="agent-badge-item guardrail">🛡️ Guardrail Passed</span>
-                <span className="agent-badge-item teacher">📚 Teacher Generated</span>
+                {sources?.length > 0 && <span className="agent-badge-item sources">📎 {sources.length} Study Notes</span>}
+                <span className="agent-badge-item teacher">{streaming ? '📚 Teacher Writing…' : '📚 Teacher Generated'}</span>
+                {CRITIQUE_BADGES[critique?.verdict] && (
+                    <span
+                        className={`agent-badge-item ${CRITIQUE_BADGES[critique.verdict].className}`}
+                        title={critique.issues.map(i => `${i.criterion}: ${i.detail}`).join('\n') || undefined}
+                    >
+                        {CRITIQUE_BADGES[critique.verdict].label}
+                        {critique.revisions > 0 && ` · ${critique.revisions} Revision${critique.revisions > 1 ? 's' : ''}`}
+                    </span>
+                )}
                 {imageUrl && <span className="agent-badge-item media">🎨 Media Created</span>}
                 {mediaFailed && <span className="agent-badge-item media" style={{ opacity: 0.5 }}>🎨 Media Skipped</span>}
+                {quiz && <span className="agent-badge-item quiz">🧩 Quiz Ready</span>}
+                {MODERATION_BADGES[moderation?.action] && (
+                    <span className={`agent-badge-item ${MODERATION_BADGES[moderation.action].className}`}>
+                        {MODERATION_BADGES[moderation.action].label}
+                        {moderation.regenerations > 0 && ' · Regenerated'}
+                    </span>
+                )}
             </div>
 
             {/* Markdown Content */}
@@ -49,12 +81,22 @@ export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed
                 <div className="output-card">
                     <div className="output-card-header">
                         <span>📝</span> Walkthrough — {topic || 'Topic'}
+                        {wordBudget && (
+                            <span
+                                className={`output-length ${wordBudget.withinBudget ? '' : 'off-budget'}`}
+                                title={`Target ${wordBudget.min}–${wordBudget.max} words${wordBudget.adjustment ? ` · ${wordBudget.adjustment} to fit` : ''}`}
+                            >
+                                {wordBudget.words} words · {wordBudget.readingMinutes} min read · {wordBudget.speakingMinutes} min listen
+                            </span>
+                        )}
                     </div>
                     <div className="output-card-body markdown-content">
                         <ReactMarkdown remarkPlugins={[remarkGfm]}>
                             {markdown}
                         </ReactMarkdown>
+                        {streaming && <span className="typing-cursor"></span>}
                     </div>
+                    {sources?.length > 0 && <SourceList sources={sources} />}
                 </div>
             )}
 
@@ -90,6 +132,9 @@ export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed
                 </div>
             )}
 
+            {/* Quiz */}
+            {quiz?.questions?.length > 0 && <QuizCard quiz={quiz} onComplete={onQuizComplete} />}
+
             {/* Media Failed Warning */}
             {mediaFailed && (
                 <div className="media-failed">
@@ -99,3 +144,111 @@ export default function OutputPanel({ markdown, imageUrl, audioText, mediaFailed
         </div>
     );
 }
+
+/* ─── Sources ── study-note passages cited as [n] in the walkthrough ─── */
+function SourceList({ sources }) {
+    return (
+        <div className="source-list">
+            <div className="source-list-title">📎 Sources</div>
+            {sources.map(source => (
+                <details key={source.index} className="source-item">
+                    <summary>
+                        <span className="source-index">[{source.index}]</span> {source.title}
+                        {source.heading && <span className="source-heading"> › {source.heading}</span>}
+                    </summary>
+                    <p className="source-excerpt">{source.excerpt}</p>
+                </details>
+            ))}
+        </div>
+    );
+}
+
+/* ─── Quiz Card ── answers are checked on the server, which returns the key ─── */
+// onComplete(answers) submits the chosen option per question and resolves with
+// { record, solutions }; without it (no progress record) the quiz can't be checked
+function QuizCard({ quiz, onComplete }) {
+    // questionIndex → chosen option index
+    const [answers, setAnswers] = useState({});
+    // [{ correctIndex, explanation }] once the server has scored the quiz
+    const [solutions, setSolutions] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [error, setError] = useState(null);
+
+    const total = quiz.questions.length;
+    const answeredCount = Object.keys(answers).length;
+    const score = solutions ? solutions.filter((s, i) => answers[i] === s.correctIndex).length : null;
+
+    const handleAnswer = (questionIndex, optionIndex) => {
+        if (solutions) return;
+        setAnswers(prev => ({ ...prev, [questionIndex]: optionIndex }));
+    };
+
+    const handleCheck = async () => {
+        setChecking(true);
+        setError(null);
+        try {
+            const result = await onComplete(quiz.questions.map((_, i) => answers[i] ?? null));
+            setSolutions(result.solutions);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    return (
+        <div className="output-card">
+            <div className="output-card-header">
+                <span>🧩</span> Check Your Understanding
+                <span className="quiz-score">{solutions ? `${score}/${total}` : `${answeredCount}/${total} answered`}</span>
+            </div>
+            <div className="output-card-body quiz-body">
+                {quiz.questions.map((q, qi) => {
+                    const chosen = answers[qi];
+                    const solution = solutions?.[qi];
+                    return (
+                        <div key={qi} className="quiz-question">
+                            <div className="quiz-stem">{qi + 1}. {q.stem}</div>
+                            <div className="quiz-options">
+                                {q.options.map((option, oi) => {
+                                    const state = !solution ? (oi === chosen ? 'selected' : '')
+                                        : oi === solution.correctIndex ? 'correct'
+                                            : oi === chosen ? 'wrong' : 'dimmed';
+                                    return (
+                                        <button
+                                            key={oi}
+                                            className={`quiz-option ${state}`}
+                                            onClick={() => handleAnswer(qi, oi)}
+                                            disabled={Boolean(solutions) || checking}
+                                        >
+                                            {String.fromCharCode(65 + oi)}. {option}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            {solution && (
+                                <div className={`quiz-explanation ${chosen === solution.correctIndex ? 'correct' : 'wrong'}`}>
+                                    {chosen === solution.correctIndex ? '✅ Correct' : '❌ Not quite'}
+                                    {solution.explanation && ` — ${solution.explanation}`}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+                {solutions ? (
+                    <div className="quiz-summary">
+                        You scored {score} out of {total}
+                        {score === total ? ' — perfect! 🎉' : '. Review the walkthrough above and try a follow-up question.'}
+                    </div>
+                ) : onComplete ? (
+                    <button className="btn-sm primary quiz-check" onClick={handleCheck} disabled={answeredCount < total || checking}>
+                        {checking ? 'Checking...' : 'Check answers'}
+                    </button>
+                ) : (
+                    <div className="quiz-note">Answers for this quiz can't be checked.</div>
+                )}
+                {error && <div className="practice-error">⚠️ {error}</div>}
+            </div>
+        </div>
+    );
+}
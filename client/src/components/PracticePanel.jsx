@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { submitPractice } from '../api.js';
+
+const VERDICT_LABELS = {
+    passed: { icon: '✅', label: 'Passed' },
+    wrong_answer: { icon: '❌', label: 'Wrong Answer' },
+    runtime_error: { icon: '💥', label: 'Runtime Error' },
+    time_limit_exceeded: { icon: '⏱️', label: 'Time Limit Exceeded' },
+    memory_limit_exceeded: { icon: '🧠', label: 'Memory Limit Exceeded' },
+    not_run: { icon: '⏸', label: 'Not Run' },
+};
+
+export default function PracticePanel({ practice, onClose }) {
+    const { problem, loading, error } = practice;
+
+    return (
+        <aside className="practice-panel">
+            <div className="practice-header">
+                <h3>💻 Coding Practice</h3>
+                <button className="practice-close" onClick={onClose} title="Close practice">✕</button>
+            </div>
+
+            {loading && (
+                <div className="practice-status">
+                    <div className="spinner"></div>
+                    Generating a problem on {practice.topic}...
+                </div>
+            )}
+            {error && <div className="practice-error">⚠️ {error}</div>}
+            {problem && <PracticeWorkspace key={problem.id} problem={problem} />}
+        </aside>
+    );
+}
+
+/* ─── Problem statement, editor and verdicts ─── */
+function PracticeWorkspace({ problem }) {
+    const [code, setCode] = useState(problem.starterCode);
+    const [running, setRunning] = useState(false);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleRun = async () => {
+        setRunning(true);
+        setError(null);
+        try {
+            setResult(await submitPractice(problem.id, code));
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    // Tab inserts two spaces instead of leaving the editor
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab') return;
+        e.preventDefault();
+        const { selectionStart, selectionEnd } = e.target;
+        const next = code.slice(0, selectionStart) + '  ' + code.slice(selectionEnd);
+        setCode(next);
+        requestAnimationFrame(() => {
+            e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+        });
+    };
+
+    return (
+        <div className="practice-body">
+            <div className="practice-problem">
+                <h4>{problem.title}</h4>
+                <div className="markdown-content">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{problem.statement}</ReactMarkdown>
+                </div>
+                <code className="practice-signature">{problem.signature}</code>
+                {problem.examples.map((ex, i) => (
+                    <div key={i} className="practice-example">
+                        <div><strong>Example {i + 1}</strong></div>
+                        <div>Input: <code>{ex.input.map(arg => JSON.stringify(arg)).join(', ')}</code></div>
+                        <div>Output: <code>{JSON.stringify(ex.expected)}</code></div>
+                        {ex.explanation && <div className="practice-example-note">{ex.explanation}</div>}
+                    </div>
+                ))}
+                <div className="practice-hidden-note">+ {problem.hiddenTestCount} hidden tests</div>
+            </div>
+
+            <textarea
+                className="practice-editor"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                onKeyDown={handleKeyDown}
+                spellCheck={false}
+            />
+
+            <button className="btn-sm primary practice-run" onClick={handleRun} disabled={running}>
+                {running ? 'Running tests...' : '▶ Run & Submit'}
+            </button>
+
+            {error && <div className="practice-error">⚠️ {error}</div>}
+            {result && <PracticeResults result={result} />}
+        </div>
+    );
+}
+
+function PracticeResults({ result }) {
+    const allPassed = result.passed === result.total;
+
+    return (
+        <div className="practice-results">
+            <div className={`practice-summary ${allPassed ? 'passed' : 'failed'}`}>
+                {allPassed ? '🎉 All tests passed' : `${result.passed}/${result.total} tests passed`}
+            </div>
+            {result.status === 'compile_error' && (
+                <div className="practice-error">Compile error: {result.error}</div>
+            )}
+            {result.status !== 'compile_error' && result.results.map((r, i) => {
+                const verdict = VERDICT_LABELS[r.verdict] || VERDICT_LABELS.not_run;
+                return (
+                    <div key={i} className={`practice-test ${r.verdict}`}>
+                        <span>{verdict.icon} {r.name}</span>
+                        <span className="practice-test-verdict">
+                            {verdict.label}{r.timeMs !== null ? ` · ${r.timeMs} ms` : ''}
+                        </span>
+                        {r.verdict === 'wrong_answer' && !r.hidden && (
+                            <div className="practice-test-detail">
+                                Expected <code>{JSON.stringify(r.expected)}</code>, got <code>{JSON.stringify(r.output)}</code>
+                            </div>
+                        )}
+                        {r.error && <div className="practice-test-detail">{r.error}</div>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -7,22 +7,39 @@ const DURATION_LEVELS = {
     5: { label: 'Deep Dive', className: 'deep', emoji: '🟣' },
 };
 
-export default function Sidebar({ topics, duration, onDurationChange, onTopicClick, onAddTopic, activeTopic, onGoHome }) {
+const DIFFICULTY_LEVELS = [
+    { id: 'beginner', label: 'Beginner', emoji: '🌱', hint: 'New to the topic — intuition first' },
+    { id: 'intermediate', label: 'Intermediate', emoji: '📘', hint: 'Knows the basics — interview-round depth' },
+    { id: 'advanced', label: 'Advanced', emoji: '🚀', hint: 'Experienced — internals, trade-offs, edge cases' },
+];
+
+export default function Sidebar({ topics, duration, onDurationChange, difficulty, onDifficultyChange, onTopicClick, onAddTopic, topicActions, activeTopic, activeSubtopic, progress, onOpenStudyPlan, onOpenInterview, onOpenAptitude, onGoHome }) {
     const [showAddForm, setShowAddForm] = useState(false);
     const [newTopicName, setNewTopicName] = useState('');
     const [newTopicDesc, setNewTopicDesc] = useState('');
+    const [addError, setAddError] = useState(null);
 
     const level = DURATION_LEVELS[duration] || DURATION_LEVELS[3];
 
-    const handleAddTopic = () => {
-        if (newTopicName.trim()) {
-            onAddTopic(newTopicName.trim(), newTopicDesc.trim());
+    // The form stays open with the server's message when the topic is refused
+    const handleAddTopic = async () => {
+        if (!newTopicName.trim()) return;
+        setAddError(null);
+        try {
+            await onAddTopic(newTopicName.trim(), newTopicDesc.trim());
             setNewTopicName('');
             setNewTopicDesc('');
             setShowAddForm(false);
+        } catch (err) {
+            setAddError(err.response?.data?.error || err.message);
         }
     };
 
+    const closeAddForm = () => {
+        setShowAddForm(false);
+        setAddError(null);
+    };
+
     return (
         <aside className="sidebar">
             {/* Cantilever Labs Logo — click to go home */}
@@ -58,21 +75,65 @@ export default function Sidebar({ topics, duration, onDurationChange, onTopicCli
                         className="duration-slider"
                     />
                 </div>
-                <div className="duration-words">~{duration * 150} words · {duration} min read</div>
+                {/* The target the server enforces (±20%); each walkthrough reports its measured length */}
+                <div className="duration-words">Target ~{duration * 150} words · {duration} min read</div>
+            </div>
+
+            {/* Difficulty Control */}
+            <div className="difficulty-control">
+                <div className="duration-header">
+                    <span className="label">🎓 Difficulty</span>
+                </div>
+                <div className="difficulty-options" role="radiogroup" aria-label="Difficulty">
+                    {DIFFICULTY_LEVELS.map(level => (
+                        <button
+                            key={level.id}
+                            type="button"
+                            role="radio"
+                            aria-checked={difficulty === level.id}
+                            className={`difficulty-option ${difficulty === level.id ? 'active' : ''}`}
+                            onClick={() => onDifficultyChange(level.id)}
+                            title={level.hint}
+                        >
+                            {level.emoji} {level.label}
+                        </button>
+                    ))}
+                </div>
             </div>
 
+            {(onOpenStudyPlan || onOpenInterview || onOpenAptitude) && (
+                <div className="sidebar-launchers">
+                    {onOpenStudyPlan && (
+                        <button className="study-plan-launch" onClick={onOpenStudyPlan}>
+                            🗓️ Study plan
+                        </button>
+                    )}
+                    {onOpenInterview && (
+                        <button className="study-plan-launch" onClick={onOpenInterview}>
+                            🎤 Mock interview
+                        </button>
+                    )}
+                    {onOpenAptitude && (
+                        <button className="study-plan-launch" onClick={onOpenAptitude}>
+                            🧮 Aptitude drill
+                        </button>
+                    )}
+                </div>
+            )}
+
             {/* Topics */}
             <div className="topics-section">
                 <div className="topics-section-title">📚 Knowledge Base</div>
                 {topics.map((topic) => (
-                    <div
+                    <TopicItem
                         key={topic.id}
-                        className={`topic-item ${activeTopic === topic.id ? 'active' : ''}`}
+                        topic={topic}
+                        active={activeTopic === topic.id}
+                        activeSubtopic={activeTopic === topic.id ? activeSubtopic : null}
                         onClick={() => onTopicClick(topic)}
-                    >
-                        <div className="topic-item-name">{topic.name}</div>
-                        <div className="topic-item-count">{topic.subtopics?.length || 0} subtopics</div>
-                    </div>
+                        actions={topicActions}
+                        progress={progress?.topics.find(p => p.topicId === topic.id)}
+                    />
                 ))}
             </div>
 
@@ -100,11 +161,179 @@ export default function Sidebar({ topics, duration, onDurationChange, onTopicCli
                         />
                         <div className="add-topic-actions">
                             <button className="btn-sm primary" onClick={handleAddTopic}>Add</button>
-                            <button className="btn-sm secondary" onClick={() => setShowAddForm(false)}>Cancel</button>
+                            <button className="btn-sm secondary" onClick={closeAddForm}>Cancel</button>
                         </div>
+                        {addError && <div className="topic-edit-error">⚠️ {addError}</div>}
                     </div>
                 )}
             </div>
         </aside>
     );
 }
+
+/* ─── Topic Item ── with edit / delete / subtopic controls when the backend is online ─── */
+// progress: the signed-in student's completion of this topic, if any
+function TopicItem({ topic, active, activeSubtopic, onClick, actions, progress }) {
+    const [mode, setMode] = useState(null); // null | 'edit' | 'subtopics'
+    const [name, setName] = useState(topic.name);
+    const [description, setDescription] = useState(topic.description || '');
+    const [error, setError] = useState(null);
+
+    // Runs a topic action and keeps its error next to the controls
+    const run = async (action) => {
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+            return false;
+        }
+    };
+
+    const startEdit = (e) => {
+        e.stopPropagation();
+        setName(topic.name);
+        setDescription(topic.description || '');
+        setError(null);
+        setMode(mode === 'edit' ? null : 'edit');
+    };
+
+    const toggleSubtopics = (e) => {
+        e.stopPropagation();
+        setError(null);
+        setMode(mode === 'subtopics' ? null : 'subtopics');
+    };
+
+    const handleDelete = (e) => {
+        e.stopPropagation();
+        if (window.confirm(`Delete "${topic.name}" and all of its subtopics?`)) {
+            run(() => actions.remove(topic.id));
+        }
+    };
+
+    const handleSave = async () => {
+        if (!name.trim()) return;
+        const saved = await run(() => actions.update(topic.id, { name: name.trim(), description: description.trim() }));
+        if (saved) setMode(null);
+    };
+
+    return (
+        <div className={`topic-item ${active ? 'active' : ''}`} onClick={mode ? undefined : onClick}>
+            <div className="topic-item-row">
+                <div className="topic-item-name">{topic.name}</div>
+                {actions && (
+                    <div className="topic-item-actions">
+                        <button title="Edit subtopics" onClick={toggleSubtopics}>☰</button>
+                        <button title="Edit topic" onClick={startEdit}>✏️</button>
+                        <button title="Delete topic" onClick={handleDelete}>🗑</button>
+                    </div>
+                )}
+            </div>
+            <div className="topic-item-count">
+                {progress?.walkthroughs
+                    ? `${progress.studiedSubtopics.length}/${progress.totalSubtopics} subtopics studied`
+                    : `${topic.subtopics?.length || 0} subtopics`}
+            </div>
+            {progress?.walkthroughs > 0 && (
+                <div className="topic-progress" title={`${Math.round(progress.completion * 100)}% complete`}>
+                    <div className="topic-progress-fill" style={{ width: `${Math.round(progress.completion * 100)}%` }} />
+                </div>
+            )}
+            {activeSubtopic && (
+                <div className="topic-item-subtopic">
+                    → {topic.subtopics?.find(s => s.id === activeSubtopic)?.name}
+                </div>
+            )}
+
+            {mode === 'edit' && (
+                <div className="topic-edit-form" onClick={e => e.stopPropagation()}>
+                    <input
+                        className="add-topic-input"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                        autoFocus
+                    />
+                    <input
+                        className="add-topic-input"
+                        placeholder="Description"
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                    />
+                    <div className="add-topic-actions">
+                        <button className="btn-sm primary" onClick={handleSave}>Save</button>
+                        <button className="btn-sm secondary" onClick={() => setMode(null)}>Cancel</button>
+                    </div>
+                </div>
+            )}
+
+            {mode === 'subtopics' && (
+                <SubtopicEditor topic={topic} actions={actions} run={run} />
+            )}
+
+            {error && <div className="topic-edit-error">⚠️ {error}</div>}
+        </div>
+    );
+}
+
+function SubtopicEditor({ topic, actions, run }) {
+    const [newName, setNewName] = useState('');
+    const [renaming, setRenaming] = useState(null); // { id, name }
+    const subtopics = topic.subtopics || [];
+
+    const move = (index, offset) => {
+        const order = subtopics.map(s => s.id);
+        const [moved] = order.splice(index, 1);
+        order.splice(index + offset, 0, moved);
+        run(() => actions.reorderSubtopics(topic.id, order));
+    };
+
+    const handleAdd = async () => {
+        if (!newName.trim()) return;
+        if (await run(() => actions.addSubtopic(topic.id, newName.trim()))) setNewName('');
+    };
+
+    const handleRename = async () => {
+        if (!renaming.name.trim()) return;
+        if (await run(() => actions.updateSubtopic(topic.id, renaming.id, renaming.name.trim()))) setRenaming(null);
+    };
+
+    return (
+        <div className="subtopic-editor" onClick={e => e.stopPropagation()}>
+            {subtopics.map((sub, i) => (
+                <div key={sub.id} className="subtopic-row">
+                    {renaming?.id === sub.id ? (
+                        <input
+                            className="add-topic-input"
+                            value={renaming.name}
+                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') handleRename();
+                                if (e.key === 'Escape') setRenaming(null);
+                            }}
+                            onBlur={() => setRenaming(null)}
+                            autoFocus
+                        />
+                    ) : (
+                        <span className="subtopic-name" title="Click to rename" onClick={() => setRenaming({ id: sub.id, name: sub.name })}>
+                            {sub.name}
+                        </span>
+                    )}
+                    <div className="topic-item-actions">
+                        <button title="Move up" disabled={i === 0} onClick={() => move(i, -1)}>↑</button>
+                        <button title="Move down" disabled={i === subtopics.length - 1} onClick={() => move(i, 1)}>↓</button>
+                        <button title="Remove subtopic" onClick={() => run(() => actions.removeSubtopic(topic.id, sub.id))}>✕</button>
+                    </div>
+                </div>
+            ))}
+            <input
+                className="add-topic-input"
+                placeholder="Add subtopic..."
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { createStudyPlan } from '../api.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" n days from today
+const dateFromToday = (n) => new Date(Date.now() + n * DAY_MS).toISOString().slice(0, 10);
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString([], {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+});
+
+export default function StudyPlanPanel({ topics, difficulty, progress, onStartItem, onClose }) {
+    const [targetDate, setTargetDate] = useState(dateFromToday(21));
+    const [dailyMinutes, setDailyMinutes] = useState(60);
+    const [focus, setFocus] = useState([]);
+    const [plan, setPlan] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const studied = new Set(progress?.topics.flatMap(t => t.studiedSubtopics) || []);
+
+    const toggleFocus = (topicId) => {
+        setFocus(prev => (prev.includes(topicId) ? prev.filter(id => id !== topicId) : [...prev, topicId]));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            setPlan(await createStudyPlan({
+                startDate: dateFromToday(0),
+                targetDate,
+                dailyMinutes: Number(dailyMinutes),
+                focusAreas: focus,
+                difficulty,
+            }));
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <aside className="practice-panel study-plan-panel">
+            <div className="practice-header">
+                <h3>🗓️ Study Plan</h3>
+                <button className="practice-close" onClick={onClose} title="Close study plan">✕</button>
+            </div>
+
+            <div className="practice-body">
+                <form className="study-plan-form" onSubmit={handleSubmit}>
+                    <label>
+                        Placement drive on
+                        <input
+                            type="date"
+                            className="add-topic-input"
+                            value={targetDate}
+                            min={dateFromToday(1)}
+                            onChange={(e) => setTargetDate(e.target.value)}
+                            required
+                        />
+                    </label>
+                    <label>
+                        Minutes per day
+                        <input
+                            type="number"
+                            className="add-topic-input"
+                            value={dailyMinutes}
+                            min={15}
+                            max={480}
+                            step={5}
+                            onChange={(e) => setDailyMinutes(e.target.value)}
+                            required
+                        />
+                    </label>
+                    <div className="study-plan-focus">
+                        <span>Focus areas <small>(none selected = every topic)</small></span>
+                        <div className="study-plan-focus-options">
+                            {topics.map(topic => (
+                                <button
+                                    key={topic.id}
+                                    type="button"
+                                    className={`difficulty-option ${focus.includes(topic.id) ? 'active' : ''}`}
+                                    onClick={() => toggleFocus(topic.id)}
+                                >
+                                    {topic.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <button type="submit" className="btn-sm primary" disabled={loading}>
+                        {loading ? 'Planning...' : plan ? 'Rebuild plan' : 'Build my plan'}
+                    </button>
+                </form>
+
+                {error && <div className="practice-error">⚠️ {error}</div>}
+                {plan && <PlanSchedule plan={plan} studied={studied} onStartItem={onStartItem} />}
+            </div>
+        </aside>
+    );
+}
+
+/* ─── Day-by-day schedule ── each item starts its walkthrough in one click ─── */
+function PlanSchedule({ plan, studied, onStartItem }) {
+    const total = plan.days.reduce((sum, day) => sum + day.items.length, 0);
+
+    return (
+        <div className="study-plan-schedule">
+            <div className="study-plan-summary">
+                {total} walkthroughs of {plan.duration} min over {plan.days.length} days
+                {plan.alreadyStudied > 0 && ` · ${plan.alreadyStudied} already studied`}
+            </div>
+            {plan.warning && <div className="practice-error">⚠️ {plan.warning}</div>}
+
+            {plan.days.map(day => (
+                <div key={day.date} className="study-plan-day">
+                    <div className="study-plan-day-header">
+                        <span>{formatDay(day.date)}</span>
+                        <span>{day.minutes} min</span>
+                    </div>
+                    {day.items.map(item => (
+                        <button
+                            key={item.subtopicId}
+                            className={`study-plan-item ${studied.has(item.subtopicId) ? 'done' : ''}`}
+                            onClick={() => onStartItem(item)}
+                            title={`Start a ${item.request.duration}-minute walkthrough`}
+                        >
+                            <span className="study-plan-item-check">{studied.has(item.subtopicId) ? '✓' : '▶'}</span>
+                            <span className="study-plan-item-name">
+                                {item.name}
+                                <small>{item.topicName}{item.prerequisite && ' · prerequisite'}</small>
+                            </span>
+                            <span className="study-plan-item-time">{item.request.duration} min</span>
+                        </button>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,88 @@
+// ─── Clarifier (Node K) ── Human-in-the-Loop for Ambiguous Queries ───
+// Runs after the Supervisor. When a query could mean several knowledge-base
+// subtopics ("explain trees"), the graph is paused with a LangGraph interrupt
+// carrying the choices; the client answers by resuming the same thread with a
+// choice id (see pipeline.js), and this node continues with that subtopic.
+//
+// Ambiguity comes from two places:
+//   - the Supervisor's verdict (ambiguous + candidate names), and
+//   - for the first question of a conversation, short queries whose words
+//     match several subtopics equally well (knowledgeBase.findSubtopicCandidates).
+
+import { interrupt } from "@langchain/langgraph";
+import knowledgeBase from "../knowledgeBase.js";
+import { tokenize } from "../retrieval/bm25.js";
+
+const MAX_CHOICES = 4;
+// Longer queries are specific enough that a word overlap isn't ambiguity
+const MAX_AMBIGUOUS_WORDS = 2;
+
+// Keeps the Supervisor's own resolution, for students who meant none of the choices
+export const AS_ASKED = "as-asked";
+
+// Subtopic nodes the query could mean, most likely first
+function findCandidates(state) {
+    const fromSupervisor = (state.ambiguity?.candidates || [])
+        .map(name => knowledgeBase.resolveTopic(name))
+        .filter(resolved => resolved?.subtopicId)
+        .map(resolved => knowledgeBase.getNode(resolved.subtopicId));
+
+    const isFirstTurn = !state.history || state.history.length === 0;
+    const fromText = isFirstTurn && tokenize(state.query).length <= MAX_AMBIGUOUS_WORDS
+        ? knowledgeBase.findSubtopicCandidates(state.query)
+        : [];
+
+    const seen = new Set();
+    return [...fromSupervisor, ...fromText].filter(node => node && !seen.has(node.id) && seen.add(node.id));
+}
+
+/**
+ * The choices offered for a query, or [] if it isn't ambiguous.
+ * Deterministic for a given state, so the node computes the same choices when it resumes.
+ */
+export function getClarificationChoices(state) {
+    const candidates = findCandidates(state);
+    if (candidates.length < 2) return [];
+
+    return [
+        ...candidates.slice(0, MAX_CHOICES).map(node => ({
+            id: node.id,
+            label: node.name,
+            topicName: knowledgeBase.getNode(node.topicId)?.name || null,
+            topicId: node.topicId,
+            subtopicId: node.id
+        })),
+        {
+            id: AS_ASKED,
+            label: "Something else — answer as asked",
+            topicName: null,
+            topicId: state.topicId,
+            subtopicId: state.subtopicId
+        }
+    ];
+}
+
+export async function runClarifier(state) {
+    if (state.rejected) return {};
+
+    const choices = getClarificationChoices(state);
+    if (choices.length === 0) return {};
+
+    const question = `"${state.query}" could mean a few different things. Which one should the walkthrough cover?`;
+
+    // Pauses the run here; on resume, interrupt() returns the client's { choiceId }
+    const answer = interrupt({ question, choices });
+
+    const choice = choices.find(c => c.id === answer?.choiceId) || choices.find(c => c.id === AS_ASKED);
+    console.log(`❓ Clarified "${state.query}" → ${choice.label}`);
+
+    if (choice.id === AS_ASKED) {
+        return { clarification: { question, choices, choiceId: choice.id } };
+    }
+    return {
+        topic: choice.label,
+        topicId: choice.topicId,
+        subtopicId: choice.subtopicId,
+        clarification: { question, choices, choiceId: choice.id }
+    };
+}
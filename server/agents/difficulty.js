@@ -0,0 +1,37 @@
+// ─── Difficulty Levels ── Depth of Explanation, Independent of Length ───
+// Duration sets how long a walkthrough is; difficulty sets who it is written
+// for. The guidance strings are injected into the researcher and media prompts.
+
+export const DEFAULT_DIFFICULTY = "intermediate";
+
+const LEVELS = {
+    beginner: {
+        audience: "a fresher meeting this topic for the first time",
+        researcher: "Assume no prior exposure. Define every term before using it, build intuition with a simple analogy, use small step-by-step examples, and keep code short and heavily commented. Avoid edge cases and optimisations beyond one brief mention.",
+        media: "Keep concepts introductory and the code snippet minimal.",
+        narration: "Use plain, friendly language and explain any jargon as you go."
+    },
+    intermediate: {
+        audience: "a candidate who knows the basics and is preparing for standard interview rounds",
+        researcher: "Recap the fundamentals briefly, then focus on how it works, common interview questions, complexity analysis and typical pitfalls. Use idiomatic code of moderate length.",
+        media: "Cover the core mechanisms and a typical interview-style code snippet.",
+        narration: "Use a clear, interview-prep tone and keep technical terms."
+    },
+    advanced: {
+        audience: "an experienced candidate preparing for senior or competitive rounds",
+        researcher: "Skip the basics. Go deep on internals, trade-offs between approaches, edge cases, optimisations, proofs of complexity where useful, and follow-up questions an interviewer would ask. Use precise terminology and production-quality code.",
+        media: "Highlight advanced trade-offs and an optimised code snippet.",
+        narration: "Be concise and technical; don't explain basic terms."
+    }
+};
+
+export const DIFFICULTY_LEVELS = Object.keys(LEVELS);
+
+export function isDifficulty(value) {
+    return DIFFICULTY_LEVELS.includes(value);
+}
+
+// Prompt guidance for a level, falling back to the default
+export function getDifficultyGuidance(difficulty) {
+    return LEVELS[difficulty] || LEVELS[DEFAULT_DIFFICULTY];
+}
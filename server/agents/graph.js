@@ -1,85 +1,237 @@
 // ─── LangGraph Orchestration ── StateGraph Wiring ───
-// Defines the shared state and wires Supervisor → Researcher → Media Engine
-// with conditional edges based on guardrail classification.
+// Defines the shared state and wires Injection Detector → Supervisor → Clarifier → Cache Lookup → Retriever →
+// Researcher → Verifier → Editor (word budget) → (Media Engine ∥ Quiz Generator) → Moderator → Cache Store →
+// Memory with conditional edges based on guardrail classification, cache hits (which go straight
+// to Memory), the verifier's critique and the moderation outcome (both of which can send the
+// walkthrough back to the Researcher).
+// State is checkpointed per conversation thread so follow-up questions can see
+// earlier turns, and so a run paused by the Clarifier can resume where it stopped.
 
 import { StateGraph, END } from "@langchain/langgraph";
+import { runInjectionDetector } from "./injectionDetector.js";
 import { runSupervisor } from "./supervisor.js";
+import { runClarifier } from "./clarifier.js";
+import { runRetriever } from "./retriever.js";
 import { runResearcher } from "./researcher.js";
+import { runVerifier } from "./verifier.js";
+import { runWordBudget } from "./wordBudget.js";
 import { runMediaEngine } from "./mediaEngine.js";
+import { runQuizGenerator } from "./quizGenerator.js";
+import { runModerator } from "./moderator.js";
+import { runMemory, checkpointer } from "./memory.js";
+import { runCacheLookup, runCacheStore } from "./responseCache.js";
+import { DEFAULT_DIFFICULTY } from "./difficulty.js";
 
 // ─── Shared State Schema ───
 // {
 //   query: string,        — user's raw input
 //   duration: number,     — 2–5 minutes
-//   topic: string | null, — detected topic from supervisor
+//   difficulty: string,   — beginner | intermediate | advanced (depth, independent of duration)
+//   topic: string | null, — detected topic from supervisor (knowledge-base name when resolved)
+//   topicId: string | null,    — resolved knowledge-base topic id
+//   subtopicId: string | null, — resolved subtopic id ("<topicId>/<slug>")
 //   rejected: boolean,    — whether the query was rejected
 //   rejectionReason: string | null,
-//   classification: string, — placement_topic | irrelevant | harmful
+//   classification: string, — placement_topic | irrelevant | harmful | injection | guardrail_error
+//   ambiguity: { candidates: string[] } | null — subtopics the supervisor thinks the query could mean
+//   clarification: { question, choices, choiceId } | null — the student's answer to the Clarifier
+//   sources: Array<{ index, passageId, documentId, title, heading, topicId, text, score }>
+//                             — study-note passages the walkthrough may cite as [index]
 //   markdown: string | null,  — generated content
+//   generationFailed: boolean, — the Teacher agent could not write the walkthrough;
+//                             the turn ends without verifier, media, quiz or cache
+//   critique: { verdict, revisions, issues: [{ criterion, detail }] } | null
+//                             — verdict: passed | revise | accepted_with_issues | unchecked
+//   wordBudget: { target, min, max, before, adjustment } | null
+//                             — adjustment: extended | condensed | trimmed | null
 //   imageUrl: string | null,  — generated image path
 //   audioText: string | null, — clean text for TTS
-//   mediaFailed: boolean      — whether media generation failed
+//   mediaFailed: boolean,     — whether media generation failed
+//   quiz: { questions: [{ stem, options, correctIndex, explanation }] } | null
+//   moderation: { action, regenerations, issues: [{ category, field, source }], reason } | null
+//                             — action: passed | redacted | regenerate | withheld | unchecked
+//   cache: { key, hit, storedAt?, expiresAt? } | null — response cache entry for this turn
+//                             (null when the turn isn't cacheable)
+//   history: Array<{ query, topic, summary }> — prior turns in this thread
 // }
+//
+// history is deliberately left out of the initial state: it is carried over
+// from the thread's last checkpoint, while every other field resets per turn.
 
-function createInitialState(query, duration) {
+function createInitialState(query, duration, difficulty = DEFAULT_DIFFICULTY) {
     return {
         query,
         duration: Math.min(5, Math.max(2, duration || 3)),
+        difficulty,
         topic: null,
+        topicId: null,
+        subtopicId: null,
         rejected: false,
         rejectionReason: null,
         classification: null,
+        ambiguity: null,
+        clarification: null,
+        sources: [],
         markdown: null,
+        generationFailed: false,
+        critique: null,
+        wordBudget: null,
         imageUrl: null,
         audioText: null,
-        mediaFailed: false
+        mediaFailed: false,
+        quiz: null,
+        moderation: null,
+        cache: null
     };
 }
 
+// ─── Route function: after the injection detector, decide next node ───
+function routeAfterInjectionDetector(state) {
+    if (state.rejected) {
+        return "end";
+    }
+    return "supervisor";
+}
+
 // ─── Route function: after supervisor, decide next node ───
 function routeAfterSupervisor(state) {
     if (state.rejected) {
         return "end";
     }
-    return "researcher";
+    return "clarifier";
+}
+
+// ─── Route function: after the cache lookup, serve the hit or generate ───
+function routeAfterCacheLookup(state) {
+    if (state.cache?.hit) {
+        return "memory";
+    }
+    return "retriever";
+}
+
+// ─── Route function: after researcher, check the draft or give up ───
+function routeAfterResearcher(state) {
+    if (state.generationFailed) {
+        return "end";
+    }
+    return "verifier";
+}
+
+// ─── Route function: after verifier, revise or fit the word budget ───
+function routeAfterVerifier(state) {
+    if (state.critique?.verdict === "revise") {
+        return "researcher";
+    }
+    return "editor";
+}
+
+// ─── Route function: after moderator, regenerate or finish the turn ───
+function routeAfterModerator(state) {
+    if (state.moderation?.action === "regenerate") {
+        return "researcher";
+    }
+    return "cacheStore";
 }
 
+// Last-write-wins reducer. Unlike `b ?? a`, an explicit null clears the value,
+// so per-turn fields don't leak from the previous checkpoint of the thread.
+const replace = (a, b) => (b === undefined ? a : b);
+
 // ─── Build the graph ───
 export function buildAgentGraph() {
     const graph = new StateGraph({
         channels: {
-            query: { value: (a, b) => b ?? a, default: () => "" },
-            duration: { value: (a, b) => b ?? a, default: () => 3 },
-            topic: { value: (a, b) => b ?? a, default: () => null },
-            rejected: { value: (a, b) => b ?? a, default: () => false },
-            rejectionReason: { value: (a, b) => b ?? a, default: () => null },
-            classification: { value: (a, b) => b ?? a, default: () => null },
-            markdown: { value: (a, b) => b ?? a, default: () => null },
-            imageUrl: { value: (a, b) => b ?? a, default: () => null },
-            audioText: { value: (a, b) => b ?? a, default: () => null },
-            mediaFailed: { value: (a, b) => b ?? a, default: () => false },
+            query: { value: replace, default: () => "" },
+            duration: { value: replace, default: () => 3 },
+            difficulty: { value: replace, default: () => DEFAULT_DIFFICULTY },
+            topic: { value: replace, default: () => null },
+            topicId: { value: replace, default: () => null },
+            subtopicId: { value: replace, default: () => null },
+            rejected: { value: replace, default: () => false },
+            rejectionReason: { value: replace, default: () => null },
+            classification: { value: replace, default: () => null },
+            ambiguity: { value: replace, default: () => null },
+            clarification: { value: replace, default: () => null },
+            sources: { value: replace, default: () => [] },
+            markdown: { value: replace, default: () => null },
+            generationFailed: { value: replace, default: () => false },
+            critique: { value: replace, default: () => null },
+            wordBudget: { value: replace, default: () => null },
+            imageUrl: { value: replace, default: () => null },
+            audioText: { value: replace, default: () => null },
+            mediaFailed: { value: replace, default: () => false },
+            quiz: { value: replace, default: () => null },
+            moderation: { value: replace, default: () => null },
+            cache: { value: replace, default: () => null },
+            history: { value: replace, default: () => [] },
         }
     });
 
     // Add nodes
+    graph.addNode("injectionDetector", runInjectionDetector);
     graph.addNode("supervisor", runSupervisor);
+    graph.addNode("clarifier", runClarifier);
+    graph.addNode("cacheLookup", runCacheLookup);
+    graph.addNode("retriever", runRetriever);
     graph.addNode("researcher", runResearcher);
+    graph.addNode("verifier", runVerifier);
+    graph.addNode("editor", runWordBudget);
     graph.addNode("mediaEngine", runMediaEngine);
+    graph.addNode("quizGenerator", runQuizGenerator);
+    graph.addNode("moderator", runModerator);
+    graph.addNode("cacheStore", runCacheStore);
+    graph.addNode("memory", runMemory);
 
     // Set entry point
-    graph.setEntryPoint("supervisor");
+    graph.setEntryPoint("injectionDetector");
+
+    // Blocked injection attempts never reach the supervisor
+    graph.addConditionalEdges("injectionDetector", routeAfterInjectionDetector, {
+        supervisor: "supervisor",
+        end: END
+    });
 
     // Conditional edge after supervisor
     graph.addConditionalEdges("supervisor", routeAfterSupervisor, {
-        researcher: "researcher",
+        clarifier: "clarifier",
+        end: END
+    });
+
+    // Ambiguous queries pause inside the clarifier until the student picks a subtopic
+    graph.addEdge("clarifier", "cacheLookup");
+
+    graph.addConditionalEdges("cacheLookup", routeAfterCacheLookup, {
+        retriever: "retriever",
+        memory: "memory"
+    });
+
+    graph.addEdge("retriever", "researcher");
+
+    // A failed generation skips everything downstream, so nothing is cached or recorded
+    graph.addConditionalEdges("researcher", routeAfterResearcher, {
+        verifier: "verifier",
         end: END
     });
 
-    // Linear edges for the rest
-    graph.addEdge("researcher", "mediaEngine");
-    graph.addEdge("mediaEngine", END);
+    graph.addConditionalEdges("verifier", routeAfterVerifier, {
+        researcher: "researcher",
+        editor: "editor"
+    });
+
+    // Media and quiz both only read the final walkthrough, so they run in parallel
+    // (each returns just its own fields) and the moderator waits for both
+    graph.addEdge("editor", "mediaEngine");
+    graph.addEdge("editor", "quizGenerator");
+    graph.addEdge(["mediaEngine", "quizGenerator"], "moderator");
+
+    graph.addConditionalEdges("moderator", routeAfterModerator, {
+        researcher: "researcher",
+        cacheStore: "cacheStore"
+    });
+    graph.addEdge("cacheStore", "memory");
+    graph.addEdge("memory", END);
 
-    return graph.compile();
+    return graph.compile({ checkpointer });
 }
 
 export { createInitialState };
@@ -0,0 +1,109 @@
+// ─── Interview Graph ── Mock Technical Interview Flow ───
+// A separate StateGraph from the tutor's walkthrough graph (graph.js):
+// Planner → Questioner → Candidate → Evaluator, looping back to the Questioner
+// for a follow-up or the next subtopic, then Reporter once every subtopic is
+// covered. The Candidate node pauses the run for each answer, so one interview
+// is one checkpointed thread (see interview/interviewService.js).
+
+import { StateGraph, END } from "@langchain/langgraph";
+import { checkpointer } from "./memory.js";
+import { DEFAULT_DIFFICULTY } from "./difficulty.js";
+import {
+    DEFAULT_QUESTION_COUNT,
+    runInterviewPlanner,
+    runQuestioner,
+    runCandidate,
+    runEvaluator,
+    runReporter
+} from "./interviewer.js";
+
+// ─── Interview State Schema ───
+// {
+//   topic: string,             — knowledge-base topic name
+//   topicId: string,
+//   difficulty: string,        — beginner | intermediate | advanced
+//   questionCount: number,     — subtopics to cover when none were chosen
+//   subtopics: Array<{ id, name }> — chosen by the student, or sampled by the planner
+//   position: number,          — index of the subtopic being asked about
+//   followUps: number,         — follow-ups asked on the current subtopic
+//   currentQuestion: { text, subtopicId, subtopicName, followUp, number } | null
+//                              — the question the run is paused on
+//   exchanges: Array<{ question, subtopicId, subtopicName, followUp, number, answer,
+//     evaluation: { unchecked, scores, score, strengths, weakPoints, feedback } }>
+//   report: { overall, maxCriterionScore, subtopics: [...], review: [...] } | null
+// }
+
+function createInterviewState({ topic, topicId, difficulty, questionCount, subtopics }) {
+    return {
+        topic,
+        topicId,
+        difficulty: difficulty || DEFAULT_DIFFICULTY,
+        questionCount: questionCount || DEFAULT_QUESTION_COUNT,
+        subtopics: subtopics || [],
+        position: 0,
+        followUps: 0,
+        currentQuestion: null,
+        exchanges: [],
+        report: null
+    };
+}
+
+// ─── Route function: after an evaluation, ask again or write the report ───
+function routeAfterEvaluator(state) {
+    if (state.position < state.subtopics.length) {
+        return "questioner";
+    }
+    return "reporter";
+}
+
+// ─── Route function: a topic without subtopics has nothing to ask ───
+function routeAfterPlanner(state) {
+    return state.subtopics.length > 0 ? "questioner" : "reporter";
+}
+
+const replace = (a, b) => (b === undefined ? a : b);
+
+// ─── Build the graph ───
+export function buildInterviewGraph() {
+    const graph = new StateGraph({
+        channels: {
+            topic: { value: replace, default: () => "" },
+            topicId: { value: replace, default: () => null },
+            difficulty: { value: replace, default: () => DEFAULT_DIFFICULTY },
+            questionCount: { value: replace, default: () => DEFAULT_QUESTION_COUNT },
+            subtopics: { value: replace, default: () => [] },
+            position: { value: replace, default: () => 0 },
+            followUps: { value: replace, default: () => 0 },
+            currentQuestion: { value: replace, default: () => null },
+            exchanges: { value: replace, default: () => [] },
+            report: { value: replace, default: () => null },
+        }
+    });
+
+    graph.addNode("planner", runInterviewPlanner);
+    graph.addNode("questioner", runQuestioner);
+    graph.addNode("candidate", runCandidate);
+    graph.addNode("evaluator", runEvaluator);
+    graph.addNode("reporter", runReporter);
+
+    graph.setEntryPoint("planner");
+
+    graph.addConditionalEdges("planner", routeAfterPlanner, {
+        questioner: "questioner",
+        reporter: "reporter"
+    });
+
+    // The candidate node waits for the typed answer before it is evaluated
+    graph.addEdge("questioner", "candidate");
+    graph.addEdge("candidate", "evaluator");
+
+    graph.addConditionalEdges("evaluator", routeAfterEvaluator, {
+        questioner: "questioner",
+        reporter: "reporter"
+    });
+    graph.addEdge("reporter", END);
+
+    return graph.compile({ checkpointer });
+}
+
+export { createInterviewState };
@@ -1,11 +1,12 @@
 // ─── Media Engine Agent (Node C) ── Image & Audio Generator ───
 // Generates an illustrative SVG image and prepares a clean TTS script
-// using Groq for text processing. Handles failures gracefully.
+// using the configured LLM provider for text processing. Handles failures gracefully.
 
-import Groq from "groq-sdk";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { getChatModel } from "../llm/providers.js";
+import { getDifficultyGuidance } from "./difficulty.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,30 +21,29 @@ try {
   // Serverless environment — filesystem is read-only, SVGs will use data URLs
 }
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
+// Runs in parallel with the quiz generator, so only the media fields are returned
 export async function runMediaEngine(state) {
   // If rejected or no markdown content, skip media generation
-  if (state.rejected || !state.markdown) return state;
+  if (state.rejected || !state.markdown) return {};
 
   let imageUrl = null;
   let audioText = null;
   let mediaFailed = false;
+  const level = getDifficultyGuidance(state.difficulty);
 
   // ─── Run Image + Audio generation in PARALLEL ───
   const [imageResult, audioResult] = await Promise.allSettled([
     // Task 1: Image metadata
-    groq.chat.completions.create({
-      model: "llama-3.1-8b-instant",
-      messages: [
-        {
-          role: "user",
-          content: `Generate metadata for an infographic about EXACTLY this topic: "${state.topic}".
+    getChatModel("media", { temperature: 0.3, maxTokens: 500 }).invoke([
+      {
+        role: "user",
+        content: `Generate metadata for an infographic about EXACTLY this topic: "${state.topic}".
 
 CRITICAL RULES:
 - The title MUST be about "${state.topic}" specifically, NOT a generic parent category.
 - keyConcepts must be 4 sub-concepts WITHIN "${state.topic}", not sibling topics.
 - codeSnippet MUST demonstrate "${state.topic}" specifically.
+- The audience is ${level.audience}. ${level.media}
 
 Return ONLY a raw JSON object (no markdown):
 {
@@ -54,34 +54,26 @@ Return ONLY a raw JSON object (no markdown):
   "codeSnippet": "A 5-8 line code example demonstrating ${state.topic}. Use literal backslash-n (\\\\n) to separate lines. Each line under 50 chars.",
   "interviewTip": "One interview tip specifically about ${state.topic} (max 20 words)"
 }`
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.3,
-    }),
+      }
+    ]),
     // Task 2: TTS script
-    groq.chat.completions.create({
-      model: "llama-3.1-8b-instant",
-      messages: [
-        {
-          role: "user",
-          content: `Convert the following markdown content into a clean, natural-sounding script for text-to-speech narration. 
+    getChatModel("media", { temperature: 0.5, maxTokens: 1500 }).invoke([
+      {
+        role: "user",
+        content: `Convert the following markdown content into a clean, natural-sounding script for text-to-speech narration. 
 Remove all markdown formatting, code blocks, and special characters. 
-Keep it conversational and clear. Limit to ${state.duration || 3} minutes of speech (~${(state.duration || 3) * 150} words).
+Keep it conversational and clear. ${level.narration} Limit to ${state.duration || 3} minutes of speech (~${(state.duration || 3) * 150} words).
 
 Content:
 ${state.markdown.substring(0, 3000)}`
-        }
-      ],
-      max_tokens: 1500,
-      temperature: 0.5,
-    })
+      }
+    ])
   ]);
 
   // Process image result
   if (imageResult.status === "fulfilled") {
     try {
-      const raw = imageResult.value.choices[0]?.message?.content?.trim() || "{}";
+      const raw = imageResult.value.content?.trim() || "{}";
       const jsonMatch = raw.match(/\{[\s\S]*\}/);
       const imageMetadata = JSON.parse(jsonMatch ? jsonMatch[0] : raw);
       const svgContent = generateTopicSVG(imageMetadata);
@@ -113,14 +105,13 @@ ${state.markdown.substring(0, 3000)}`
 
   // Process audio result
   if (audioResult.status === "fulfilled") {
-    audioText = audioResult.value.choices[0]?.message?.content?.trim() || null;
+    audioText = audioResult.value.content?.trim() || null;
   } else {
     console.error("Audio script generation error:", audioResult.reason?.message);
     mediaFailed = true;
   }
 
   return {
-    ...state,
     imageUrl,
     audioText,
     mediaFailed
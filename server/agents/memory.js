@@ -0,0 +1,136 @@
+// ─── Conversation Memory (Node D) ── Thread History & Checkpointer ───
+// Keeps the prior turns of a conversation (query, topic, markdown summary) in
+// the graph state so follow-up questions can build on earlier walkthroughs.
+//
+// The checkpointer lives in process memory. It is bounded: idle threads expire
+// after THREAD_TTL_MS, the least recently used threads are dropped beyond
+// MAX_THREADS, and each thread keeps only its latest checkpoints. On serverless
+// deployments every instance has its own store, so a follow-up or a clarification
+// resume that reaches another (or a cold) instance starts without that history.
+
+import { MemorySaver } from "@langchain/langgraph";
+
+// Only the most recent turns are fed back into the prompts
+export const MAX_HISTORY_TURNS = 5;
+
+// Threads idle for longer than this are forgotten
+export const THREAD_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_THREADS = 1000;
+// Resuming needs the latest checkpoint and its parent; older ones are never read
+const CHECKPOINTS_PER_THREAD = 4;
+
+// MemorySaver that forgets idle threads and old checkpoints instead of growing forever
+class BoundedMemorySaver extends MemorySaver {
+    constructor() {
+        super();
+        // thread_id → last read or write, least recently used first
+        this.lastUsed = new Map();
+    }
+
+    touch(threadId) {
+        if (threadId === undefined) return;
+        this.lastUsed.delete(threadId);
+        this.lastUsed.set(threadId, Date.now());
+    }
+
+    forget(threadId) {
+        this.lastUsed.delete(threadId);
+        delete this.storage[threadId];
+        for (const key of Object.keys(this.writes)) {
+            if (JSON.parse(key)[0] === threadId) delete this.writes[key];
+        }
+    }
+
+    evict() {
+        const cutoff = Date.now() - THREAD_TTL_MS;
+        for (const [threadId, usedAt] of this.lastUsed) {
+            if (usedAt >= cutoff && this.lastUsed.size <= MAX_THREADS) break;
+            this.forget(threadId);
+        }
+    }
+
+    // Drops all but the newest checkpoints (ids sort by creation time) and their writes
+    trim(threadId, namespace) {
+        const checkpoints = this.storage[threadId]?.[namespace];
+        if (!checkpoints) return;
+        const stale = Object.keys(checkpoints).sort((a, b) => b.localeCompare(a)).slice(CHECKPOINTS_PER_THREAD);
+        for (const checkpointId of stale) {
+            delete checkpoints[checkpointId];
+            delete this.writes[JSON.stringify([threadId, namespace, checkpointId])];
+        }
+    }
+
+    async getTuple(config) {
+        const threadId = config.configurable?.thread_id;
+        if (this.lastUsed.has(threadId)) this.touch(threadId);
+        return super.getTuple(config);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const saved = await super.put(config, checkpoint, metadata);
+        const { thread_id: threadId, checkpoint_ns: namespace } = saved.configurable;
+        this.touch(threadId);
+        this.trim(threadId, namespace);
+        this.evict();
+        return saved;
+    }
+}
+
+// Shared in-process checkpointer — graph state is persisted per thread_id
+export const checkpointer = new BoundedMemorySaver();
+
+// Condenses a walkthrough into its headings plus a short lead-in,
+// which is enough for the agents to know what was already covered.
+export function summarizeMarkdown(markdown, maxLength = 400) {
+    if (!markdown) return "";
+
+    const withoutCode = markdown.replace(/```[\s\S]*?```/g, "");
+    const lines = withoutCode.split("\n");
+
+    const headings = lines
+        .filter(line => /^#{1,3}\s/.test(line))
+        .map(line => line.replace(/^#+\s*/, "").trim());
+
+    const lead = lines
+        .filter(line => !/^#+\s/.test(line))
+        .join(" ")
+        .replace(/[#*_`>|-]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    const summary = headings.length > 0
+        ? `Covered: ${headings.join("; ")}. ${lead}`
+        : lead;
+
+    return summary.length > maxLength ? `${summary.substring(0, maxLength)}…` : summary;
+}
+
+// Renders history as a prompt block for the supervisor and researcher
+export function formatHistory(history = []) {
+    if (history.length === 0) return "None — this is the first question in the conversation.";
+
+    return history
+        .map((turn, i) => `${i + 1}. Student asked: "${turn.query}"\n   Topic: ${turn.topic}\n   Summary: ${turn.summary}`)
+        .join("\n");
+}
+
+// Builds the history entry for a completed turn
+export function createTurn(state) {
+    return {
+        query: state.query,
+        topic: state.topic || state.query,
+        summary: summarizeMarkdown(state.markdown)
+    };
+}
+
+// Graph node: appends the finished turn to the thread's history
+export async function runMemory(state) {
+    if (state.rejected || !state.markdown) return state;
+
+    const history = [...(state.history || []), createTurn(state)].slice(-MAX_HISTORY_TURNS);
+
+    return {
+        ...state,
+        history
+    };
+}
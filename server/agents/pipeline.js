@@ -0,0 +1,316 @@
+// ─── Agent Pipeline ── Shared by the Express and Vercel Backends ───
+// Single entry point into the LangGraph agents. Both transports
+// (server/routes/chat.js and api/chat.js) are thin adapters around
+// parseChatRequest() + streamPipeline(), so the event protocol and the
+// response shape are identical regardless of deployment.
+//
+// Event protocol — one JSON object per line (NDJSON):
+//   { step: "injection",        data: { rejected, classification } } — classification "injection" when blocked
+//   { step: "supervisor",       data: { rejected, classification, topic, topicId, subtopicId } }
+//   { step: "clarification",    data: { question, choices } } — the run is paused until the
+//                                 client resumes the thread with one of the choice ids
+//   { step: "retriever",        data: { sources } }       — cited study-note passages
+//   { step: "researcher_delta", data: { delta } }        — streamed walkthrough tokens
+//   { step: "researcher",       data: { markdown } }
+//   { step: "verifier",         data: { verdict, revisions, issues } }
+//                                 — verdict "revise" means the walkthrough streams again
+//   { step: "word_budget",      data: { target, min, max, before, adjustment, markdown? } }
+//                                 — markdown only when it was extended, condensed or trimmed
+//   { step: "media",            data: { imageUrl, audioText, mediaFailed } }
+//   { step: "quiz",             data: { quiz } }            — null if no valid quiz; questions carry
+//                                 no correctIndex / explanation, which only come back
+//                                 from POST /api/progress/:id/quiz once the student answers
+//   { step: "moderation",       data: { action, regenerations, issues, markdown?, audioText? } }
+//                                 — markdown / audioText only when moderation changed them;
+//                                   action "regenerate" means the walkthrough streams again
+//   { step: "done",             data: <chat response> }
+//   { step: "error",            data: { error } }             — also sent instead of "done" when
+//                                 the walkthrough could not be generated
+//
+// A response-cache hit replays the stored walkthrough as the same events, from
+// retriever to moderation (the walkthrough arrives as one researcher_delta), and
+// the chat response has cached: true.
+//
+// A paused run is continued by POSTing { threadId, resume: { choiceId } } instead of
+// a query; the stream then picks up after the Clarifier with the same events. A
+// thread with no pending question, or an unknown choice, gets a single error event.
+//
+// Threads are checkpointed in process memory (see memory.js) and expire when idle.
+// On serverless deployments each instance has its own checkpoints, so a follow-up
+// that lands elsewhere starts without history, and a resume ends with an error event.
+
+import { v4 as uuidv4 } from "uuid";
+import { Command } from "@langchain/langgraph";
+import { buildAgentGraph, createInitialState } from "./graph.js";
+import { getProviderConfigError } from "../llm/providers.js";
+import { isPracticeTopic } from "../practice/problems.js";
+import { describeLength } from "./wordBudget.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTY_LEVELS, isDifficulty } from "./difficulty.js";
+import { recordWalkthrough } from "../progress/progress.js";
+
+// Build the compiled graph once per process / warm function instance
+let compiledGraph = null;
+
+function getGraph() {
+    if (!compiledGraph) {
+        compiledGraph = buildAgentGraph();
+    }
+    return compiledGraph;
+}
+
+// Checkpoints are keyed per user, so one student can't read or resume another's thread
+function threadConfig({ threadId, userId }) {
+    return { configurable: { thread_id: userId ? `${userId}:${threadId}` : threadId } };
+}
+
+// ─── Request validation ───
+// Returns { input } on success or { error } with a client-facing message.
+export function parseChatRequest(body = {}) {
+    const { query, duration, difficulty, threadId, resume } = body;
+
+    // Answer to a clarifying question — continues the paused run on its thread
+    if (resume !== undefined) {
+        if (typeof threadId !== "string" || !threadId.trim()) {
+            return { error: "threadId is required to resume a conversation" };
+        }
+        if (!resume || typeof resume.choiceId !== "string" || !resume.choiceId.trim()) {
+            return { error: "resume.choiceId is required" };
+        }
+        return { input: { threadId: threadId.trim(), resume: { choiceId: resume.choiceId.trim() } } };
+    }
+
+    if (!query || typeof query !== "string" || query.trim().length === 0) {
+        return { error: "Query is required" };
+    }
+    if (difficulty !== undefined && difficulty !== null && !isDifficulty(difficulty)) {
+        return { error: `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}` };
+    }
+
+    return {
+        input: {
+            query: query.trim(),
+            duration: parseInt(duration) || 3,
+            difficulty: difficulty || DEFAULT_DIFFICULTY,
+            // Each conversation thread keeps its own checkpointed history
+            threadId: typeof threadId === "string" && threadId.trim() ? threadId.trim() : uuidv4()
+        }
+    };
+}
+
+// ─── Citations ── retrieved passages without their full text ───
+const EXCERPT_LENGTH = 280;
+
+function toCitations(sources = []) {
+    return sources.map(({ index, documentId, title, heading, topicId, text, score }) => ({
+        index,
+        documentId,
+        title,
+        heading,
+        topicId,
+        score,
+        excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text
+    }));
+}
+
+// ─── Moderation outcome without the reason, which may quote the flagged content ───
+function toModerationSummary(moderation) {
+    if (!moderation) return null;
+    const { action, regenerations, issues } = moderation;
+    return { action, regenerations, issues };
+}
+
+// ─── Quiz without its answer key, which stays on the server (see progress/progress.js) ───
+function toPublicQuiz(quiz) {
+    if (!quiz) return null;
+    return { ...quiz, questions: quiz.questions.map(({ correctIndex, explanation, ...question }) => question) };
+}
+
+// ─── Replay a cached walkthrough through the usual stage events ───
+function emitCachedWalkthrough(state, emit) {
+    emit("retriever", { sources: toCitations(state.sources) });
+    emit("researcher_delta", { delta: state.markdown });
+    emit("researcher", { markdown: state.markdown });
+    if (state.critique) emit("verifier", state.critique);
+    if (state.wordBudget) emit("word_budget", state.wordBudget);
+    emit("media", { imageUrl: state.imageUrl, audioText: state.audioText, mediaFailed: state.mediaFailed });
+    emit("quiz", { quiz: toPublicQuiz(state.quiz) });
+    if (state.moderation) emit("moderation", toModerationSummary(state.moderation));
+}
+
+// ─── Clarifying question the thread is paused on, or null ───
+function getPendingClarification(snapshot) {
+    const pending = (snapshot.tasks || []).flatMap(task => task.interrupts || []);
+    return pending.length > 0 ? pending[0].value : null;
+}
+
+// The walkthrough is still delivered when progress can't be saved (see storage/index.js)
+function recordProgress(userId, state) {
+    try {
+        return recordWalkthrough(userId, state).id;
+    } catch (error) {
+        console.error("Failed to record progress:", error.message);
+        return null;
+    }
+}
+
+// Shown instead of the provider's error, which may leak internals
+const GENERATION_FAILED_MESSAGE = "We couldn't generate this walkthrough right now. Please try again in a moment.";
+
+// ─── Final response shape ───
+// clarification is set when the run paused to ask which subtopic was meant;
+// the walkthrough fields are then empty until the thread is resumed.
+function toChatResponse(threadId, state, clarification = null) {
+    return {
+        threadId,
+        query: state.query,
+        topic: state.topic,
+        topicId: state.topicId,
+        subtopicId: state.subtopicId,
+        duration: state.duration,
+        difficulty: state.difficulty,
+        rejected: state.rejected,
+        rejectionReason: state.rejectionReason,
+        classification: state.classification,
+        markdown: state.markdown,
+        generationFailed: Boolean(state.generationFailed),
+        // The walkthrough was generated, passed the guardrails and reached the student
+        delivered: !state.generationFailed && !state.rejected && !clarification
+            && Boolean(state.markdown) && state.moderation?.action !== "withheld",
+        imageUrl: state.imageUrl,
+        audioText: state.audioText,
+        mediaFailed: state.mediaFailed,
+        quiz: toPublicQuiz(state.quiz),
+        critique: state.critique,
+        // Measured on the delivered walkthrough: { words, target, min, max, withinBudget,
+        // adjustment, readingMinutes, speakingMinutes }
+        wordBudget: describeLength(state),
+        moderation: toModerationSummary(state.moderation),
+        sources: toCitations(state.sources),
+        clarification,
+        // Served from the response cache, and when it was generated
+        cached: Boolean(state.cache?.hit),
+        cachedAt: state.cache?.hit ? state.cache.storedAt : null,
+        // Data Structures walkthroughs offer a coding practice problem
+        practiceAvailable: !state.rejected && !clarification && (state.topicId === "data-structures" || isPracticeTopic(state.topic))
+    };
+}
+
+// ─── Run the graph, emitting protocol events as the agents progress ───
+// emit(step, data) is called for every event; resolves with the final response.
+// userId (the signed-in student) scopes the thread; it is set by the transport, not the client.
+export async function runPipeline({ query, duration, difficulty, threadId, userId, resume }, emit) {
+    const graph = getGraph();
+    const config = threadConfig({ threadId, userId });
+    const graphInput = resume ? new Command({ resume }) : createInitialState(query, duration, difficulty);
+
+    const stream = await graph.stream(graphInput, {
+        ...config,
+        streamMode: ["updates", "messages"]
+    });
+
+    for await (const [mode, chunk] of stream) {
+        if (mode === "messages") {
+            // Token-level output — only the Teacher agent's walkthrough is forwarded
+            const [message, metadata] = chunk;
+            if (metadata?.langgraph_node === "researcher" && message.content) {
+                emit("researcher_delta", { delta: message.content });
+            }
+            continue;
+        }
+
+        // Node-level output — one stage event per finished agent
+        if (chunk.injectionDetector) {
+            const { rejected = false, classification = null } = chunk.injectionDetector;
+            emit("injection", { rejected, classification });
+        } else if (chunk.supervisor) {
+            const { rejected, classification, topic, topicId, subtopicId } = chunk.supervisor;
+            emit("supervisor", { rejected, classification, topic, topicId, subtopicId });
+        } else if (chunk.cacheLookup?.cache?.hit) {
+            emitCachedWalkthrough(chunk.cacheLookup, emit);
+        } else if (chunk.retriever) {
+            emit("retriever", { sources: toCitations(chunk.retriever.sources) });
+        } else if (chunk.researcher) {
+            // A failed draft is reported once as the run's error event
+            if (!chunk.researcher.generationFailed) {
+                emit("researcher", { markdown: chunk.researcher.markdown });
+            }
+        } else if (chunk.verifier?.critique) {
+            emit("verifier", chunk.verifier.critique);
+        } else if (chunk.editor?.wordBudget) {
+            emit("word_budget", { ...chunk.editor.wordBudget, markdown: chunk.editor.markdown });
+        } else if (chunk.mediaEngine) {
+            const { imageUrl, audioText, mediaFailed } = chunk.mediaEngine;
+            emit("media", { imageUrl, audioText, mediaFailed });
+        } else if (chunk.quizGenerator) {
+            emit("quiz", { quiz: toPublicQuiz(chunk.quizGenerator.quiz) });
+        } else if (chunk.moderator?.moderation) {
+            const { markdown, audioText } = chunk.moderator;
+            emit("moderation", { ...toModerationSummary(chunk.moderator.moderation), markdown, audioText });
+        }
+    }
+
+    const snapshot = await graph.getState(config);
+    const clarification = getPendingClarification(snapshot);
+    if (clarification) {
+        emit("clarification", clarification);
+    }
+
+    const response = toChatResponse(threadId, snapshot.values, clarification);
+    // Only delivered walkthroughs count towards the student's progress; quiz
+    // answers are scored later against the record (POST /api/progress/:id/quiz)
+    response.progressId = userId && response.delivered ? recordProgress(userId, snapshot.values) : null;
+    if (response.generationFailed) {
+        emit("error", { error: GENERATION_FAILED_MESSAGE });
+        return response;
+    }
+    emit("done", response);
+    return response;
+}
+
+// ─── Helper: write a JSON line to the stream ───
+function writeLine(res, data) {
+    res.write(JSON.stringify(data) + "\n");
+}
+
+// ─── Stream the pipeline over a Node HTTP response (Express or Vercel) ───
+export async function streamPipeline(res, input) {
+    const configError = getProviderConfigError();
+    if (configError) {
+        return res.status(500).json({ error: configError });
+    }
+
+    // Past this point every outcome, including a refused resume, is an event on the stream
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.status(200);
+
+    const fail = (error) => {
+        writeLine(res, { step: "error", data: { error } });
+        res.end();
+    };
+
+    try {
+        if (input.resume) {
+            // Only a thread that is paused on a question can be resumed, with one of its choices
+            const clarification = getPendingClarification(await getGraph().getState(threadConfig(input)));
+            if (!clarification) {
+                return fail("This conversation has no pending question to answer — it may have expired. Please ask again.");
+            }
+            if (!clarification.choices.some(choice => choice.id === input.resume.choiceId)) {
+                return fail("Unknown choice for this question");
+            }
+            console.log(`\n📨 Resume: choice "${input.resume.choiceId}" | Thread: ${input.threadId}`);
+        } else {
+            console.log(`\n📨 Query: "${input.query}" | Duration: ${input.duration} min | Difficulty: ${input.difficulty} | Thread: ${input.threadId}`);
+        }
+
+        const result = await runPipeline(input, (step, data) => writeLine(res, { step, data }));
+
+        console.log(`✅ Result: rejected=${result.rejected}, generationFailed=${result.generationFailed}, topic=${result.topic}, mediaFailed=${result.mediaFailed}, cached=${result.cached}`);
+        res.end();
+    } catch (error) {
+        console.error("Chat pipeline error:", error);
+        fail(`AI processing failed: ${error.message}`);
+    }
+}
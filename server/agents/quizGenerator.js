@@ -0,0 +1,74 @@
+// ─── Quiz Generator Agent (Node E) ── Check-Your-Understanding MCQs ───
+// Turns the Teacher agent's walkthrough into 3–5 multiple-choice questions,
+// grounded only in the generated markdown and validated against a schema.
+
+import { z } from "zod";
+import { getChatModel } from "../llm/providers.js";
+
+export const QuizSchema = z.object({
+    questions: z.array(
+        z.object({
+            stem: z.string().min(1),
+            options: z.array(z.string().min(1)).min(2).max(6),
+            correctIndex: z.number().int().nonnegative(),
+            explanation: z.string().min(1)
+        }).refine(q => q.correctIndex < q.options.length, {
+            message: "correctIndex must point at one of the options"
+        })
+    ).min(3).max(5)
+});
+
+const SYSTEM_PROMPT = `You are a quiz writer for an AI Tutor focused on placement preparation.
+
+Write 3 to 5 multiple-choice questions that check whether a student understood the walkthrough they just read.
+
+RULES:
+- Every question must be answerable from the walkthrough alone — do not test facts it doesn't mention.
+- Each question has exactly 4 options and exactly one correct answer.
+- correctIndex is the 0-based index of the correct option.
+- The explanation says in one or two sentences why the correct option is right.
+- Vary the position of the correct option.
+
+Respond with ONLY a JSON object (no markdown, no code fences):
+{"questions": [{"stem": "question text", "options": ["A", "B", "C", "D"], "correctIndex": 0, "explanation": "why"}]}`;
+
+// Maximum attempts before giving up on a valid quiz
+const MAX_ATTEMPTS = 2;
+
+function parseQuiz(text) {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    return QuizSchema.safeParse(JSON.parse(jsonMatch ? jsonMatch[0] : cleaned));
+}
+
+export async function runQuizGenerator(state) {
+    // Runs in parallel with the media engine, so only the quiz field is returned
+    if (state.rejected || !state.markdown) return {};
+
+    const model = getChatModel("quiz");
+    const messages = [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: `Walkthrough on "${state.topic}":\n\n${state.markdown.substring(0, 6000)}` }
+    ];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            const response = await model.invoke(messages);
+            const result = parseQuiz(response.content);
+
+            if (result.success) {
+                return { quiz: result.data };
+            }
+
+            // Ask the model to repair its own output on the next attempt
+            messages.push(
+                { role: "assistant", content: response.content },
+                { role: "user", content: `That JSON did not match the required format: ${result.error.issues.map(i => i.message).join("; ")}. Reply with the corrected JSON only.` }
+            );
+        } catch (error) {
+            console.error(`Quiz generator error (attempt ${attempt}):`, error.message);
+        }
+    }
+
+    return { quiz: null };
+}
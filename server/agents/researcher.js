@@ -2,56 +2,97 @@
 // Generates pedagogically structured Markdown content for a placement topic.
 // Respects the duration parameter: ~150 words per minute.
 
-import { ChatGroq } from "@langchain/groq";
 import knowledgeBase from "../knowledgeBase.js";
-
-const model = new ChatGroq({
-    model: "llama-3.3-70b-versatile",
-    apiKey: process.env.GROQ_API_KEY,
-    temperature: 0.7,
-});
-
-const DURATION_MAP = {
-    2: { words: 300, label: "concise" },
-    3: { words: 450, label: "moderate" },
-    4: { words: 600, label: "detailed" },
-    5: { words: 750, label: "comprehensive" }
-};
+import { getChatModel } from "../llm/providers.js";
+import { formatHistory } from "./memory.js";
+import { formatSources } from "./retriever.js";
+import { getWordTarget } from "./wordBudget.js";
+import { getDifficultyGuidance } from "./difficulty.js";
+import { AS_ASKED } from "./clarifier.js";
 
 const SYSTEM_PROMPT = `You are an expert AI Tutor specializing in placement preparation. You create clear, structured, pedagogically sound walkthroughs for students.
 
 AVAILABLE TOPICS FOR CONTEXT:
 {TOPICS}
 
+EARLIER IN THIS CONVERSATION:
+{HISTORY}
+
+PREREQUISITES THIS WALKTHROUGH ASSUMES (from the knowledge graph):
+{PREREQUISITES}
+
+STUDY MATERIAL FROM OUR TRAINING TEAM (numbered passages):
+{SOURCES}
+
+AUDIENCE ({DIFFICULTY}): {AUDIENCE}
+{DEPTH}
+
 INSTRUCTIONS:
 - Generate a step-by-step walkthrough in well-formatted Markdown.
 - Target approximately {WORD_COUNT} words ({DURATION} minutes of reading at ~150 words/min).
-- Structure the response as a {LABEL} explanation.
+- Structure the response as a {LABEL} explanation pitched at the audience above — the length is fixed by the duration, the depth by the audience.
 - Use headers (##, ###), bullet points, code blocks (if relevant), and bold for key terms.
-- Make it coherent and pedagogically sound — start from fundamentals and build up.
+- Make it coherent and pedagogically sound — build up from what the audience already knows.
 - Include practical examples where relevant.
 - End with 2–3 key takeaways.
+- If prerequisites are listed above, open with a one-line "**Prerequisites:**" note naming them, and don't re-teach them in depth.
+- Base the walkthrough on the study material above when it is relevant, and prefer it over general knowledge where they differ.
+- Cite a passage inline as [1], [2] right after the sentence that uses it. Only cite numbers listed above; never invent sources.
+- If the request is a follow-up to an earlier turn, build on what was already covered instead of repeating it.
 
 Do NOT include introductory phrases like "Sure!" or "Here's your explanation". Jump straight into the content.`;
 
+// Names the knowledge-base topic when it differs from the student's wording
+function topicNote(state) {
+    if (state.clarification && state.clarification.choiceId !== AS_ASKED) {
+        return `\nThe student clarified they mean: ${state.topic}. Cover only that subtopic.`;
+    }
+    return state.topic && state.topic !== state.query ? `\nKnowledge base topic: ${state.topic}` : "";
+}
+
+// Tells the Teacher why moderation sent the previous draft back
+function moderationNote(state) {
+    return state.moderation?.action === "regenerate"
+        ? `\n\nA previous draft was rejected by content moderation: ${state.moderation.reason}. Write a fresh walkthrough that stays on the topic and avoids that problem.`
+        : "";
+}
+
+// Hands the verifier's critique and the rejected draft back to the Teacher
+function critiqueNote(state) {
+    if (state.critique?.verdict !== "revise" || !state.markdown) return "";
+    const issues = state.critique.issues.map(i => `- [${i.criterion}] ${i.detail}`).join("\n");
+    return `\n\nREVIEWER FEEDBACK ON YOUR PREVIOUS DRAFT:\n${issues}\n\nPREVIOUS DRAFT:\n${state.markdown.substring(0, 6000)}\n\nRevise the draft to fix every issue above, keeping what was already correct.`;
+}
+
 export async function runResearcher(state) {
     // If rejected by supervisor, skip
     if (state.rejected) return state;
 
     try {
         const duration = state.duration || 3;
-        const config = DURATION_MAP[duration] || DURATION_MAP[3];
+        const config = getWordTarget(duration);
+        const level = getDifficultyGuidance(state.difficulty);
         const topicsContext = knowledgeBase.toContextString();
+        const prerequisites = state.subtopicId
+            ? knowledgeBase.getPrerequisites(state.subtopicId)
+            : knowledgeBase.getAssumedPrerequisites(state.query);
 
         const prompt = SYSTEM_PROMPT
             .replace("{TOPICS}", topicsContext)
+            .replace("{HISTORY}", () => formatHistory(state.history))
+            .replace("{SOURCES}", () => formatSources(state.sources))
+            .replace("{PREREQUISITES}", () => prerequisites.map(p => `• ${p.name}`).join("\n") || "None.")
             .replace("{WORD_COUNT}", config.words)
             .replace("{DURATION}", duration)
-            .replace("{LABEL}", config.label);
+            .replace("{LABEL}", config.label)
+            .replace("{DIFFICULTY}", state.difficulty)
+            .replace("{AUDIENCE}", () => level.audience)
+            .replace("{DEPTH}", () => level.researcher);
 
+        const model = getChatModel("researcher");
         const response = await model.invoke([
             { role: "system", content: prompt },
-            { role: "user", content: `Create a walkthrough on: ${state.topic || state.query}` }
+            { role: "user", content: `Create a walkthrough on: ${state.query}${topicNote(state)}${moderationNote(state)}${critiqueNote(state)}` }
         ]);
 
         return {
@@ -59,10 +100,12 @@ export async function runResearcher(state) {
             markdown: response.content.trim()
         };
     } catch (error) {
+        // No stand-in walkthrough: the graph ends here and the client gets an error event
         console.error("Researcher agent error:", error);
         return {
             ...state,
-            markdown: `## ⚠️ Content Generation Error\n\nWe encountered an issue generating content for "${state.topic}". Please try again.\n\n*Error: ${error.message}*`
+            markdown: null,
+            generationFailed: true
         };
     }
 }
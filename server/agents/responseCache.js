@@ -0,0 +1,137 @@
+// ─── Response Cache (Node L) ── Reuse Walkthroughs for Repeated Questions ───
+// Generic questions about a knowledge-base node ("Explain Operating Systems")
+// get the same walkthrough for every student, so finished walkthroughs are kept
+// per node id, duration, difficulty and PROMPT_VERSION for RESPONSE_CACHE_TTL_MINUTES.
+// A hit skips the Retriever → Moderator stages; the guardrails still run first.
+//
+// Only first questions in a thread are cached (follow-ups depend on the
+// conversation), and only walkthroughs that passed moderation with their media.
+// Entries live in process memory and are dropped by invalidateCachedWalkthroughs()
+// — from the admin endpoint, or when a topic or its study notes change.
+
+import knowledgeBase from "../knowledgeBase.js";
+
+// Bump whenever an agent prompt changes, so older walkthroughs stop being served
+export const PROMPT_VERSION = 1;
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+const MAX_ENTRIES = 500;
+
+// Fields of the graph state that make up a finished walkthrough
+const CACHED_FIELDS = [
+    "topic", "topicId", "subtopicId", "sources", "markdown", "critique", "wordBudget",
+    "imageUrl", "audioText", "mediaFailed", "quiz", "moderation"
+];
+
+// key → { key, nodeId, duration, difficulty, state, storedAt, expiresAt }, oldest first
+const entries = new Map();
+
+// RESPONSE_CACHE_TTL_MINUTES=0 turns the cache off
+function getTtlMs() {
+    const minutes = parseFloat(process.env.RESPONSE_CACHE_TTL_MINUTES);
+    return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+}
+
+function cacheKey(nodeId, duration, difficulty) {
+    return `${nodeId}|${duration}|${difficulty}|v${PROMPT_VERSION}`;
+}
+
+// Cache key for this turn, or null if its walkthrough shouldn't be shared
+function keyFor(state) {
+    const nodeId = state.subtopicId || state.topicId;
+    if (state.rejected || !nodeId || getTtlMs() === 0) return null;
+    if (state.classification === "guardrail_error") return null;
+    if (state.history && state.history.length > 0) return null;
+
+    // A clarified subtopic stands in for the ambiguous query
+    const chosen = state.clarification && state.clarification.choiceId === state.subtopicId;
+    if (!chosen && !knowledgeBase.isGenericMention(state.query, nodeId)) return null;
+
+    return cacheKey(nodeId, state.duration, state.difficulty);
+}
+
+function getEntry(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+/**
+ * Drops cached walkthroughs: all of them, or those for a topic (and its subtopics)
+ * or a single subtopic id.
+ * @returns {number} entries removed
+ */
+export function invalidateCachedWalkthroughs({ topicId } = {}) {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (!topicId || entry.nodeId === topicId || entry.nodeId.startsWith(`${topicId}/`)) {
+            entries.delete(key);
+            removed++;
+        }
+    }
+    if (removed > 0) console.log(`🗃️ Response cache: invalidated ${removed} walkthrough(s)${topicId ? ` for ${topicId}` : ""}`);
+    return removed;
+}
+
+// Live entries without their content, newest first
+export function listCachedWalkthroughs() {
+    return [...entries.keys()]
+        .map(getEntry)
+        .filter(Boolean)
+        .map(({ key, nodeId, duration, difficulty, state, storedAt, expiresAt }) => ({
+            key,
+            nodeId,
+            topic: state.topic,
+            duration,
+            difficulty,
+            storedAt: new Date(storedAt).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString()
+        }))
+        .reverse();
+}
+
+// Graph node: serves a cached walkthrough for this turn if there is one
+export async function runCacheLookup(state) {
+    const key = keyFor(state);
+    if (!key) return { cache: null };
+
+    const entry = getEntry(key);
+    if (!entry) return { cache: { key, hit: false } };
+
+    console.log(`🗃️ Response cache hit: ${key}`);
+    return {
+        ...entry.state,
+        cache: {
+            key,
+            hit: true,
+            storedAt: new Date(entry.storedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString()
+        }
+    };
+}
+
+// Graph node: stores a freshly generated walkthrough under the key looked up earlier
+export async function runCacheStore(state) {
+    const key = state.cache?.key;
+    if (!key || state.cache.hit || !state.markdown || state.mediaFailed) return {};
+    if (!["passed", "redacted"].includes(state.moderation?.action)) return {};
+
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, {
+        key,
+        nodeId: state.subtopicId || state.topicId,
+        duration: state.duration,
+        difficulty: state.difficulty,
+        state: Object.fromEntries(CACHED_FIELDS.map(field => [field, state[field]])),
+        storedAt: now,
+        expiresAt: now + getTtlMs()
+    });
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+
+    console.log(`🗃️ Response cache: stored ${key}`);
+    return {};
+}
@@ -0,0 +1,41 @@
+// ─── Retriever Agent (Node F) ── Study Material Lookup ───
+// Finds the passages from our ingested study notes that best match the
+// request, so the Teacher grounds the walkthrough in them and cites them.
+// Searches the resolved topic (or the topics named in the request) first, then
+// falls back to all notes.
+
+import knowledgeBase from "../knowledgeBase.js";
+import { searchPassages } from "../retrieval/documents.js";
+
+const TOP_K = 4;
+
+export async function runRetriever(state) {
+    if (state.rejected) return {};
+
+    try {
+        const query = state.topic && state.topic !== state.query ? `${state.query} ${state.topic}` : state.query;
+        const topicIds = state.topicId
+            ? [state.topicId]
+            : [...new Set(knowledgeBase.findNodesInText(query).map(n => n.topicId || n.id))];
+
+        let passages = topicIds.length > 0 ? searchPassages(query, { topicIds, k: TOP_K }) : [];
+        if (passages.length === 0) {
+            passages = searchPassages(query, { k: TOP_K });
+        }
+
+        // Numbered so the walkthrough can cite them as [1], [2], ...
+        return { sources: passages.map((p, i) => ({ index: i + 1, ...p })) };
+    } catch (error) {
+        // Retrieval is an enhancement — the walkthrough still works without it
+        console.error("Retriever agent error:", error);
+        return { sources: [] };
+    }
+}
+
+// Formats retrieved passages for the researcher prompt
+export function formatSources(sources = []) {
+    if (sources.length === 0) return "None.";
+    return sources
+        .map(s => `[${s.index}] ${s.title}${s.heading ? ` › ${s.heading}` : ""}\n${s.text}`)
+        .join("\n\n");
+}
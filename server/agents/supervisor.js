@@ -1,14 +1,25 @@
 // ─── Supervisor Agent (Node A) ── Guardrail & Classification ───
 // Classifies user queries into: placement_topic | irrelevant | harmful
-// Only allows placement_topic through to the next agent.
+// Only allows placement_topic through to the next agent, with the detected
+// topic resolved to a knowledge-base topic / subtopic id where possible.
+// The model's verdict is validated against a schema and repaired on retry; if no
+// valid verdict arrives, GUARDRAIL_FAILURE_POLICY decides whether the query is
+// blocked (closed, the default) or let through (open). Either way the turn is
+// classified as guardrail_error so the client can tell it apart.
+// Generic queries that could mean several subtopics are flagged as ambiguous
+// for the Clarifier, which asks the student which one they meant.
 
-import { ChatGroq } from "@langchain/groq";
+import { z } from "zod";
 import knowledgeBase from "../knowledgeBase.js";
+import { getChatModel } from "../llm/providers.js";
+import { formatHistory } from "./memory.js";
 
-const model = new ChatGroq({
-    model: "llama-3.3-70b-versatile",
-    apiKey: process.env.GROQ_API_KEY,
-    temperature: 0,
+export const GuardrailSchema = z.object({
+    classification: z.enum(["placement_topic", "irrelevant", "harmful"]),
+    reason: z.string().min(1),
+    detectedTopic: z.string().nullable().optional(),
+    ambiguous: z.boolean().optional().default(false),
+    candidates: z.array(z.string()).optional().default([])
 });
 
 const SYSTEM_PROMPT = `You are a strict classification agent for an AI Tutor focused on placement preparation.
@@ -21,56 +32,138 @@ Your ONLY job is to classify the user's query into one of three categories:
 AVAILABLE PLACEMENT TOPICS:
 {TOPICS}
 
+CONVERSATION SO FAR (oldest first):
+{HISTORY}
+
 RULES:
 - If the query relates to ANY of the topics above or their subtopics, classify as "placement_topic".
 - If the query is about adding a new topic to the knowledge base, classify as "placement_topic".
 - If the query asks for general tech/CS knowledge useful for placements, classify as "placement_topic".
+- If the query is a follow-up that builds on an earlier turn of the conversation (e.g. "now show me the iterative version", "explain that with an example"), judge it in the context of that turn.
 - Be generous — if there's any reasonable placement connection, allow it.
 - ONLY reject if clearly irrelevant or harmful.
+- If the query is a short, generic mention that could mean several of the subtopics above (e.g. "explain trees" → "Trees & Binary Search Trees" or "Decision Trees & Random Forest"), set ambiguous to true and list those subtopic names in candidates. If the query or the conversation makes the meaning clear, set ambiguous to false.
 
 Respond with ONLY a JSON object (no markdown, no code fences):
-{"classification": "placement_topic" | "irrelevant" | "harmful", "reason": "brief reason", "detectedTopic": "topic name or null"}`;
+{"classification": "placement_topic" | "irrelevant" | "harmful", "reason": "brief reason", "detectedTopic": "topic name or null", "ambiguous": true | false, "candidates": ["subtopic name", ...]}
 
-export async function runSupervisor(state) {
-    try {
-        const topicsContext = knowledgeBase.toContextString();
-        const prompt = SYSTEM_PROMPT.replace("{TOPICS}", topicsContext);
+For detectedTopic, prefer the exact subtopic or topic name from the list above when the query is about one of them.`;
+
+// Maps the model's detectedTopic (or, failing that, the query) onto the knowledge base.
+// topic is a short display name; the ids are null when nothing matches.
+function resolveDetectedTopic(detectedTopic, query) {
+    const resolved = knowledgeBase.resolveTopic(detectedTopic) || knowledgeBase.resolveTopic(query);
+    if (resolved) {
+        return { topic: resolved.name, topicId: resolved.topicId, subtopicId: resolved.subtopicId };
+    }
+    const label = typeof detectedTopic === "string" && detectedTopic.trim() ? detectedTopic.trim() : query;
+    return { topic: label, topicId: null, subtopicId: null };
+}
+
+// Maximum attempts before the guardrail gives up on a valid verdict
+const MAX_ATTEMPTS = 3;
+
+// Shown when a guardrail could not reach a verdict and the policy is "closed"
+export const GUARDRAIL_ERROR_REASON = "🛡️ We couldn't verify this query right now, so it was not processed. Please try again in a moment.";
+
+// "closed" blocks queries the guardrail could not classify; "open" lets them through.
+// The injection detector follows the same policy.
+export function getFailurePolicy() {
+    return (process.env.GUARDRAIL_FAILURE_POLICY || "").trim().toLowerCase() === "open" ? "open" : "closed";
+}
+
+function parseVerdict(text) {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    return GuardrailSchema.safeParse(JSON.parse(jsonMatch ? jsonMatch[0] : cleaned));
+}
+
+// Returns a schema-valid verdict, or null once every attempt has failed
+async function classifyQuery(state) {
+    const prompt = SYSTEM_PROMPT
+        .replace("{TOPICS}", knowledgeBase.toContextString())
+        .replace("{HISTORY}", () => formatHistory(state.history));
+
+    const model = getChatModel("supervisor");
+    const messages = [
+        { role: "system", content: prompt },
+        { role: "user", content: state.query }
+    ];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let content = null;
+        try {
+            const response = await model.invoke(messages);
+            content = response.content;
+            const result = parseVerdict(content);
 
-        const response = await model.invoke([
-            { role: "system", content: prompt },
-            { role: "user", content: state.query }
-        ]);
+            if (result.success) {
+                return result.data;
+            }
 
-        let text = response.content.trim();
-        // Strip markdown code fences if present
-        text = text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+            // Ask the model to repair its own output on the next attempt
+            messages.push(
+                { role: "assistant", content },
+                { role: "user", content: `That JSON did not match the required format: ${result.error.issues.map(i => `${i.path.join(".") || "root"}: ${i.message}`).join("; ")}. Reply with the corrected JSON only.` }
+            );
+        } catch (error) {
+            console.error(`Supervisor agent error (attempt ${attempt}):`, error.message);
+            // Unparseable JSON gets the same repair prompt; a failed model call is simply retried
+            if (content !== null) {
+                messages.push(
+                    { role: "assistant", content },
+                    { role: "user", content: "That was not valid JSON. Reply with the JSON object only." }
+                );
+            }
+        }
+    }
 
-        const result = JSON.parse(text);
+    return null;
+}
 
-        if (result.classification !== "placement_topic") {
+export async function runSupervisor(state) {
+    let verdict = null;
+    try {
+        verdict = await classifyQuery(state);
+    } catch (error) {
+        console.error("Supervisor agent error:", error);
+    }
+
+    if (!verdict) {
+        const policy = getFailurePolicy();
+        console.warn(`🛡️ Guardrail could not classify the query (policy: fail-${policy})`);
+        if (policy === "open") {
             return {
                 ...state,
-                rejected: true,
-                rejectionReason: result.classification === "harmful"
-                    ? `⚠️ This query was flagged as harmful: ${result.reason}`
-                    : `🚫 This query is not related to placement preparation: ${result.reason}`,
-                classification: result.classification
+                rejected: false,
+                ...resolveDetectedTopic(null, state.query),
+                classification: "guardrail_error"
             };
         }
-
         return {
             ...state,
-            rejected: false,
-            topic: state.query,
-            classification: result.classification
+            rejected: true,
+            rejectionReason: GUARDRAIL_ERROR_REASON,
+            classification: "guardrail_error"
         };
-    } catch (error) {
-        console.error("Supervisor agent error:", error);
+    }
+
+    if (verdict.classification !== "placement_topic") {
         return {
             ...state,
-            rejected: false,
-            topic: state.query,
-            classification: "placement_topic"
+            rejected: true,
+            rejectionReason: verdict.classification === "harmful"
+                ? `⚠️ This query was flagged as harmful: ${verdict.reason}`
+                : `🚫 This query is not related to placement preparation: ${verdict.reason}`,
+            classification: verdict.classification
         };
     }
+
+    return {
+        ...state,
+        rejected: false,
+        ...resolveDetectedTopic(verdict.detectedTopic, state.query),
+        classification: verdict.classification,
+        ambiguity: verdict.ambiguous && verdict.candidates.length > 1 ? { candidates: verdict.candidates } : null
+    };
 }
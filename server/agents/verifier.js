@@ -0,0 +1,149 @@
+// ─── Verifier Agent (Node I) ── Self-Review Against a Rubric ───
+// Reviews the Teacher agent's draft before media and quiz are built from it.
+// Rubric:
+//   complexity  — Big-O claims are correct
+//   code        — code snippets are runnable (JavaScript is compiled here, the rest by the model)
+//   takeaways   — the walkthrough ends with a key-takeaways section
+//   word_budget — length roughly fits the requested duration (the word-budget node fine-tunes it)
+//   accuracy    — no other factual errors
+// Failed drafts go back to the Researcher with the critique, at most
+// MAX_REVISIONS times; after that the last draft is accepted with its issues recorded.
+
+import vm from "vm";
+import { z } from "zod";
+import { getChatModel } from "../llm/providers.js";
+import { countWords, getWordTarget } from "./wordBudget.js";
+
+// Revisions per turn before the draft is accepted as is
+const MAX_REVISIONS = 2;
+const MAX_ATTEMPTS = 2;
+
+// Share of the word target, either side, before a length miss is worth a full revision
+const REVISION_TOLERANCE = 0.35;
+
+const CRITERIA = ["complexity", "code", "takeaways", "word_budget", "accuracy"];
+
+export const CritiqueSchema = z.object({
+    passed: z.boolean(),
+    issues: z.array(z.object({
+        criterion: z.enum(CRITERIA),
+        detail: z.string().min(1)
+    })).optional().default([])
+});
+
+const SYSTEM_PROMPT = `You are a senior interviewer reviewing a placement-preparation walkthrough before students see it.
+
+Check the walkthrough against this rubric:
+- "complexity": every time/space complexity claim (Big-O) is correct for the algorithm described.
+- "code": every code snippet would run as written (valid syntax, defined names, correct output for the example).
+- "accuracy": no other factual errors that would cost a student in an interview.
+
+RULES:
+- Only report real errors, each with a short, specific fix. Style preferences are not errors.
+- If there is nothing to fix, return passed true and no issues.
+
+Respond with ONLY a JSON object (no markdown, no code fences):
+{"passed": true | false, "issues": [{"criterion": "complexity" | "code" | "accuracy", "detail": "what is wrong and how to fix it"}]}`;
+
+const JS_LANGUAGES = ["js", "javascript", "node", "mjs"];
+
+function parseCritique(text) {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    return CritiqueSchema.safeParse(JSON.parse(jsonMatch ? jsonMatch[0] : cleaned));
+}
+
+// ─── Rule-based checks ───
+
+function checkTakeaways(markdown) {
+    return /^#{1,4}\s+.*takeaways?\b/im.test(markdown) || /^\*\*[^*\n]*takeaways?[^*\n]*\*\*/im.test(markdown)
+        ? []
+        : [{ criterion: "takeaways", detail: "End with a \"Key Takeaways\" section listing 2–3 takeaways." }];
+}
+
+function checkWordBudget(markdown, duration) {
+    const { words } = getWordTarget(duration);
+    const count = countWords(markdown);
+    if (Math.abs(count - words) <= words * REVISION_TOLERANCE) return [];
+    return [{
+        criterion: "word_budget",
+        detail: `The walkthrough has ${count} words of prose; aim for about ${words} (${count < words ? "expand" : "trim"} it).`
+    }];
+}
+
+// Compiles (never runs) JavaScript snippets; module syntax is stripped first
+function checkJavaScript(markdown) {
+    const issues = [];
+    const fence = /```([\w-]*)[^\n]*\n([\s\S]*?)```/g;
+    let match;
+    let index = 0;
+
+    while ((match = fence.exec(markdown))) {
+        index++;
+        if (!JS_LANGUAGES.includes(match[1].toLowerCase())) continue;
+        const source = match[2]
+            .replace(/^\s*import\s.+$/gm, "")
+            .replace(/^(\s*)export\s+(default\s+)?/gm, "$1");
+        try {
+            new vm.Script(source);
+        } catch (error) {
+            issues.push({ criterion: "code", detail: `Code block ${index} does not compile: ${error.message}` });
+        }
+    }
+    return issues;
+}
+
+// ─── LLM review ───
+// Returns the model's critique, or null if no valid critique arrived
+async function reviewWithModel(state) {
+    const model = getChatModel("verifier");
+    const messages = [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: `Walkthrough on "${state.topic || state.query}":\n\n${state.markdown.substring(0, 8000)}` }
+    ];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            const response = await model.invoke(messages);
+            const result = parseCritique(response.content);
+
+            if (result.success) {
+                return result.data;
+            }
+
+            messages.push(
+                { role: "assistant", content: response.content },
+                { role: "user", content: `That JSON did not match the required format: ${result.error.issues.map(i => i.message).join("; ")}. Reply with the corrected JSON only.` }
+            );
+        } catch (error) {
+            console.error(`Verifier error (attempt ${attempt}):`, error.message);
+        }
+    }
+
+    return null;
+}
+
+export async function runVerifier(state) {
+    if (state.rejected || !state.markdown) return {};
+
+    const revisions = state.critique?.revisions || 0;
+    const review = await reviewWithModel(state);
+    const issues = [
+        ...checkTakeaways(state.markdown),
+        ...checkWordBudget(state.markdown, state.duration),
+        ...checkJavaScript(state.markdown),
+        ...(review?.issues || [])
+    ];
+
+    if (issues.length === 0) {
+        return { critique: { verdict: review ? "passed" : "unchecked", revisions, issues } };
+    }
+
+    if (revisions < MAX_REVISIONS) {
+        console.log(`🔍 Verifier: revision ${revisions + 1} requested (${issues.map(i => i.criterion).join(", ")})`);
+        return { critique: { verdict: "revise", revisions: revisions + 1, issues } };
+    }
+
+    console.warn(`🔍 Verifier: accepting draft with ${issues.length} open issue(s) after ${revisions} revision(s)`);
+    return { critique: { verdict: "accepted_with_issues", revisions, issues } };
+}
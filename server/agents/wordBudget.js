@@ -0,0 +1,206 @@
+// ─── Editor (Node J) ── Word Budget Enforcement per Duration ───
+// Measures the verified walkthrough against the duration's word target and
+// brings it within WORD_BUDGET_TOLERANCE:
+//   1. Out of range → the editor model rewrites it towards the target (extend or condense).
+//   2. Still too long → whole paragraphs and list items are trimmed from the end of the
+//      body. The opening section, the key takeaways and code blocks are never trimmed.
+// A walkthrough that is still too short is delivered as is. Either way the final
+// length is reported with reading and speaking time (see describeLength).
+
+import { getChatModel } from "../llm/providers.js";
+
+const DURATION_MAP = {
+    2: { words: 300, label: "concise" },
+    3: { words: 450, label: "moderate" },
+    4: { words: 600, label: "detailed" },
+    5: { words: 750, label: "comprehensive" }
+};
+
+// Accepted share of the word target, either side
+export const WORD_BUDGET_TOLERANCE = 0.2;
+
+export const READING_WPM = 150;
+export const SPEAKING_WPM = 130;
+
+const EDITOR_PROMPT = `You are an editor for an AI Tutor's placement-preparation walkthroughs.
+
+Rewrite the walkthrough so its prose is about {TARGET} words (between {MIN} and {MAX}). It is currently {WORDS} words.
+
+RULES:
+- {DIRECTION}
+- Keep the Markdown structure: the same headings in the same order, and the key takeaways section at the end.
+- Keep every code block exactly as it is. Code does not count towards the word total.
+- Keep inline citations like [1] attached to the sentences they support.
+- Do not add introductory phrases. Respond with the Markdown only.`;
+
+// Word target and register for a duration in minutes (defaults to 3)
+export function getWordTarget(duration) {
+    return DURATION_MAP[duration] || DURATION_MAP[3];
+}
+
+export function getWordRange(duration) {
+    const { words } = getWordTarget(duration);
+    return {
+        target: words,
+        min: Math.round(words * (1 - WORD_BUDGET_TOLERANCE)),
+        max: Math.round(words * (1 + WORD_BUDGET_TOLERANCE))
+    };
+}
+
+// Words of prose — code blocks don't count towards the reading budget
+export function countWords(markdown = "") {
+    return markdown
+        .replace(/```[\s\S]*?```/g, " ")
+        .split(/\s+/)
+        .filter(word => /[\p{L}\p{N}]/u.test(word))
+        .length;
+}
+
+const toMinutes = (words, wpm) => Math.round((words / wpm) * 10) / 10;
+
+/**
+ * Final length of a walkthrough, as reported to the client.
+ * Speaking time is measured on the narration script when there is one.
+ */
+export function describeLength({ markdown, audioText, duration, wordBudget }) {
+    if (!markdown) return null;
+    const { target, min, max } = getWordRange(duration);
+    const words = countWords(markdown);
+    return {
+        words,
+        target,
+        min,
+        max,
+        withinBudget: words >= min && words <= max,
+        adjustment: wordBudget?.adjustment ?? null,
+        readingMinutes: toMinutes(words, READING_WPM),
+        speakingMinutes: toMinutes(audioText ? countWords(audioText) : words, SPEAKING_WPM)
+    };
+}
+
+// ─── Trimming ───
+// Splits markdown into headings, code blocks, list items, paragraphs and blank lines
+function splitUnits(markdown) {
+    const units = [];
+    let section = 0;
+    let fence = null;
+
+    for (const line of markdown.split("\n")) {
+        const last = units[units.length - 1];
+
+        if (fence) {
+            fence.text += `\n${line}`;
+            if (/^\s*```/.test(line)) fence = null;
+        } else if (/^\s*```/.test(line)) {
+            fence = { kind: "code", text: line, section };
+            units.push(fence);
+        } else if (/^#{1,6}\s/.test(line)) {
+            section++;
+            units.push({ kind: "heading", text: line, section });
+        } else if (!line.trim()) {
+            units.push({ kind: "blank", text: line, section });
+        } else if (/^\s*([-*+]|\d+\.)\s/.test(line)) {
+            units.push({ kind: "item", text: line, section });
+        } else if (last && (last.kind === "paragraph" || (last.kind === "item" && /^\s+/.test(line)))) {
+            // Continuation of the paragraph or list item above
+            last.text += `\n${line}`;
+        } else {
+            units.push({ kind: "paragraph", text: line, section });
+        }
+    }
+    return units;
+}
+
+function joinUnits(units) {
+    return units.map(u => u.text).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Drops prose from the end of the body until the walkthrough fits: whole blocks
+// first (keeping at least one per section), then trailing sentences of the blocks left
+function trimToBudget(markdown, max) {
+    const units = splitUnits(markdown);
+    const headings = units.filter(u => u.kind === "heading");
+    const protectedSections = new Set([0, 1]);
+    headings.filter(h => /takeaway/i.test(h.text)).forEach(h => protectedSections.add(h.section));
+
+    const removable = units.filter(u => (u.kind === "item" || u.kind === "paragraph") && !protectedSections.has(u.section));
+    const remaining = new Map();
+    removable.forEach(u => remaining.set(u.section, (remaining.get(u.section) || 0) + 1));
+
+    let kept = units;
+    for (const unit of [...removable].reverse()) {
+        if (countWords(joinUnits(kept)) <= max) break;
+        if (remaining.get(unit.section) <= 1) continue;
+        remaining.set(unit.section, remaining.get(unit.section) - 1);
+        kept = kept.filter(u => u !== unit);
+    }
+
+    for (const unit of removable.filter(u => kept.includes(u)).reverse()) {
+        const sentences = unit.text.split(/(?<=[.!?])\s+/);
+        while (sentences.length > 1 && countWords(joinUnits(kept)) > max) {
+            sentences.pop();
+            unit.text = sentences.join(" ");
+        }
+    }
+    return joinUnits(kept);
+}
+
+// ─── Editor rewrite ───
+// Returns the rewritten walkthrough, or null if the model failed or didn't get closer
+async function rewriteTowardsTarget(markdown, words, range) {
+    const prompt = EDITOR_PROMPT
+        .replace("{TARGET}", range.target)
+        .replace("{MIN}", range.min)
+        .replace("{MAX}", range.max)
+        .replace("{WORDS}", words)
+        .replace("{DIRECTION}", words < range.min
+            ? "Extend it: add explanation, examples and interview tips where the walkthrough is thin. Do not pad with repetition."
+            : "Condense it: tighten wording and drop the least important details first.");
+
+    try {
+        const response = await getChatModel("editor").invoke([
+            { role: "system", content: prompt },
+            { role: "user", content: `DRAFT:\n${markdown}` }
+        ]);
+        const rewritten = response.content.trim().replace(/^```(?:markdown|md)\s*\n([\s\S]*)\n```$/i, "$1");
+        const rewrittenWords = countWords(rewritten);
+        return Math.abs(rewrittenWords - range.target) < Math.abs(words - range.target) ? rewritten : null;
+    } catch (error) {
+        console.error("Word budget editor error:", error.message);
+        return null;
+    }
+}
+
+export async function runWordBudget(state) {
+    if (state.rejected || !state.markdown) return {};
+
+    const range = getWordRange(state.duration);
+    const before = countWords(state.markdown);
+
+    if (before >= range.min && before <= range.max) {
+        return { wordBudget: { ...range, before, adjustment: null } };
+    }
+
+    let markdown = state.markdown;
+    let adjustment = null;
+
+    const rewritten = await rewriteTowardsTarget(markdown, before, range);
+    if (rewritten) {
+        markdown = rewritten;
+        adjustment = before < range.min ? "extended" : "condensed";
+    }
+
+    if (countWords(markdown) > range.max) {
+        const trimmed = trimToBudget(markdown, range.max);
+        if (trimmed !== markdown) {
+            markdown = trimmed;
+            adjustment = "trimmed";
+        }
+    }
+
+    console.log(`📏 Word budget: ${before} → ${countWords(markdown)} words (target ${range.target}, ${adjustment || "unchanged"})`);
+    return {
+        ...(markdown !== state.markdown && { markdown }),
+        wordBudget: { ...range, before, adjustment }
+    };
+}
@@ -0,0 +1,65 @@
+// ─── Aptitude Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates aptitude practice requests and returns { status, body }, like topicService.js.
+
+import { CATEGORIES, listCategories } from "./templates.js";
+import { SECONDS_PER_QUESTION, createSession, getSession, submitSession } from "./practiceSessions.js";
+
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 20;
+const MAX_TIME_LIMIT_MINUTES = 60;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+export function getCategories() {
+    return ok({ categories: listCategories() });
+}
+
+/**
+ * POST body: { categories?, count?, timeLimitMinutes?, paraphrase? }
+ * Defaults: every category, 5 questions, SECONDS_PER_QUESTION each, original wording.
+ */
+export async function startSession(userId, { categories, count, timeLimitMinutes, paraphrase } = {}) {
+    const chosen = categories ?? Object.keys(CATEGORIES);
+    if (!Array.isArray(chosen) || chosen.length === 0 || chosen.some(c => !CATEGORIES[c])) {
+        return fail(400, `categories must be a list of: ${Object.keys(CATEGORIES).join(", ")}`);
+    }
+
+    const questionCount = count ?? DEFAULT_QUESTION_COUNT;
+    if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTION_COUNT) {
+        return fail(400, `count must be a whole number from 1 to ${MAX_QUESTION_COUNT}`);
+    }
+    if (timeLimitMinutes !== undefined && timeLimitMinutes !== null
+        && (!Number.isInteger(timeLimitMinutes) || timeLimitMinutes < 1 || timeLimitMinutes > MAX_TIME_LIMIT_MINUTES)) {
+        return fail(400, `timeLimitMinutes must be a whole number from 1 to ${MAX_TIME_LIMIT_MINUTES}`);
+    }
+    if (paraphrase !== undefined && typeof paraphrase !== "boolean") {
+        return fail(400, "paraphrase must be true or false");
+    }
+
+    const session = await createSession(userId, {
+        categories: [...new Set(chosen)],
+        count: questionCount,
+        timeLimitSeconds: timeLimitMinutes ? timeLimitMinutes * 60 : questionCount * SECONDS_PER_QUESTION,
+        paraphrase: Boolean(paraphrase)
+    });
+    return ok({ session }, 201);
+}
+
+export function getPracticeSession(userId, id) {
+    const session = getSession(userId, id);
+    if (!session) return fail(404, "Practice session not found");
+    return ok({ session });
+}
+
+// answers: the chosen option index per question (null for a skipped question)
+export function submitAnswers(userId, id, { answers } = {}) {
+    if (!Array.isArray(answers) || answers.length > MAX_QUESTION_COUNT
+        || !answers.every(a => a === null || (Number.isInteger(a) && a >= 0 && a < 4))) {
+        return fail(400, "answers must be an array of option indexes (0–3) or null");
+    }
+
+    const { session, status, error } = submitSession(userId, id, answers);
+    if (error) return fail(status, error);
+    return ok({ session });
+}
@@ -0,0 +1,172 @@
+// ─── Aptitude Practice Sessions ── Timed Sets of Generated Problems ───
+// A session draws problems from the templates (see templates.js) round-robin
+// over the chosen categories. The LLM may paraphrase a question's wording, but
+// the paraphrase is only kept if every number and quoted word survives
+// unchanged — the answer key always comes from the template. Sessions live in
+// memory; the answers never leave the server until the session is submitted.
+
+import { randomInt } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { getChatModel } from "../llm/providers.js";
+import { CATEGORIES, generateProblem } from "./templates.js";
+
+// Default time allowed per question
+export const SECONDS_PER_QUESTION = 90;
+// Allowance for the request's round trip before a submission counts as late
+const GRACE_SECONDS = 5;
+
+// Keeps the store bounded — oldest sessions are evicted first
+const MAX_SESSIONS = 500;
+const sessions = new Map();
+
+const PARAPHRASE_PROMPT = `You rewrite quantitative aptitude questions for a placement-test practice app.
+
+Reword the question so it reads like a fresh problem: change the setting, names or sentence structure.
+
+RULES:
+- Keep every number exactly as written, and do not add any new numbers.
+- Keep any word in double quotes exactly as written, with the quotes.
+- Keep what is being asked and the units of the answer.
+- Do not solve the question or add hints.
+
+Respond with the reworded question only.`;
+
+// Numbers and quoted words that a paraphrase must keep
+function fixedTokens(text) {
+    const numbers = text.match(/\d+(?:\.\d+)?/g) || [];
+    const quoted = text.match(/"[^"]+"/g) || [];
+    return [...numbers, ...quoted].sort();
+}
+
+/**
+ * Rewords a generated question with the LLM; falls back to the original wording
+ * if the model fails or changes a number.
+ * @returns {Promise<{ question: string, paraphrased: boolean }>}
+ */
+export async function paraphraseQuestion(question) {
+    try {
+        const model = getChatModel("aptitude");
+        const response = await model.invoke([
+            { role: "system", content: PARAPHRASE_PROMPT },
+            { role: "user", content: question }
+        ]);
+        const text = response.content.trim();
+        if (text && JSON.stringify(fixedTokens(text)) === JSON.stringify(fixedTokens(question))) {
+            return { question: text, paraphrased: true };
+        }
+        console.warn("⚠️  Paraphrase changed the numbers — keeping the original wording");
+    } catch (error) {
+        console.error("Aptitude paraphrase error:", error.message);
+    }
+    return { question, paraphrased: false };
+}
+
+// What the student sees while the session runs — no answers or solutions
+function toPublicQuestion(problem, index) {
+    return {
+        index,
+        category: problem.category,
+        categoryName: CATEGORIES[problem.category].name,
+        question: problem.question,
+        options: problem.options,
+        paraphrased: problem.paraphrased
+    };
+}
+
+function toPublicSession(session) {
+    return {
+        id: session.id,
+        categories: session.categories,
+        startedAt: session.startedAt,
+        expiresAt: session.expiresAt,
+        timeLimitSeconds: session.timeLimitSeconds,
+        questions: session.problems.map(toPublicQuestion),
+        result: session.result
+    };
+}
+
+/**
+ * Starts a timed session. Inputs are validated by aptitudeService.js.
+ * @param {string} userId
+ * @param {{ categories: string[], count: number, timeLimitSeconds: number, paraphrase: boolean }} options
+ * @returns {Promise<object>} the public session
+ */
+export async function createSession(userId, { categories, count, timeLimitSeconds, paraphrase }) {
+    const problems = [];
+    for (let i = 0; i < count; i++) {
+        const problem = generateProblem(categories[i % categories.length], randomInt(2 ** 31));
+        problems.push({ ...problem, paraphrased: false });
+    }
+
+    if (paraphrase) {
+        // One request at a time, to stay within the provider's rate limits
+        for (const problem of problems) {
+            Object.assign(problem, await paraphraseQuestion(problem.question));
+        }
+    }
+
+    // The clock starts once the questions are ready
+    const startedAt = new Date();
+    const session = {
+        id: uuidv4(),
+        userId,
+        categories,
+        startedAt: startedAt.toISOString(),
+        expiresAt: new Date(startedAt.getTime() + timeLimitSeconds * 1000).toISOString(),
+        timeLimitSeconds,
+        problems,
+        result: null
+    };
+
+    sessions.set(session.id, session);
+    if (sessions.size > MAX_SESSIONS) {
+        sessions.delete(sessions.keys().next().value);
+    }
+    return toPublicSession(session);
+}
+
+export function getSession(userId, id) {
+    const session = sessions.get(id);
+    return session && session.userId === userId ? toPublicSession(session) : null;
+}
+
+/**
+ * Scores a session and reveals the worked solutions. Late submissions are
+ * scored too, but marked timedOut.
+ * @param {Array<number|null>} answers - chosen option index per question (null = skipped)
+ * @returns {{ session?: object, error?: string, status?: number }}
+ */
+export function submitSession(userId, id, answers) {
+    const session = sessions.get(id);
+    if (!session || session.userId !== userId) return { status: 404, error: "Practice session not found" };
+    if (session.result) return { status: 409, error: "This session was already submitted" };
+    if (answers.length !== session.problems.length) {
+        return { status: 400, error: `Expected ${session.problems.length} answers` };
+    }
+
+    const now = Date.now();
+    const questions = session.problems.map((problem, index) => ({
+        ...toPublicQuestion(problem, index),
+        chosenIndex: answers[index],
+        correctIndex: problem.correctIndex,
+        correct: answers[index] === problem.correctIndex,
+        answer: problem.answer,
+        solution: problem.solution
+    }));
+
+    const byCategory = Object.fromEntries(session.categories.map(category => {
+        const inCategory = questions.filter(q => q.category === category);
+        return [category, { correct: inCategory.filter(q => q.correct).length, total: inCategory.length }];
+    }));
+
+    session.result = {
+        score: questions.filter(q => q.correct).length,
+        total: questions.length,
+        attempted: questions.filter(q => q.chosenIndex !== null).length,
+        timeTakenSeconds: Math.round((now - Date.parse(session.startedAt)) / 1000),
+        timedOut: now > Date.parse(session.expiresAt) + GRACE_SECONDS * 1000,
+        byCategory,
+        questions
+    };
+    return { session: toPublicSession(session) };
+}
@@ -0,0 +1,434 @@
+// ─── Aptitude Templates ── Parameterized Problems with Computed Answers ───
+// Each template draws fresh numbers and computes the answer itself — with exact
+// fractions, never floating point — so the answer key and the worked solution
+// never depend on a model doing arithmetic. Distractors come from the usual
+// mistakes (adding rates the wrong way, forgetting "without replacement", ...).
+//
+// A generated problem: { templateId, category, question, options, correctIndex, answer, solution: [step] }
+// The seed makes a problem reproducible: the same seed gives the same numbers.
+
+// ─── Exact fractions ───
+
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a || 1;
+}
+
+function frac(n, d = 1) {
+    const sign = d < 0 ? -1 : 1;
+    const g = gcd(n, d);
+    return { n: (sign * n) / g, d: (sign * d) / g };
+}
+
+const add = (x, y) => frac(x.n * y.d + y.n * x.d, x.d * y.d);
+const sub = (x, y) => frac(x.n * y.d - y.n * x.d, x.d * y.d);
+const mul = (x, y) => frac(x.n * y.n, x.d * y.d);
+const div = (x, y) => frac(x.n * y.d, x.d * y.n);
+
+// "3/10", or "4 4/5" as a mixed number
+function formatFraction({ n, d }, { mixed = false } = {}) {
+    if (d === 1) return String(n);
+    if (!mixed || Math.abs(n) < d) return `${n}/${d}`;
+    const whole = Math.trunc(n / d);
+    return `${whole} ${Math.abs(n % d)}/${d}`;
+}
+
+// Up to two decimals when exact (percentages over hundredths), else a fraction
+function formatNumber(x) {
+    for (const places of [0, 1, 2]) {
+        const scaled = (x.n * 10 ** places) / x.d;
+        if (Number.isInteger(scaled)) return (scaled / 10 ** places).toFixed(places);
+    }
+    return formatFraction(x, { mixed: true });
+}
+
+function factorial(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+const choose = (n, k) => (k < 0 || k > n ? 0 : factorial(n) / (factorial(k) * factorial(n - k)));
+
+// ─── Seeded randomness (mulberry32) ───
+
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        shuffle: (list) => {
+            const copy = [...list];
+            for (let i = copy.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [copy[i], copy[j]] = [copy[j], copy[i]];
+            }
+            return copy;
+        }
+    };
+}
+
+// Four distinct options: the answer, the template's distractors, then nearby values
+function withOptions(rng, answer, distractors, fallback) {
+    const options = [answer];
+    for (const candidate of [...distractors, ...fallback]) {
+        if (options.length === 4) break;
+        if (candidate && !options.includes(candidate)) options.push(candidate);
+    }
+    const shuffled = rng.shuffle(options);
+    return { options: shuffled, correctIndex: shuffled.indexOf(answer), answer };
+}
+
+// Nearby wrong values for a numeric answer, formatted like it
+const nearby = (value, format, steps = [1, -1, 2, -2, 3]) =>
+    steps.map(s => add(value, frac(s))).filter(v => v.n > 0).map(format);
+
+const days = (x) => `${formatFraction(x, { mixed: true })} days`;
+const rupees = (x) => `₹${formatNumber(x)}`;
+
+// ─── Templates ───
+
+const TEMPLATES = [
+    // Time & Work
+    {
+        id: "work-together",
+        category: "time-work",
+        generate(rng) {
+            const a = rng.int(4, 20);
+            let b = rng.int(4, 24);
+            if (b === a) b += 2;
+            const rate = add(frac(1, a), frac(1, b));
+            const together = div(frac(1), rate);
+            return {
+                question: `A can complete a piece of work in ${a} days and B can complete it in ${b} days. How many days will they take working together?`,
+                ...withOptions(rng, days(together), [
+                    days(frac(a + b, 2)),             // averaged the times
+                    days(frac(Math.abs(a - b) || 1)),  // subtracted the times
+                    days(frac(a + b))                 // added the times
+                ], nearby(together, days)),
+                solution: [
+                    `A does 1/${a} of the work per day and B does 1/${b}.`,
+                    `Together they do 1/${a} + 1/${b} = ${formatFraction(rate)} of the work per day.`,
+                    `Time taken = 1 ÷ ${formatFraction(rate)} = ${formatFraction(together, { mixed: true })} days.`
+                ]
+            };
+        }
+    },
+    {
+        id: "work-alone",
+        category: "time-work",
+        generate(rng) {
+            const together = rng.int(4, 12);
+            const a = together + rng.int(2, 12);
+            const rateB = sub(frac(1, together), frac(1, a));
+            const b = div(frac(1), rateB);
+            return {
+                question: `A and B together can finish a job in ${together} days. A alone can finish it in ${a} days. In how many days can B alone finish it?`,
+                ...withOptions(rng, days(b), [
+                    days(frac(a - together)),          // subtracted the times
+                    days(div(frac(1), add(frac(1, together), frac(1, a)))), // added the rates
+                    days(frac(a + together))
+                ], nearby(b, days)),
+                solution: [
+                    `Together they do 1/${together} of the job per day; A alone does 1/${a}.`,
+                    `B's rate = 1/${together} − 1/${a} = ${formatFraction(rateB)} of the job per day.`,
+                    `B alone takes 1 ÷ ${formatFraction(rateB)} = ${formatFraction(b, { mixed: true })} days.`
+                ]
+            };
+        }
+    },
+    {
+        id: "work-leaves",
+        category: "time-work",
+        generate(rng) {
+            const a = rng.int(10, 24);
+            const b = rng.int(10, 30);
+            const rate = add(frac(1, a), frac(1, b));
+            // They work together for fewer days than the job needs
+            const maxTogether = Math.max(1, Math.ceil((a * b) / (a + b)) - 2);
+            const together = rng.int(1, maxTogether);
+            const done = mul(rate, frac(together));
+            const remaining = sub(frac(1), done);
+            const bDays = mul(remaining, frac(b));
+            const total = add(frac(together), bDays);
+            return {
+                question: `A can do a job in ${a} days and B in ${b} days. They work together for ${together} day${together === 1 ? "" : "s"}, then A leaves. In how many days in total is the job finished?`,
+                ...withOptions(rng, days(total), [
+                    days(bDays),                                  // forgot the days worked together
+                    days(add(frac(together), frac(b))),           // B redoes the whole job
+                    days(div(frac(1), rate))                      // time if both kept working
+                ], nearby(total, days)),
+                solution: [
+                    `Together they do 1/${a} + 1/${b} = ${formatFraction(rate)} of the job per day.`,
+                    `In ${together} day${together === 1 ? "" : "s"} they finish ${formatFraction(done)}, leaving ${formatFraction(remaining)}.`,
+                    `B alone needs ${formatFraction(remaining)} × ${b} = ${formatFraction(bDays, { mixed: true })} days for the rest.`,
+                    `Total = ${together} + ${formatFraction(bDays, { mixed: true })} = ${formatFraction(total, { mixed: true })} days.`
+                ]
+            };
+        }
+    },
+
+    // Profit & Loss
+    {
+        id: "markup-discount",
+        category: "profit-loss",
+        generate(rng) {
+            const markup = rng.int(2, 12) * 5;
+            const discount = rng.int(1, Math.min(8, markup / 5 + 3)) * 5;
+            const factor = mul(frac(100 + markup, 100), frac(100 - discount, 100));
+            const change = mul(sub(factor, frac(1)), frac(100));
+            const outcome = change.n >= 0 ? "profit" : "loss";
+            const asked = (x) => (x.n >= 0 ? `${formatNumber(x)}% profit` : `${formatNumber(frac(-x.n, x.d))}% loss`);
+            return {
+                question: `A shopkeeper marks an article ${markup}% above its cost price and then allows a discount of ${discount}%. What is the profit or loss percentage?`,
+                ...withOptions(rng, asked(change), [
+                    asked(frac(markup - discount)),          // subtracted the percentages
+                    asked(frac(-change.n, change.d)),        // profit and loss swapped
+                    asked(frac(markup))
+                ], [1, -1, 5, -5].map(s => asked(add(change, frac(s))))),
+                solution: [
+                    `Take the cost price as 100. Marked price = 100 × ${100 + markup}/100 = ${100 + markup}.`,
+                    `Selling price = ${100 + markup} × ${100 - discount}/100 = ${formatNumber(mul(factor, frac(100)))}.`,
+                    `Change = ${formatNumber(mul(factor, frac(100)))} − 100 = ${formatNumber(change)}, a ${formatNumber(change.n >= 0 ? change : frac(-change.n, change.d))}% ${outcome}.`
+                ]
+            };
+        }
+    },
+    {
+        id: "cost-from-selling",
+        category: "profit-loss",
+        generate(rng) {
+            const cost = rng.int(4, 60) * 20;
+            const gain = rng.int(1, 8) * 5;
+            const selling = mul(frac(cost), frac(100 + gain, 100));
+            return {
+                question: `By selling an article for ₹${formatNumber(selling)}, a trader gains ${gain}%. What is the cost price of the article?`,
+                ...withOptions(rng, rupees(frac(cost)), [
+                    rupees(mul(selling, frac(100 - gain, 100))),    // took the gain off the selling price
+                    rupees(sub(selling, frac(gain))),               // subtracted the percentage as rupees
+                    rupees(mul(selling, frac(100 + gain, 100)))
+                ], nearby(frac(cost), rupees, [20, -20, 40, -40])),
+                solution: [
+                    `Selling price = cost price × (100 + ${gain})/100.`,
+                    `Cost price = ${formatNumber(selling)} × 100/${100 + gain} = ₹${cost}.`,
+                    `Taking ${gain}% off the selling price is a common mistake: the gain is a percentage of the cost, not of the selling price.`
+                ]
+            };
+        }
+    },
+    {
+        id: "equal-gain-loss",
+        category: "profit-loss",
+        generate(rng) {
+            const x = rng.int(2, 8) * 5;
+            const selling = rng.int(5, 40) * 100;
+            const loss = frac(x * x, 100);
+            return {
+                question: `Two articles are sold for ₹${selling} each. One is sold at a ${x}% profit and the other at a ${x}% loss. What is the overall profit or loss percentage?`,
+                ...withOptions(rng, `${formatNumber(loss)}% loss`, [
+                    "No profit, no loss",                          // assumed they cancel out
+                    `${formatNumber(loss)}% profit`,
+                    `${formatNumber(frac(x, 10))}% loss`
+                ], [`${formatNumber(mul(loss, frac(2)))}% loss`, `${x}% loss`, `${formatNumber(add(loss, frac(1)))}% loss`]),
+                solution: [
+                    "When two items are sold at the same price with the same percentage gain and loss, there is always a net loss.",
+                    `Loss % = x²/100 = ${x}²/100 = ${formatNumber(loss)}%.`,
+                    `(The selling price of ₹${selling} does not affect the percentage.)`
+                ]
+            };
+        }
+    },
+
+    // Probability
+    {
+        id: "balls-without-replacement",
+        category: "probability",
+        generate(rng) {
+            const red = rng.int(2, 8);
+            const blue = rng.int(2, 8);
+            const green = rng.int(1, 6);
+            const total = red + blue + green;
+            const answer = frac(choose(red, 2), choose(total, 2));
+            const withReplacement = frac(red * red, total * total);
+            return {
+                question: `A bag contains ${red} red, ${blue} blue and ${green} green balls. Two balls are drawn at random without replacement. What is the probability that both are red?`,
+                ...withOptions(rng, formatFraction(answer), [
+                    formatFraction(withReplacement),                 // drew with replacement
+                    formatFraction(frac(red, total)),                // only one draw
+                    formatFraction(frac(2 * red, total))
+                ], [formatFraction(frac(choose(red, 2), total * total)), formatFraction(frac(red - 1, total - 1))]),
+                solution: [
+                    `Ways to choose 2 red balls: C(${red}, 2) = ${choose(red, 2)}.`,
+                    `Ways to choose any 2 of the ${total} balls: C(${total}, 2) = ${choose(total, 2)}.`,
+                    `Probability = ${choose(red, 2)}/${choose(total, 2)}${answer.d === choose(total, 2) ? "" : ` = ${formatFraction(answer)}`}.`
+                ]
+            };
+        }
+    },
+    {
+        id: "two-dice-sum",
+        category: "probability",
+        generate(rng) {
+            const target = rng.int(3, 11);
+            const ways = [];
+            for (let a = 1; a <= 6; a++) {
+                if (target - a >= 1 && target - a <= 6) ways.push(`(${a}, ${target - a})`);
+            }
+            const answer = frac(ways.length, 36);
+            return {
+                question: `Two fair dice are rolled. What is the probability that the sum of the numbers shown is ${target}?`,
+                ...withOptions(rng, formatFraction(answer), [
+                    formatFraction(frac(ways.length, 21)),            // counted unordered pairs as equally likely
+                    formatFraction(frac(1, 11)),                      // treated the 11 sums as equally likely
+                    formatFraction(frac(ways.length + 1, 36))
+                ], [formatFraction(frac(ways.length - 1 || 2, 36)), formatFraction(frac(ways.length, 12))]),
+                solution: [
+                    "There are 6 × 6 = 36 equally likely outcomes.",
+                    `Outcomes with sum ${target}: ${ways.join(", ")} — ${ways.length} in all.`,
+                    `Probability = ${ways.length}/36 = ${formatFraction(answer)}.`
+                ]
+            };
+        }
+    },
+    {
+        id: "word-arrangements",
+        category: "probability",
+        generate(rng) {
+            const word = rng.pick(["LEVEL", "BANANA", "APPLE", "SCHOOL", "LETTER", "COFFEE", "TOFFEE", "BALLOON", "SUCCESS"]);
+            const counts = {};
+            for (const letter of word) counts[letter] = (counts[letter] || 0) + 1;
+            const repeats = Object.entries(counts).filter(([, n]) => n > 1);
+            const answer = factorial(word.length) / repeats.reduce((p, [, n]) => p * factorial(n), 1);
+            return {
+                question: `In how many distinct ways can the letters of the word "${word}" be arranged?`,
+                ...withOptions(rng, String(answer), [
+                    String(factorial(word.length)),                              // ignored the repeated letters
+                    String(answer * 2),
+                    String(factorial(word.length - 1))
+                ], nearby(frac(answer), formatNumber, [answer, -Math.floor(answer / 2), 10, -10])),
+                solution: [
+                    `"${word}" has ${word.length} letters, so ${word.length}! = ${factorial(word.length)} arrangements if all were different.`,
+                    `Repeated letters: ${repeats.map(([l, n]) => `${l} × ${n}`).join(", ")}; swapping identical letters gives the same word.`,
+                    `Distinct arrangements = ${word.length}! ÷ (${repeats.map(([, n]) => `${n}!`).join(" × ")}) = ${answer}.`
+                ]
+            };
+        }
+    },
+
+    // Number Series
+    {
+        id: "series-next-term",
+        category: "number-series",
+        generate(rng) {
+            const kind = rng.pick(["arithmetic", "geometric", "second-difference", "squares", "multiply-add"]);
+            const start = rng.int(2, 9);
+            let terms = [];
+            let rule = "";
+            if (kind === "arithmetic") {
+                const d = rng.int(3, 15);
+                terms = Array.from({ length: 6 }, (_, i) => start + i * d);
+                rule = `Each term adds ${d} to the previous one.`;
+            } else if (kind === "geometric") {
+                const r = rng.int(2, 4);
+                terms = Array.from({ length: 6 }, (_, i) => start * r ** i);
+                rule = `Each term is the previous one multiplied by ${r}.`;
+            } else if (kind === "second-difference") {
+                const d = rng.int(1, 5);
+                const step = rng.int(1, 4);
+                terms = [start];
+                for (let i = 0; i < 5; i++) terms.push(terms[i] + d + i * step);
+                rule = `The differences are ${terms.slice(1).map((t, i) => t - terms[i]).join(", ")} — they grow by ${step} each time.`;
+            } else if (kind === "squares") {
+                const c = rng.int(-3, 5);
+                terms = Array.from({ length: 6 }, (_, i) => (start + i) ** 2 + c);
+                rule = `The terms are n² ${c >= 0 ? "+" : "−"} ${Math.abs(c)} for n = ${start}, ${start + 1}, ${start + 2}, …`;
+            } else {
+                const k = rng.int(2, 3);
+                const c = rng.int(1, 5);
+                terms = [start];
+                for (let i = 0; i < 5; i++) terms.push(terms[i] * k + c);
+                rule = `Each term is the previous one × ${k} + ${c}.`;
+            }
+
+            const shown = terms.slice(0, 5);
+            const next = terms[5];
+            const lastDiff = shown[4] - shown[3];
+            return {
+                question: `What is the next number in the series: ${shown.join(", ")}, ?`,
+                ...withOptions(rng, String(next), [
+                    String(shown[4] + lastDiff),                 // repeated the last difference
+                    String(next + (lastDiff > 0 ? 1 : -1)),
+                    String(shown[4] * 2)
+                ], nearby(frac(next), formatNumber, [2, -2, 3, -3, 5])),
+                solution: [
+                    rule,
+                    `So the term after ${shown[4]} is ${next}.`
+                ]
+            };
+        }
+    },
+    {
+        id: "series-missing-term",
+        category: "number-series",
+        generate(rng) {
+            const start = rng.int(1, 6);
+            const k = rng.int(2, 3);
+            // Alternating ×k and +c, a favourite of placement tests
+            const c = rng.int(2, 9);
+            const terms = [start];
+            for (let i = 0; i < 6; i++) terms.push(i % 2 === 0 ? terms[i] * k : terms[i] + c);
+            const missing = rng.int(2, 5);
+            const shown = terms.map((t, i) => (i === missing ? "?" : t));
+            const answer = terms[missing];
+            return {
+                question: `Find the missing number in the series: ${shown.join(", ")}`,
+                ...withOptions(rng, String(answer), [
+                    String(terms[missing - 1] * k),
+                    String(terms[missing - 1] + c),
+                    String(answer + c)
+                ], nearby(frac(answer), formatNumber, [1, -1, 2, -2, 4])),
+                solution: [
+                    `The series alternates: × ${k}, then + ${c}.`,
+                    `${terms.map((t, i) => (i === 0 ? `${t}` : `${i % 2 === 1 ? `× ${k}` : `+ ${c}`} → ${t}`)).join(", ")}.`,
+                    `So the missing number is ${answer}.`
+                ]
+            };
+        }
+    }
+];
+
+export const CATEGORIES = {
+    "time-work": { name: "Time & Work", subtopicId: "aptitude/time-work-problems" },
+    "profit-loss": { name: "Profit & Loss", subtopicId: "aptitude/profit-loss" },
+    "probability": { name: "Probability", subtopicId: "aptitude/probability-permutations" },
+    "number-series": { name: "Number Series", subtopicId: "aptitude/number-series" }
+};
+
+export function listCategories() {
+    return Object.entries(CATEGORIES).map(([id, { name, subtopicId }]) => ({
+        id,
+        name,
+        subtopicId,
+        templates: TEMPLATES.filter(t => t.category === id).map(t => t.id)
+    }));
+}
+
+/**
+ * Generates a problem from a random template of a category.
+ * @param {string} category - a key of CATEGORIES
+ * @param {number} seed - same seed, same template and numbers
+ */
+export function generateProblem(category, seed) {
+    const rng = createRandom(seed);
+    const template = rng.pick(TEMPLATES.filter(t => t.category === category));
+    return { templateId: template.id, category, seed, ...template.generate(rng) };
+}
@@ -6,6 +6,14 @@ import path from "path";
 import { fileURLToPath } from "url";
 import chatRouter from "./routes/chat.js";
 import topicsRouter from "./routes/topics.js";
+import practiceRouter from "./routes/practice.js";
+import documentsRouter from "./routes/documents.js";
+import adminRouter from "./routes/admin.js";
+import authRouter from "./routes/auth.js";
+import progressRouter from "./routes/progress.js";
+import studyPlanRouter from "./routes/studyPlan.js";
+import interviewRouter from "./routes/interview.js";
+import aptitudeRouter from "./routes/aptitude.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,7 +23,8 @@ const PORT = process.env.PORT || 3001;
 
 // ─── Middleware ───
 app.use(cors());
-app.use(express.json());
+// Study documents are posted as JSON text, so allow bodies larger than the 100kb default
+app.use(express.json({ limit: "1mb" }));
 
 // Serve static files (generated images, audio)
 app.use("/public", express.static(path.join(__dirname, "public")));
@@ -23,6 +32,14 @@ app.use("/public", express.static(path.join(__dirname, "public")));
 // ─── API Routes ───
 app.use("/api/chat", chatRouter);
 app.use("/api/topics", topicsRouter);
+app.use("/api/practice", practiceRouter);
+app.use("/api/documents", documentsRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/auth", authRouter);
+app.use("/api/progress", progressRouter);
+app.use("/api/study-plan", studyPlanRouter);
+app.use("/api/interview", interviewRouter);
+app.use("/api/aptitude", aptitudeRouter);
 
 // ─── Health Check ───
 app.get("/api/health", (req, res) => {
@@ -34,5 +51,12 @@ app.listen(PORT, () => {
     console.log(`\n🚀 AI Tutor Server running on http://localhost:${PORT}`);
     console.log(`📚 Topics API:  http://localhost:${PORT}/api/topics`);
     console.log(`💬 Chat API:    http://localhost:${PORT}/api/chat`);
+    console.log(`💻 Practice:    http://localhost:${PORT}/api/practice`);
+    console.log(`📎 Documents:   http://localhost:${PORT}/api/documents`);
+    console.log(`👤 Auth:        http://localhost:${PORT}/api/auth`);
+    console.log(`📈 Progress:    http://localhost:${PORT}/api/progress`);
+    console.log(`🗓️  Study plan:  http://localhost:${PORT}/api/study-plan`);
+    console.log(`🎤 Interview:   http://localhost:${PORT}/api/interview`);
+    console.log(`🧮 Aptitude:    http://localhost:${PORT}/api/aptitude`);
     console.log(`❤️  Health:      http://localhost:${PORT}/api/health\n`);
 });
@@ -0,0 +1,139 @@
+// ─── Interview Service ── Shared by the Express Router and the Vercel Handler ───
+// Starts mock interviews and feeds the student's answers into the interview
+// graph (see agents/interviewGraph.js). Each interview is a checkpointed thread
+// scoped to its student, so nobody else can read or answer it. Returns
+// { status, body }, like topicService.js.
+//
+// Interview response: { id, topic, topicId, difficulty, status: "in_progress"|"completed",
+//   subtopics, position, question: { text, subtopicId, subtopicName, followUp, number } | null,
+//   exchanges: [{ question, answer, evaluation, ... }], report }
+
+import { v4 as uuidv4 } from "uuid";
+import { Command } from "@langchain/langgraph";
+import knowledgeBase from "../knowledgeBase.js";
+import { buildInterviewGraph, createInterviewState } from "../agents/interviewGraph.js";
+import { DIFFICULTY_LEVELS, isDifficulty } from "../agents/difficulty.js";
+import { getProviderConfigError } from "../llm/providers.js";
+
+const MAX_QUESTION_COUNT = 8;
+const MAX_ANSWER_LENGTH = 4000;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+// Build the compiled graph once per process / warm function instance
+let compiledGraph = null;
+
+function getGraph() {
+    if (!compiledGraph) {
+        compiledGraph = buildInterviewGraph();
+    }
+    return compiledGraph;
+}
+
+function threadConfig(userId, interviewId) {
+    return { configurable: { thread_id: `${userId}:interview:${interviewId}` } };
+}
+
+// The question the interview is paused on, or null once it's finished
+function getPendingQuestion(snapshot) {
+    const pending = (snapshot.tasks || []).flatMap(task => task.interrupts || []);
+    return pending.length > 0 ? pending[0].value.question : null;
+}
+
+function toInterviewResponse(id, state, question) {
+    return {
+        id,
+        topic: state.topic,
+        topicId: state.topicId,
+        difficulty: state.difficulty,
+        status: state.report ? "completed" : "in_progress",
+        subtopics: state.subtopics,
+        position: state.position,
+        question,
+        exchanges: state.exchanges,
+        report: state.report
+    };
+}
+
+async function loadInterview(userId, interviewId) {
+    const snapshot = await getGraph().getState(threadConfig(userId, interviewId));
+    if (!snapshot.values?.topicId) return null;
+    return { state: snapshot.values, question: getPendingQuestion(snapshot) };
+}
+
+// Runs the graph until it pauses for the next answer or finishes
+async function advance(userId, interviewId, input) {
+    const config = threadConfig(userId, interviewId);
+    await getGraph().invoke(input, config);
+    const { state, question } = await loadInterview(userId, interviewId);
+    return toInterviewResponse(interviewId, state, question);
+}
+
+/**
+ * POST body: { topicId, difficulty?, subtopicIds?, questionCount? }
+ * Without subtopicIds the planner samples questionCount subtopics of the topic.
+ */
+export async function startInterview(userId, { topicId, difficulty, subtopicIds, questionCount } = {}) {
+    const topic = typeof topicId === "string" ? knowledgeBase.getTopicById(topicId) : null;
+    if (!topic) return fail(400, "Choose a knowledge-base topic for the interview");
+    if (topic.subtopics.length === 0) return fail(400, `${topic.name} has no subtopics to ask about`);
+
+    if (difficulty !== undefined && difficulty !== null && !isDifficulty(difficulty)) {
+        return fail(400, `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}`);
+    }
+    if (questionCount !== undefined && questionCount !== null
+        && (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTION_COUNT)) {
+        return fail(400, `questionCount must be a whole number from 1 to ${MAX_QUESTION_COUNT}`);
+    }
+
+    let subtopics = [];
+    if (subtopicIds !== undefined && subtopicIds !== null) {
+        if (!Array.isArray(subtopicIds) || subtopicIds.length > MAX_QUESTION_COUNT) {
+            return fail(400, `subtopicIds must be a list of up to ${MAX_QUESTION_COUNT} subtopics`);
+        }
+        subtopics = subtopicIds.map(id => topic.subtopics.find(s => s.id === id));
+        if (subtopics.some(s => !s)) return fail(400, `Every subtopic must belong to ${topic.name}`);
+    }
+
+    const configError = getProviderConfigError();
+    if (configError) return fail(500, configError);
+
+    const interviewId = uuidv4();
+    try {
+        const interview = await advance(userId, interviewId, createInterviewState({
+            topic: topic.name,
+            topicId,
+            difficulty,
+            questionCount,
+            subtopics: subtopics.map(({ id, name }) => ({ id, name }))
+        }));
+        return ok({ interview }, 201);
+    } catch (error) {
+        console.error("Interview error:", error);
+        return fail(500, `Interview failed: ${error.message}`);
+    }
+}
+
+export async function getInterview(userId, interviewId) {
+    const interview = await loadInterview(userId, interviewId);
+    if (!interview) return fail(404, "Interview not found");
+    return ok({ interview: toInterviewResponse(interviewId, interview.state, interview.question) });
+}
+
+// POST body: { answer } — the typed answer to the pending question
+export async function answerQuestion(userId, interviewId, { answer } = {}) {
+    if (typeof answer !== "string" || !answer.trim()) return fail(400, "Answer is required");
+    if (answer.length > MAX_ANSWER_LENGTH) return fail(400, `Answers must be under ${MAX_ANSWER_LENGTH} characters`);
+
+    const interview = await loadInterview(userId, interviewId);
+    if (!interview) return fail(404, "Interview not found");
+    if (!interview.question) return fail(409, "This interview is already finished");
+
+    try {
+        return ok({ interview: await advance(userId, interviewId, new Command({ resume: answer.trim() })) });
+    } catch (error) {
+        console.error("Interview error:", error);
+        return fail(500, `Interview failed: ${error.message}`);
+    }
+}
@@ -1,123 +1,218 @@
 // ─── Knowledge Base ── Graph-Structured Placement Topics ───
-// In-memory graph with adjacency list. Each node has a name, description,
-// and list of subtopics. Supports runtime additions.
+// Topics and subtopics are nodes with ids; typed edges connect them:
+//
+//   prerequisite-of   from → to: learn `from` before `to` (kept acyclic)
+//   related-to        symmetric link between nodes, often across topics
+//   part-of           subtopic → topic, derived from topic membership
+//
+// Subtopic ids are "<topicId>/<slug>". Runtime additions are persisted through
+// the storage backend (see storage/index.js) so they survive restarts.
 
-const knowledgeBase = {
-  topics: {
-    "mern-stack": {
-      name: "MERN Stack",
-      description: "MongoDB, Express.js, React, Node.js full-stack development",
-      subtopics: [
-        "MongoDB Schema Design",
-        "Express.js Middleware",
-        "React Hooks & State Management",
-        "Node.js Event Loop",
-        "REST API Design",
-        "Authentication with JWT",
-        "Deployment & DevOps"
-      ]
-    },
-    "system-design": {
-      name: "System Design",
-      description: "Designing scalable, reliable, and efficient software systems",
-      subtopics: [
-        "Load Balancing",
-        "Database Sharding",
-        "Caching Strategies",
-        "Microservices Architecture",
-        "Message Queues",
-        "CAP Theorem",
-        "API Gateway Design"
-      ]
-    },
-    "aptitude": {
-      name: "Aptitude",
-      description: "Quantitative aptitude, logical reasoning, and verbal ability for placements",
-      subtopics: [
-        "Probability & Permutations",
-        "Time & Work Problems",
-        "Profit & Loss",
-        "Number Series",
-        "Logical Puzzles",
-        "Data Interpretation",
-        "Verbal Reasoning"
-      ]
-    },
-    "data-structures": {
-      name: "Data Structures",
-      description: "Core data structures used in coding interviews",
-      subtopics: [
-        "Arrays & Strings",
-        "Linked Lists",
-        "Stacks & Queues",
-        "Trees & Binary Search Trees",
-        "Graphs & Traversals",
-        "Hash Maps",
-        "Heaps & Priority Queues"
-      ]
-    },
-    "oop": {
-      name: "Object-Oriented Programming",
-      description: "OOP principles and design patterns for interviews",
-      subtopics: [
-        "Encapsulation & Abstraction",
-        "Inheritance & Polymorphism",
-        "SOLID Principles",
-        "Design Patterns (Singleton, Factory, Observer)",
-        "UML Diagrams",
-        "Composition vs Inheritance"
-      ]
-    },
-    "dbms": {
-      name: "Database Management Systems",
-      description: "Relational databases, SQL, normalization, and transactions",
-      subtopics: [
-        "ER Diagrams",
-        "Normalization (1NF–BCNF)",
-        "SQL Queries & Joins",
-        "Transactions & ACID",
-        "Indexing & Optimization",
-        "NoSQL vs SQL"
-      ]
-    },
-    "os": {
-      name: "Operating Systems",
-      description: "OS concepts frequently asked in placement interviews",
-      subtopics: [
-        "Process Scheduling",
-        "Memory Management",
-        "Deadlocks",
-        "Virtual Memory & Paging",
-        "File Systems",
-        "Threads & Concurrency"
-      ]
-    },
-    "cn": {
-      name: "Computer Networks",
-      description: "Networking fundamentals and protocols for placements",
-      subtopics: [
-        "OSI & TCP/IP Models",
-        "HTTP/HTTPS Protocol",
-        "DNS & DHCP",
-        "Subnetting & IP Addressing",
-        "TCP vs UDP",
-        "Network Security Basics"
-      ]
-    },
-    "ml": {
-      name: "Machine Learning & AI",
-      description: "Machine learning algorithms, AI concepts, and data science for placements",
-      subtopics: [
-        "Decision Trees & Random Forest",
-        "Linear & Logistic Regression",
-        "Support Vector Machines (SVM)",
-        "Neural Networks & Deep Learning",
-        "K-Means Clustering",
-        "K-Nearest Neighbors (KNN)",
-        "Natural Language Processing (NLP)",
-        "Model Evaluation & Metrics"
-      ]
+import SEED_TOPICS, { SEED_EDGES } from "./storage/seedTopics.js";
+import { createStore } from "./storage/index.js";
+import { tokenize } from "./retrieval/bm25.js";
+
+export const EDGE_TYPES = ["prerequisite-of", "related-to", "part-of"];
+
+// Edge types that are stored; part-of is implied by membership
+const STORED_EDGE_TYPES = ["prerequisite-of", "related-to"];
+
+const store = createStore("knowledgeBase");
+let graph = null;
+
+// ─── Naming Policy ── shared by topic and subtopic ids ───
+
+// Display form of a name: trimmed, inner whitespace collapsed
+export function normalizeName(name) {
+  return name.normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+// Comparison key, so "Graph  Theory" and " graph theory" count as duplicates
+export function nameKey(name) {
+  return normalizeName(name).toLowerCase();
+}
+
+// URL-safe id fragment: accents stripped, any run of non letters/digits → "-"
+export function slugify(name) {
+  return nameKey(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Gives a new subtopic an id that is unique within its topic
+function createSubtopic(topicId, existing, name) {
+  const base = `${topicId}/${slugify(name) || "subtopic"}`;
+  let id = base;
+  for (let n = 2; existing.some(s => s.id === id); n++) id = `${base}-${n}`;
+  return { id, name };
+}
+
+function toSubtopics(topicId, subtopics) {
+  return subtopics.reduce((list, s) => {
+    if (typeof s === "string") return [...list, createSubtopic(topicId, list, s)];
+    return [...list, { id: s.id, name: s.name }];
+  }, []);
+}
+
+// Own keys only, so ids like "constructor" or "__proto__" never match Object.prototype
+function ownTopic(topics, id) {
+  return Object.hasOwn(topics, id) ? topics[id] : null;
+}
+
+function findNode(topics, id) {
+  if (ownTopic(topics, id)) return { id, kind: "topic", name: topics[id].name };
+
+  const topicId = id.split("/")[0];
+  const subtopic = ownTopic(topics, topicId)?.subtopics.find(s => s.id === id);
+  return subtopic ? { id, kind: "subtopic", name: subtopic.name, topicId } : null;
+}
+
+// Accepts both the current { topics, edges } shape and older stores whose
+// subtopics were plain strings and which had no edges (seed edges are applied)
+function normalizeGraph(data) {
+  const topics = {};
+  for (const [id, topic] of Object.entries(data.topics || {})) {
+    topics[id] = {
+      name: topic.name,
+      description: topic.description,
+      subtopics: toSubtopics(id, topic.subtopics || [])
+    };
+  }
+
+  const edges = (data.edges || SEED_EDGES.map(([from, to, type]) => ({ from, to, type })))
+    .filter(e => findNode(topics, e.from) && findNode(topics, e.to));
+
+  return { topics, edges };
+}
+
+// Loads the graph on first use, seeding an empty store
+function loadGraph() {
+  if (!graph) {
+    const saved = store.load();
+    graph = normalizeGraph(saved || { topics: SEED_TOPICS });
+    if (!saved) {
+      try {
+        store.save(graph);
+      } catch (err) {
+        console.warn(`⚠️ Could not seed knowledge base storage (${store.name}):`, err.message);
+      }
+    }
+  }
+  return graph;
+}
+
+// Applies a change to a copy and only keeps it once it has been saved
+function commit(mutate) {
+  const next = structuredClone(loadGraph());
+  const result = mutate(next);
+  store.save(next);
+  graph = next;
+  return result;
+}
+
+function partOfEdges(topics) {
+  return Object.entries(topics).flatMap(([topicId, topic]) =>
+    topic.subtopics.map(s => ({ from: s.id, to: topicId, type: "part-of" }))
+  );
+}
+
+// Orders ids so every prerequisite comes before the nodes that need it.
+// Ties keep the input order. Returns null if the edges contain a cycle.
+function topologicalSort(ids, edges) {
+  const inDegree = new Map(ids.map(id => [id, 0]));
+  const outgoing = new Map(ids.map(id => [id, []]));
+
+  for (const { from, to } of edges) {
+    if (!inDegree.has(from) || !inDegree.has(to)) continue;
+    outgoing.get(from).push(to);
+    inDegree.set(to, inDegree.get(to) + 1);
+  }
+
+  const order = [];
+  const ready = ids.filter(id => inDegree.get(id) === 0);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const to of outgoing.get(id)) {
+      inDegree.set(to, inDegree.get(to) - 1);
+      if (inDegree.get(to) === 0) ready.push(to);
     }
+  }
+
+  return order.length === ids.length ? order : null;
+}
+
+// Learning order for reads; a stored graph with a cycle (edited by hand, or
+// saved before edges were checked) keeps the given order instead of failing
+function learningOrder(ids, edges) {
+  const order = topologicalSort(ids, edges);
+  if (!order) console.warn("⚠️ Prerequisite edges contain a cycle; using the stored order");
+  return order || ids;
+}
+
+// Singular/plural tolerant, whole-word pattern for a name fragment
+function namePattern(part) {
+  const stem = part.replace(/(es|s)$/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`\\b${stem}(s|es)?\\b`, "i");
+}
+
+// Dice coefficient over character bigrams — tolerant of typos and word order
+function similarity(a, b) {
+  const bigrams = (str) => {
+    const s = str.replace(/\s+/g, " ");
+    return Array.from({ length: Math.max(0, s.length - 1) }, (_, i) => s.slice(i, i + 2));
+  };
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return a === b ? 1 : 0;
+
+  const counts = new Map();
+  for (const g of left) counts.set(g, (counts.get(g) || 0) + 1);
+  let overlap = 0;
+  for (const g of right) {
+    if (counts.get(g) > 0) {
+      overlap++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  return (2 * overlap) / (left.length + right.length);
+}
+
+// Minimum similarity for a fuzzy topic match
+const FUZZY_THRESHOLD = 0.6;
+
+// Words that say how to answer rather than what about ("how does X work")
+const QUERY_FILLERS = new Set([
+  "work", "working", "mean", "use", "used", "tell", "me", "about", "teach", "learn", "show",
+  "give", "understand", "basic", "concept", "example", "please", "happen", "i", "we", "my"
+]);
+
+// Content words of a query, without words like "how", "explain" or "work"
+function queryWords(text) {
+  return [...new Set(tokenize(text || ""))].filter(w => !QUERY_FILLERS.has(w));
+}
+
+// Words match on a shared stem of 4+ letters ("hashing" / "hash")
+function sameStem(a, b) {
+  return a === b || (b.length >= 4 && a.startsWith(b)) || (a.length >= 4 && b.startsWith(a));
+}
+
+// "Trees & Binary Search Trees" → ["trees & binary search trees", "trees", "binary search trees"]
+function nameParts(name) {
+  const lower = name.toLowerCase();
+  const parts = lower.split(/\s*(?:&|,|\(|\)|\band\b|\bvs\.?\b)\s*/).filter(p => p.length >= 3);
+  return [lower, ...parts];
+}
+
+const knowledgeBase = {
+  get topics() {
+    return loadGraph().topics;
+  },
+
+  get edges() {
+    return loadGraph().edges;
   },
 
   // ─── Methods ───
@@ -136,33 +231,332 @@ const knowledgeBase = {
   },
 
   getTopicById(id) {
-    return this.topics[id] || null;
+    return ownTopic(this.topics, id);
   },
 
+  // A topic whose name contains `name` as whole words ("Machine Learning" → "Machine Learning & AI")
   findTopicByName(name) {
-    const lower = name.toLowerCase();
-    return Object.entries(this.topics).find(
-      ([, t]) => t.name.toLowerCase().includes(lower)
-    )?.[1] || null;
+    const pattern = new RegExp(`(^|\\W)${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|\\W)`);
+    return Object.values(this.topics).find(t => pattern.test(t.name.toLowerCase())) || null;
   },
 
   addTopic(id, name, description, subtopics = []) {
-    this.topics[id] = { name, description, subtopics };
-    return this.topics[id];
+    return commit(next => {
+      next.topics[id] = { name, description, subtopics: toSubtopics(id, subtopics) };
+      return next.topics[id];
+    });
   },
 
   addSubtopic(topicId, subtopic) {
-    if (this.topics[topicId]) {
-      this.topics[topicId].subtopics.push(subtopic);
+    if (!ownTopic(this.topics, topicId)) return false;
+    return commit(next => {
+      const list = next.topics[topicId].subtopics;
+      list.push(createSubtopic(topicId, list, subtopic));
+      return true;
+    });
+  },
+
+  // Ids stay stable on rename, so edges and links keep working
+  updateTopic(id, { name, description } = {}) {
+    if (!ownTopic(this.topics, id)) return { error: "Topic not found", status: 404 };
+
+    const taken = name !== undefined && Object.entries(this.topics).some(
+      ([otherId, t]) => otherId !== id && nameKey(t.name) === nameKey(name)
+    );
+    if (taken) return { error: "Another topic already has this name", status: 409 };
+
+    const topic = commit(next => {
+      const t = next.topics[id];
+      if (name !== undefined) t.name = name;
+      if (description !== undefined) t.description = description;
+      return t;
+    });
+    return { topic };
+  },
+
+  // Removes the topic, its subtopics and every edge touching them
+  deleteTopic(id) {
+    if (!ownTopic(this.topics, id)) return false;
+    return commit(next => {
+      const removed = new Set([id, ...next.topics[id].subtopics.map(s => s.id)]);
+      delete next.topics[id];
+      next.edges = next.edges.filter(e => !removed.has(e.from) && !removed.has(e.to));
+      return true;
+    });
+  },
+
+  updateSubtopic(topicId, subtopicId, { name }) {
+    const topic = ownTopic(this.topics, topicId);
+    if (!topic?.subtopics.some(s => s.id === subtopicId)) {
+      return { error: "Subtopic not found", status: 404 };
+    }
+    if (topic.subtopics.some(s => s.id !== subtopicId && nameKey(s.name) === nameKey(name))) {
+      return { error: "Subtopic already exists in this topic", status: 409 };
+    }
+
+    const subtopic = commit(next => {
+      const s = next.topics[topicId].subtopics.find(s => s.id === subtopicId);
+      s.name = name;
+      return s;
+    });
+    return { subtopic };
+  },
+
+  deleteSubtopic(topicId, subtopicId) {
+    if (!ownTopic(this.topics, topicId)?.subtopics.some(s => s.id === subtopicId)) return false;
+    return commit(next => {
+      const t = next.topics[topicId];
+      t.subtopics = t.subtopics.filter(s => s.id !== subtopicId);
+      next.edges = next.edges.filter(e => e.from !== subtopicId && e.to !== subtopicId);
       return true;
+    });
+  },
+
+  // `order` must list every subtopic id of the topic exactly once
+  reorderSubtopics(topicId, order) {
+    const topic = ownTopic(this.topics, topicId);
+    if (!topic) return { error: "Topic not found", status: 404 };
+
+    const ids = topic.subtopics.map(s => s.id);
+    const isPermutation = order.length === ids.length
+      && new Set(order).size === order.length
+      && order.every(id => ids.includes(id));
+    if (!isPermutation) {
+      return { error: "order must list every subtopic id of the topic exactly once", status: 400 };
+    }
+
+    return {
+      topic: commit(next => {
+        const t = next.topics[topicId];
+        t.subtopics = order.map(id => t.subtopics.find(s => s.id === id));
+        return t;
+      })
+    };
+  },
+
+  // ─── Graph ───
+
+  // Topic or subtopic node: { id, kind: "topic"|"subtopic", name, topicId? }
+  getNode(id) {
+    return findNode(this.topics, id);
+  },
+
+  getNodes() {
+    return Object.entries(this.topics).flatMap(([id, topic]) => [
+      { id, kind: "topic", name: topic.name },
+      ...topic.subtopics.map(s => ({ id: s.id, kind: "subtopic", name: s.name, topicId: id }))
+    ]);
+  },
+
+  // All edges, including the derived part-of edges
+  getEdges(type) {
+    const edges = [...this.edges, ...partOfEdges(this.topics)];
+    return type ? edges.filter(e => e.type === type) : edges;
+  },
+
+  /**
+   * Nodes connected to `id`, optionally filtered by edge type and direction.
+   * @param {string} id
+   * @param {{ type?: string, direction?: "in"|"out"|"both" }} [options]
+   * @returns {Array<{ node: object, type: string, direction: "in"|"out" }>|null} null if the node doesn't exist
+   */
+  getNeighbors(id, { type, direction = "both" } = {}) {
+    if (!this.getNode(id)) return null;
+
+    return this.getEdges(type).flatMap(edge => {
+      const neighbors = [];
+      if (edge.from === id && direction !== "in") {
+        neighbors.push({ node: this.getNode(edge.to), type: edge.type, direction: "out" });
+      }
+      if (edge.to === id && direction !== "out") {
+        neighbors.push({ node: this.getNode(edge.from), type: edge.type, direction: "in" });
+      }
+      return neighbors;
+    });
+  },
+
+  // Everything that must be learned before `id`, prerequisites first
+  getPrerequisites(id, { transitive = true } = {}) {
+    if (!this.getNode(id)) return null;
+
+    const prerequisiteEdges = this.getEdges("prerequisite-of");
+    const found = new Set();
+    const queue = [id];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of prerequisiteEdges) {
+        if (edge.to !== current || found.has(edge.from)) continue;
+        found.add(edge.from);
+        if (transitive) queue.push(edge.from);
+      }
+    }
+
+    const ids = this.getNodes().map(n => n.id).filter(n => found.has(n));
+    return learningOrder(ids, prerequisiteEdges).map(n => this.getNode(n));
+  },
+
+  // Learning order over prerequisite-of edges — for one topic's subtopics, or every node
+  getTopologicalOrder(topicId) {
+    if (topicId && !ownTopic(this.topics, topicId)) return null;
+
+    const ids = topicId
+      ? this.topics[topicId].subtopics.map(s => s.id)
+      : this.getNodes().map(n => n.id);
+    return learningOrder(ids, this.getEdges("prerequisite-of")).map(n => this.getNode(n));
+  },
+
+  /**
+   * Adds a prerequisite-of or related-to edge.
+   * @returns {{ edge: object } | { error: string, status: number }}
+   */
+  addEdge(from, to, type) {
+    if (!STORED_EDGE_TYPES.includes(type)) {
+      return { error: `Edge type must be one of: ${STORED_EDGE_TYPES.join(", ")}`, status: 400 };
+    }
+    if (!this.getNode(from) || !this.getNode(to)) {
+      return { error: "Both nodes must exist", status: 404 };
     }
-    return false;
+    if (from === to) {
+      return { error: "A node cannot link to itself", status: 400 };
+    }
+
+    const duplicate = this.edges.some(e => e.type === type && (
+      (e.from === from && e.to === to) || (type === "related-to" && e.from === to && e.to === from)
+    ));
+    if (duplicate) {
+      return { error: "Edge already exists", status: 409 };
+    }
+
+    const edge = { from, to, type };
+    if (type === "prerequisite-of") {
+      const ids = this.getNodes().map(n => n.id);
+      if (!topologicalSort(ids, [...this.getEdges("prerequisite-of"), edge])) {
+        return { error: "Edge would create a prerequisite cycle", status: 409 };
+      }
+    }
+
+    commit(next => next.edges.push(edge));
+    return { edge };
+  },
+
+  // Nodes named in free text, e.g. a query — subtopics if any match, else topics
+  findNodesInText(text) {
+    if (!text) return [];
+    const matches = (node) => nameParts(node.name).some(part => namePattern(part).test(text));
+    const nodes = this.getNodes();
+
+    const subtopics = nodes.filter(n => n.kind === "subtopic" && matches(n));
+    return subtopics.length > 0 ? subtopics : nodes.filter(n => n.kind === "topic" && matches(n));
+  },
+
+  /**
+   * Subtopics that share the most words with a short query, for spotting
+   * ambiguity ("trees" → Trees & Binary Search Trees, Decision Trees & Random Forest).
+   * Words match on a shared stem of 4+ letters, so "hashing" finds "Hash Maps".
+   * @returns {{ id: string, kind: "subtopic", name: string, topicId: string }[]} best matches, all tied
+   */
+  findSubtopicCandidates(text) {
+    const words = queryWords(text);
+    if (words.length === 0) return [];
+
+    const scored = this.getNodes()
+      .filter(n => n.kind === "subtopic")
+      .map(node => {
+        const nameWords = tokenize(node.name);
+        return { node, score: words.filter(w => nameWords.some(nw => sameStem(w, nw))).length };
+      })
+      .filter(c => c.score > 0);
+
+    const best = Math.max(0, ...scored.map(c => c.score));
+    return scored.filter(c => c.score === best).map(c => c.node);
+  },
+
+  /**
+   * True if the text only names the node (or its parent topic) and asks nothing
+   * more specific — "Explain Operating Systems", "how do hash maps work".
+   */
+  isGenericMention(text, id) {
+    const node = this.getNode(id);
+    if (!node) return false;
+    const nameWords = tokenize(node.topicId ? `${node.name} ${this.topics[node.topicId].name}` : node.name);
+    const words = queryWords(text);
+    return words.length > 0 && words.every(w => nameWords.some(nw => sameStem(w, nw)));
+  },
+
+  /**
+   * Resolves a topic mention (e.g. the supervisor's detectedTopic) to a node.
+   * Tries, in order: an exact name, node names mentioned in the text, a single
+   * subtopic sharing a word stem, findTopicByName, then fuzzy similarity
+   * against every name and name part. Subtopics come before the topic-name
+   * lookup so "Stack" is Stacks & Queues rather than MERN Stack, and "React" /
+   * "Hashing" reach React Hooks & State Management / Hash Maps.
+   * @returns {{ topicId: string, subtopicId: string|null, name: string, match: string }|null}
+   */
+  resolveTopic(text) {
+    if (typeof text !== "string" || normalizeName(text).length < 2) return null;
+
+    const key = nameKey(text);
+    const nodes = this.getNodes();
+    const toResult = (node, match) => ({
+      topicId: node.topicId || node.id,
+      subtopicId: node.kind === "subtopic" ? node.id : null,
+      name: node.name,
+      match
+    });
+    const score = (node) => Math.max(...nameParts(node.name).map(part => similarity(key, part)));
+
+    const exact = nodes.find(n => nameKey(n.name) === key);
+    if (exact) return toResult(exact, "exact");
+
+    // Share of a name's words that appear in the text; a whole name part
+    // ("Stacks" in "Stacks & Queues") counts as a strong mention
+    const words = new Set(tokenize(text));
+    const mention = (name) => {
+      const nameWords = [...new Set(tokenize(name))];
+      const overlap = nameWords.length ? nameWords.filter(w => words.has(w)).length / nameWords.length : 0;
+      const partNamed = nameParts(name).some(part => namePattern(part).test(text));
+      return Math.max(overlap, partNamed ? 0.75 : 0);
+    };
+    // Subtopics get a bonus when their parent topic is named too ("REST APIs in MERN Stack")
+    const mentioned = nodes
+      .map(node => ({
+        node,
+        score: mention(node.name) + (node.kind === "subtopic" ? 0.5 * mention(this.topics[node.topicId].name) : 0)
+      }))
+      .filter(c => c.score >= 0.5 && mention(c.node.name) >= 0.5)
+      .sort((a, b) => b.score - a.score);
+    if (mentioned.length > 0) return toResult(mentioned[0].node, "text");
+
+    const candidates = this.findSubtopicCandidates(text);
+    if (candidates.length === 1) return toResult(candidates[0], "stem");
+
+    if (key.length >= 3) {
+      const topic = this.findTopicByName(key);
+      const topicId = topic && Object.keys(this.topics).find(id => this.topics[id] === topic);
+      if (topicId) return toResult(this.getNode(topicId), "name");
+    }
+
+    const ranked = nodes.map(node => ({ node, score: score(node) })).sort((a, b) => b.score - a.score);
+    if (ranked[0]?.score >= FUZZY_THRESHOLD) return toResult(ranked[0].node, "fuzzy");
+
+    return null;
+  },
+
+  // Prerequisites a walkthrough on `text` can assume, excluding the matched nodes themselves
+  getAssumedPrerequisites(text) {
+    const matched = this.findNodesInText(text);
+    const matchedIds = new Set(matched.map(n => n.id));
+    const seen = new Set();
+
+    return matched
+      .flatMap(node => this.getPrerequisites(node.id))
+      .filter(node => !matchedIds.has(node.id) && !seen.has(node.id) && seen.add(node.id));
   },
 
   // Returns a flat string of all topics + subtopics for agent context
   toContextString() {
     return Object.values(this.topics)
-      .map(t => `• ${t.name}: ${t.subtopics.join(", ")}`)
+      .map(t => `• ${t.name}: ${t.subtopics.map(s => s.name).join(", ")}`)
       .join("\n");
   }
 };
@@ -0,0 +1,44 @@
+// ─── Mock Chat Model ── Deterministic Offline Provider ───
+// A LangChain chat model that answers from scripted responders instead of an
+// API, so the whole graph (including token streaming) runs offline.
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { getMockScript } from "./mockScripts.js";
+
+function messageText(message) {
+    return typeof message?.content === "string" ? message.content : "";
+}
+
+export class MockChatModel extends BaseChatModel {
+    constructor({ role }) {
+        super({});
+        this.role = role;
+    }
+
+    _llmType() {
+        return "mock";
+    }
+
+    // Scripts are looked up per call so tests can swap them at runtime
+    respond(messages) {
+        const system = messageText(messages.find(m => m._getType() === "system"));
+        const user = messageText([...messages].reverse().find(m => m._getType() === "human"));
+        return getMockScript(this.role)({ system, user, messages });
+    }
+
+    async _generate(messages) {
+        const text = this.respond(messages);
+        return { generations: [{ text, message: new AIMessage(text) }] };
+    }
+
+    // Streams the scripted answer word by word, like a real provider would
+    async *_streamResponseChunks(messages, options, runManager) {
+        const text = this.respond(messages);
+        for (const token of text.match(/\s*\S+/g) || []) {
+            yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+            await runManager?.handleLLMNewToken(token);
+        }
+    }
+}
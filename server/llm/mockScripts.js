@@ -0,0 +1,167 @@
+// ─── Mock Scripts ── Canned Responses for the Mock Provider ───
+// One responder per agent role: ({ system, user, messages }) => string.
+// Responses are deterministic so offline runs and tests are reproducible;
+// setMockScript() lets a test script a specific answer for a role.
+
+const OFF_TOPIC = /\b(recipes?|cook(ing)?|weather|movies?|songs?|celebrit(y|ies)|horoscope|vacation)\b/i;
+const HARMFUL = /\b(bomb|weapons?|kill|malware|ransomware|steal)\b/i;
+const INJECTION = /\b(no|without)\s+(rules|restrictions|filters|limits)\b/i;
+
+// Pulls the subject out of "Create a walkthrough on: X" style requests
+function extractSubject(user) {
+    return user.split("\n")[0].replace(/^[^:]*:\s*/, "").trim() || "the topic";
+}
+
+const DEFAULT_SCRIPTS = {
+    supervisor: ({ user }) => {
+        if (HARMFUL.test(user)) {
+            return JSON.stringify({ classification: "harmful", reason: "Mock: matched a harmful keyword", detectedTopic: null });
+        }
+        if (OFF_TOPIC.test(user)) {
+            return JSON.stringify({ classification: "irrelevant", reason: "Mock: matched an off-topic keyword", detectedTopic: null });
+        }
+        return JSON.stringify({ classification: "placement_topic", reason: "Mock: placement related", detectedTopic: user });
+    },
+
+    injection: ({ user }) => JSON.stringify(INJECTION.test(user)
+        ? { injection: true, reason: "Mock: asks the tutor to drop its rules" }
+        : { injection: false, reason: "Mock: ordinary question" }),
+
+    moderation: ({ user }) => JSON.stringify(HARMFUL.test(user.split("\n\nWALKTHROUGH:\n")[1] || "")
+        ? { verdict: "regenerate", category: "unsafe", excerpts: [], reason: "Mock: matched a harmful keyword" }
+        : { verdict: "safe", category: null, excerpts: [], reason: "Mock: nothing to flag" }),
+
+    verifier: () => JSON.stringify({ passed: true, issues: [] }),
+
+    // Returns the draft unchanged; the word budget node's trimming does the rest offline
+    editor: ({ user }) => user.replace(/^DRAFT:\n/, ""),
+
+    researcher: ({ system, user }) => {
+        const subject = extractSubject(user);
+        // Cites the first retrieved study-note passage, if the prompt has one
+        const citation = /^\[1\] /m.test(system) ? " It follows our study notes [1]." : "";
+        // Padded towards the prompt's word target so the verifier's budget check passes
+        const target = parseInt(system.match(/approximately (\d+) words/)?.[1] || "0", 10);
+        const notes = [];
+        for (let words = 90; words < target; words += 15) {
+            notes.push(`- Practice note ${notes.length + 1}: explain ${subject} aloud, then check it against an example.`);
+        }
+        return `## Overview
+
+**${subject}** is a common placement interview topic. This walkthrough was produced by the offline mock provider.${citation}
+
+## Core Concepts
+
+- Start from the fundamentals of ${subject}.
+- Build up to how it is used in real systems.
+- Practise explaining the trade-offs out loud.
+
+## Example
+
+\`\`\`javascript
+function example(input) {
+  return input;
+}
+\`\`\`
+${notes.length > 0 ? `\n## Practice Notes\n\n${notes.join("\n")}\n` : ""}
+## Key Takeaways
+
+1. Know the definition of ${subject}.
+2. Be ready with one concrete example.
+3. Mention time and space complexity where relevant.`;
+    },
+
+    media: ({ user }) => {
+        if (user.includes("infographic")) {
+            const topic = user.match(/topic: "([^"]*)"/)?.[1] || "Topic";
+            return JSON.stringify({
+                title: topic,
+                subtitle: "Offline mock infographic",
+                keyConcepts: ["Definition", "Example", "Complexity", "Trade-offs"],
+                category: "general",
+                codeSnippet: "function example(input) {\\n  return input;\\n}",
+                interviewTip: "Explain your reasoning before writing code."
+            });
+        }
+        return "This is the offline mock narration of the walkthrough. It covers the overview, the core concepts, an example and the key takeaways.";
+    },
+
+    quiz: ({ user }) => {
+        const topic = user.match(/^Walkthrough on "([^"]*)"/)?.[1] || "the topic";
+        return JSON.stringify({
+            questions: [
+                {
+                    stem: `What should you be able to give first when asked about ${topic}?`,
+                    options: ["Its definition", "Its history", "Its inventor", "Its trademark"],
+                    correctIndex: 0,
+                    explanation: "The walkthrough's first takeaway is knowing the definition."
+                },
+                {
+                    stem: "What should accompany your explanation in an interview?",
+                    options: ["A joke", "One concrete example", "A diagram of your desk", "Nothing"],
+                    correctIndex: 1,
+                    explanation: "The walkthrough recommends having one concrete example ready."
+                },
+                {
+                    stem: "Which analysis should you mention where relevant?",
+                    options: ["Market size", "Colour scheme", "Time and space complexity", "Licence terms"],
+                    correctIndex: 2,
+                    explanation: "The key takeaways call out time and space complexity."
+                }
+            ]
+        });
+    },
+
+    // Short answers score low with weak points (so a follow-up is asked), longer ones pass
+    interviewer: ({ system, user }) => {
+        if (!system.includes("scoring a candidate")) {
+            const subtopic = user.match(/^SUBTOPIC: (.*)$/m)?.[1] || "this topic";
+            return /This is a follow-up/.test(system)
+                ? `Can you walk me through a concrete example of ${subtopic}?`
+                : `How does ${subtopic} work, and when would you use it?`;
+        }
+        const answer = user.split("CANDIDATE ANSWER:\n")[1] || "";
+        const words = answer.split(/\s+/).filter(Boolean).length;
+        return JSON.stringify(words < 20
+            ? {
+                scores: { correctness: 2, depth: 1, clarity: 2 },
+                strengths: [],
+                weakPoints: ["Explain how it works, not just what it is"],
+                feedback: "Mock: the answer is too brief to show understanding."
+            }
+            : {
+                scores: { correctness: 4, depth: 4, clarity: 4 },
+                strengths: ["Covers the core idea"],
+                weakPoints: [],
+                feedback: "Mock: a clear answer with enough detail."
+            });
+    },
+
+    // Rewords without touching the numbers, so the paraphrase check keeps it
+    aptitude: ({ user }) => `Placement test question: ${user}`,
+
+    practice: () => JSON.stringify({
+        title: "Sum of an Array",
+        statement: "Given an array of integers `nums`, return the sum of its elements. An empty array sums to `0`.",
+        functionName: "arraySum",
+        signature: "function arraySum(nums)",
+        starterCode: "function arraySum(nums) {\n  // your code here\n}",
+        referenceSolution: "function arraySum(nums) {\n  return nums.reduce((total, n) => total + n, 0);\n}",
+        examples: [{ input: [[1, 2, 3]], explanation: "1 + 2 + 3 = 6" }],
+        hiddenTests: [{ input: [[]] }, { input: [[5]] }, { input: [[-1, 1]] }, { input: [[10, 20, 30, 40]] }]
+    })
+};
+
+const overrides = new Map();
+
+export function getMockScript(role) {
+    return overrides.get(role) || DEFAULT_SCRIPTS[role] || (({ user }) => `Mock response for ${role}: ${user}`);
+}
+
+export function setMockScript(role, respond) {
+    overrides.set(role, respond);
+}
+
+export function resetMockScripts() {
+    overrides.clear();
+}
@@ -0,0 +1,143 @@
+// ─── LLM Provider Layer ── Configurable Chat Models per Agent Role ───
+// Every agent asks for a model by role instead of instantiating a client.
+// The provider and model names come from the environment:
+//
+//   LLM_PROVIDER          groq (default) | openai | mock
+//   LLM_MODEL             model name for every role (optional)
+//   LLM_MODEL_<ROLE>      per-role override, e.g. LLM_MODEL_RESEARCHER
+//   GROQ_API_KEY          required for groq
+//   LLM_BASE_URL          OpenAI-compatible endpoint (default: local Ollama)
+//   LLM_API_KEY           key for the OpenAI-compatible endpoint, if it needs one
+
+import { ChatGroq } from "@langchain/groq";
+import { ChatOpenAI } from "@langchain/openai";
+import { MockChatModel } from "./mockChatModel.js";
+
+export const PROVIDERS = ["groq", "openai", "mock"];
+
+// Default model per provider and role
+const DEFAULT_MODELS = {
+    groq: {
+        supervisor: "llama-3.3-70b-versatile",
+        researcher: "llama-3.3-70b-versatile",
+        media: "llama-3.1-8b-instant",
+        quiz: "llama-3.3-70b-versatile",
+        practice: "llama-3.3-70b-versatile",
+        injection: "llama-3.1-8b-instant",
+        moderation: "llama-3.1-8b-instant",
+        verifier: "llama-3.3-70b-versatile",
+        editor: "llama-3.3-70b-versatile",
+        interviewer: "llama-3.3-70b-versatile",
+        aptitude: "llama-3.1-8b-instant"
+    },
+    openai: {
+        supervisor: "llama3.1",
+        researcher: "llama3.1",
+        media: "llama3.1",
+        quiz: "llama3.1",
+        practice: "llama3.1",
+        injection: "llama3.1",
+        moderation: "llama3.1",
+        verifier: "llama3.1",
+        editor: "llama3.1",
+        interviewer: "llama3.1",
+        aptitude: "llama3.1"
+    },
+    mock: {
+        supervisor: "mock",
+        researcher: "mock",
+        media: "mock",
+        quiz: "mock",
+        practice: "mock",
+        injection: "mock",
+        moderation: "mock",
+        verifier: "mock",
+        editor: "mock",
+        interviewer: "mock",
+        aptitude: "mock"
+    }
+};
+
+// Generation settings per role, shared by every provider
+const ROLE_SETTINGS = {
+    supervisor: { temperature: 0 },
+    researcher: { temperature: 0.7 },
+    media: { temperature: 0.3 },
+    quiz: { temperature: 0.3 },
+    practice: { temperature: 0.4 },
+    injection: { temperature: 0 },
+    moderation: { temperature: 0 },
+    verifier: { temperature: 0 },
+    editor: { temperature: 0.3 },
+    interviewer: { temperature: 0.5 },
+    aptitude: { temperature: 0.7 }
+};
+
+const DEFAULT_OPENAI_BASE_URL = "http://localhost:11434/v1";
+
+export function getProviderName() {
+    return (process.env.LLM_PROVIDER || "groq").trim().toLowerCase();
+}
+
+export function getModelName(role, provider = getProviderName()) {
+    return process.env[`LLM_MODEL_${role.toUpperCase()}`]
+        || process.env.LLM_MODEL
+        || DEFAULT_MODELS[provider]?.[role]
+        || DEFAULT_MODELS[provider]?.researcher;
+}
+
+// Returns a client-facing message if the configured provider can't run, else null
+export function getProviderConfigError() {
+    const provider = getProviderName();
+
+    if (!PROVIDERS.includes(provider)) {
+        return `Unknown LLM_PROVIDER "${provider}". Use one of: ${PROVIDERS.join(", ")}.`;
+    }
+    if (provider === "groq" && !process.env.GROQ_API_KEY) {
+        return "GROQ_API_KEY is missing. Add it to the server environment and restart / redeploy.";
+    }
+    return null;
+}
+
+function createModel(provider, role, model, settings) {
+    switch (provider) {
+        case "groq":
+            return new ChatGroq({
+                model,
+                apiKey: process.env.GROQ_API_KEY,
+                ...settings
+            });
+        case "openai":
+            return new ChatOpenAI({
+                model,
+                apiKey: process.env.LLM_API_KEY || "not-needed",
+                configuration: { baseURL: process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL },
+                ...settings
+            });
+        case "mock":
+            return new MockChatModel({ role });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}"`);
+    }
+}
+
+// Models are cached per provider/role/model/settings, so switching the
+// environment (e.g. in tests) picks up a fresh client.
+const modelCache = new Map();
+
+/**
+ * Returns a LangChain chat model for an agent role.
+ * @param {"supervisor"|"researcher"|"media"|"quiz"|"practice"|"injection"|"moderation"|"verifier"|"editor"|"interviewer"|"aptitude"} role
+ * @param {{ temperature?: number, maxTokens?: number }} [overrides] - per-call generation settings
+ */
+export function getChatModel(role, overrides = {}) {
+    const provider = getProviderName();
+    const model = getModelName(role, provider);
+    const settings = { ...ROLE_SETTINGS[role], ...overrides };
+    const key = JSON.stringify([provider, role, model, settings]);
+
+    if (!modelCache.has(key)) {
+        modelCache.set(key, createModel(provider, role, model, settings));
+    }
+    return modelCache.get(key);
+}
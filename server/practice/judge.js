@@ -0,0 +1,132 @@
+// ─── Sandboxed JavaScript Judge ───
+// Runs a submission against test cases in a worker thread with V8 heap limits,
+// a per-test CPU timeout (vm) and a wall-clock cap for the whole run. At most
+// MAX_CONCURRENT_RUNS workers run at once; later runs wait for a free slot.
+// Verdicts: passed | wrong_answer | runtime_error | time_limit_exceeded |
+//           memory_limit_exceeded | not_run
+
+import { Worker } from "worker_threads";
+import { isDeepStrictEqual } from "util";
+
+export const JUDGE_LIMITS = {
+    perTestTimeoutMs: 1000,
+    totalTimeoutMs: 8000,
+    memoryMb: 64
+};
+
+// Each worker may use up to JUDGE_LIMITS.memoryMb of heap
+export const MAX_CONCURRENT_RUNS = 4;
+
+const workerUrl = new URL("./judgeWorker.js", import.meta.url);
+
+let activeRuns = 0;
+const waiting = [];
+
+// Resolves once a worker slot is free; call the returned function to release it
+function acquireSlot() {
+    return new Promise((resolve) => {
+        const grant = () => {
+            activeRuns++;
+            resolve(() => {
+                activeRuns--;
+                waiting.shift()?.();
+            });
+        };
+        if (activeRuns < MAX_CONCURRENT_RUNS) grant();
+        else waiting.push(grant);
+    });
+}
+
+function parseOutput(output) {
+    try {
+        return { value: JSON.parse(output) };
+    } catch {
+        return { error: "Return value is not JSON-serializable" };
+    }
+}
+
+/**
+ * Runs `code` against `tests` and resolves with per-test results.
+ * Tests without an `expected` value are only executed (used to compute
+ * expected outputs from a reference solution) and report their output.
+ * @param {{ code: string, functionName: string, tests: Array<{ input: any[], expected?: any }>, limits?: object }} submission
+ * @returns {Promise<{ status: string, error?: string, results: Array<object> }>}
+ */
+export async function runSubmission({ code, functionName, tests, limits = {} }) {
+    const release = await acquireSlot();
+    try {
+        return await runInWorker({ code, functionName, tests, limits });
+    } finally {
+        release();
+    }
+}
+
+function runInWorker({ code, functionName, tests, limits }) {
+    const { perTestTimeoutMs, totalTimeoutMs, memoryMb } = { ...JUDGE_LIMITS, ...limits };
+
+    return new Promise((resolve) => {
+        const results = tests.map((_, index) => ({ index, verdict: "not_run" }));
+        let settled = false;
+
+        const worker = new Worker(workerUrl, {
+            workerData: { code, functionName, tests, perTestTimeoutMs },
+            resourceLimits: {
+                maxOldGenerationSizeMb: memoryMb,
+                maxYoungGenerationSizeMb: 16,
+                stackSizeMb: 4
+            }
+        });
+
+        const finish = (status, error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            resolve({ status, ...(error && { error }), results });
+        };
+
+        const timer = setTimeout(() => {
+            const running = results.find(r => r.verdict === "not_run");
+            if (running) running.verdict = "time_limit_exceeded";
+            finish("time_limit_exceeded", `Run exceeded ${totalTimeoutMs} ms`);
+        }, totalTimeoutMs);
+
+        worker.on("message", (message) => {
+            if (message.type === "compile_error") return finish("compile_error", message.error);
+            if (message.type === "finished") return finish("ok");
+
+            const test = tests[message.index];
+            const result = results[message.index];
+            result.timeMs = message.timeMs;
+
+            if (message.verdict) {
+                result.verdict = message.verdict;
+                result.error = message.error;
+                return;
+            }
+
+            const { value, error } = parseOutput(message.output);
+            if (error) {
+                result.verdict = "runtime_error";
+                result.error = error;
+            } else if (!("expected" in test)) {
+                result.verdict = "passed";
+                result.output = value;
+            } else {
+                result.verdict = isDeepStrictEqual(value, test.expected) ? "passed" : "wrong_answer";
+                result.output = value;
+            }
+        });
+
+        worker.on("error", (error) => {
+            if (error.code === "ERR_WORKER_OUT_OF_MEMORY") {
+                const running = results.find(r => r.verdict === "not_run");
+                if (running) running.verdict = "memory_limit_exceeded";
+                return finish("memory_limit_exceeded", `Exceeded ${memoryMb} MB of memory`);
+            }
+            finish("runtime_error", error.message);
+        });
+
+        worker.on("exit", () => finish("ok"));
+    });
+}
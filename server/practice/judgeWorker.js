@@ -0,0 +1,60 @@
+// ─── Judge Worker ── Runs One Submission in an Isolated VM Context ───
+// Executed inside a worker thread with V8 resource limits (see judge.js).
+// The submission gets a bare context: no require, process, timers or
+// string-to-code evaluation. Inputs and outputs cross the boundary as JSON.
+
+import vm from "vm";
+import { parentPort, workerData } from "worker_threads";
+
+const { code, functionName, tests, perTestTimeoutMs } = workerData;
+
+function post(message) {
+    parentPort.postMessage(message);
+}
+
+function main() {
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false }
+    });
+
+    // ─── Load the submission ───
+    try {
+        new vm.Script(code, { filename: "solution.js" }).runInContext(context, { timeout: perTestTimeoutMs });
+        const isFunction = new vm.Script(`typeof ${functionName} === "function"`).runInContext(context);
+        if (!isFunction) {
+            return post({ type: "compile_error", error: `Define a function named ${functionName}` });
+        }
+    } catch (error) {
+        return post({ type: "compile_error", error: String(error?.message ?? error) });
+    }
+
+    // ─── Run each test in the same context ───
+    const call = new vm.Script(`(() => {
+        const result = ${functionName}(...JSON.parse(__input));
+        if (result && typeof result.then === "function") throw new Error("Return a value, not a Promise");
+        return JSON.stringify(result === undefined ? null : result);
+    })()`);
+
+    tests.forEach((test, index) => {
+        context.__input = JSON.stringify(test.input);
+        const started = performance.now();
+
+        try {
+            const output = call.runInContext(context, { timeout: perTestTimeoutMs });
+            post({ type: "result", index, output, timeMs: Math.round(performance.now() - started) });
+        } catch (error) {
+            const timedOut = error?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT";
+            post({
+                type: "result",
+                index,
+                verdict: timedOut ? "time_limit_exceeded" : "runtime_error",
+                error: timedOut ? `Exceeded ${perTestTimeoutMs} ms` : String(error?.message ?? error),
+                timeMs: Math.round(performance.now() - started)
+            });
+        }
+    });
+
+    post({ type: "finished" });
+}
+
+main();
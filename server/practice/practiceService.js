@@ -0,0 +1,51 @@
+// ─── Practice Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates practice requests and returns { status, body }, like topicService.js.
+// Problems are generated by the LLM and held in memory (see problems.js);
+// submissions run in the sandboxed judge.
+
+import { createProblem, getProblem, judgeSubmission } from "./problems.js";
+
+// Submissions larger than this are rejected before reaching the judge
+const MAX_CODE_LENGTH = 20000;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+/**
+ * POST body: { topic } — generates a problem for the topic.
+ */
+export async function generateProblem({ topic } = {}) {
+    if (!topic || typeof topic !== "string" || !topic.trim()) {
+        return fail(400, "Topic is required");
+    }
+
+    try {
+        return ok({ problem: await createProblem(topic.trim()) }, 201);
+    } catch (error) {
+        console.error("Practice generation error:", error);
+        return {
+            status: 500,
+            body: { error: "Could not generate a practice problem. Please try again.", details: error.message }
+        };
+    }
+}
+
+export function getProblemById(id) {
+    const problem = getProblem(id);
+    return problem ? ok({ problem }) : fail(404, "Problem not found");
+}
+
+/**
+ * POST body: { code } — runs the code against every test of the problem.
+ */
+export async function submitSolution(id, { code } = {}) {
+    if (!code || typeof code !== "string" || !code.trim()) {
+        return fail(400, "Code is required");
+    }
+    if (code.length > MAX_CODE_LENGTH) {
+        return fail(400, `Code must be under ${MAX_CODE_LENGTH} characters`);
+    }
+
+    const result = await judgeSubmission(id, code);
+    return result ? ok({ result }) : fail(404, "Problem not found");
+}
@@ -0,0 +1,176 @@
+// ─── Practice Problems ── LLM-Generated Coding Problems with Hidden Tests ───
+// Asks the LLM for a problem, a reference solution and test inputs, then runs
+// the reference solution in the judge to compute the expected outputs — so the
+// hidden tests never depend on the model doing arithmetic in its head.
+// Problems live in memory; the hidden tests never leave the server.
+
+import { z } from "zod";
+import { v4 as uuidv4 } from "uuid";
+import { getChatModel } from "../llm/providers.js";
+import { runSubmission } from "./judge.js";
+import knowledgeBase from "../knowledgeBase.js";
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const ProblemSchema = z.object({
+    title: z.string().min(1),
+    statement: z.string().min(1),
+    functionName: z.string().regex(IDENTIFIER),
+    signature: z.string().min(1),
+    starterCode: z.string().min(1),
+    referenceSolution: z.string().min(1),
+    examples: z.array(z.object({
+        input: z.array(z.any()),
+        explanation: z.string().optional()
+    })).min(1).max(3),
+    hiddenTests: z.array(z.object({ input: z.array(z.any()) })).min(3).max(10)
+});
+
+const SYSTEM_PROMPT = `You write coding interview practice problems in JavaScript for placement preparation.
+
+Create ONE problem that practises the requested topic. It must be solvable by a single pure function.
+
+RULES:
+- functionName is a valid JavaScript identifier; signature is e.g. "function twoSum(nums, target)".
+- starterCode declares the function with an empty body and a comment, nothing else.
+- referenceSolution is a correct, efficient implementation of the same function.
+- Each test "input" is the ARRAY OF ARGUMENTS passed to the function, using only JSON values.
+- Give 1–3 examples and 5–8 hidden tests, including edge cases (empty input, single element, duplicates).
+- Do NOT include expected outputs — they are computed from the reference solution.
+
+Respond with ONLY a JSON object (no markdown, no code fences):
+{"title": "", "statement": "markdown problem statement", "functionName": "", "signature": "", "starterCode": "", "referenceSolution": "", "examples": [{"input": [], "explanation": ""}], "hiddenTests": [{"input": []}]}`;
+
+// Keeps the store bounded — oldest problems are evicted first
+const MAX_PROBLEMS = 200;
+const problems = new Map();
+
+function parseProblem(text) {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "");
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    return ProblemSchema.parse(JSON.parse(jsonMatch ? jsonMatch[0] : cleaned));
+}
+
+// Runs the reference solution to attach expected outputs; drops inputs it can't handle
+async function withExpectedOutputs(draft, tests) {
+    const run = await runSubmission({
+        code: draft.referenceSolution,
+        functionName: draft.functionName,
+        tests: tests.map(t => ({ input: t.input }))
+    });
+
+    if (run.status === "compile_error") {
+        throw new Error(`Reference solution does not compile: ${run.error}`);
+    }
+
+    return tests
+        .map((test, i) => run.results[i].verdict === "passed" ? { ...test, expected: run.results[i].output } : null)
+        .filter(Boolean);
+}
+
+// True when a walkthrough topic belongs to Data Structures / coding practice
+export function isPracticeTopic(topic) {
+    if (!topic) return false;
+    const lower = topic.toLowerCase();
+    const dsa = knowledgeBase.getTopicById("data-structures");
+    const keywords = [
+        "data structure", "algorithm", "dsa", "coding", "leetcode",
+        "array", "string", "linked list", "stack", "queue", "tree", "bst",
+        "graph", "hash", "heap", "priority queue", "sorting", "searching", "recursion"
+    ];
+
+    return keywords.some(k => lower.includes(k))
+        || Boolean(dsa?.subtopics.some(s => lower.includes(s.name.toLowerCase())));
+}
+
+/**
+ * Generates a new practice problem for a topic and stores its hidden tests.
+ * @returns {Promise<object>} the public problem (no reference solution, no hidden tests)
+ */
+export async function createProblem(topic) {
+    const model = getChatModel("practice");
+    const response = await model.invoke([
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: `Topic: ${topic}` }
+    ]);
+
+    const draft = parseProblem(response.content);
+    const examples = await withExpectedOutputs(draft, draft.examples);
+    const hiddenTests = await withExpectedOutputs(draft, draft.hiddenTests);
+
+    if (examples.length === 0 || hiddenTests.length === 0) {
+        throw new Error("Generated problem has no usable test cases");
+    }
+
+    const problem = {
+        id: uuidv4(),
+        topic,
+        title: draft.title,
+        statement: draft.statement,
+        functionName: draft.functionName,
+        signature: draft.signature,
+        starterCode: draft.starterCode,
+        examples,
+        hiddenTestCount: hiddenTests.length
+    };
+
+    problems.set(problem.id, { problem, hiddenTests });
+    if (problems.size > MAX_PROBLEMS) {
+        problems.delete(problems.keys().next().value);
+    }
+
+    return problem;
+}
+
+export function getProblem(id) {
+    return problems.get(id)?.problem || null;
+}
+
+// Hidden tests only report a generic error — a message can embed the test's arguments
+function hiddenTestError(result) {
+    if (!result.error) return null;
+    return result.verdict === "runtime_error" ? "Runtime error" : result.error;
+}
+
+/**
+ * Judges a submission against the examples and hidden tests of a problem.
+ * Hidden test inputs, expected outputs and error messages are not revealed in the verdicts.
+ * @returns {Promise<object|null>} null if the problem doesn't exist
+ */
+export async function judgeSubmission(id, code) {
+    const entry = problems.get(id);
+    if (!entry) return null;
+
+    const { problem, hiddenTests } = entry;
+    const tests = [...problem.examples, ...hiddenTests];
+    const run = await runSubmission({ code, functionName: problem.functionName, tests });
+
+    const results = run.results.map((result, i) => {
+        const isExample = i < problem.examples.length;
+        return {
+            name: isExample ? `Example ${i + 1}` : `Hidden test ${i - problem.examples.length + 1}`,
+            hidden: !isExample,
+            verdict: result.verdict,
+            timeMs: result.timeMs ?? null,
+            error: isExample ? result.error ?? null : hiddenTestError(result),
+            ...(isExample && {
+                input: tests[i].input,
+                expected: tests[i].expected,
+                output: result.output
+            })
+        };
+    });
+
+    // A crash outside the per-test try (e.g. an unhandled rejection) reports on the test it stopped at
+    const stoppedAt = run.results.findIndex(r => r.verdict === "not_run");
+    const crashedInHidden = run.status === "runtime_error" && (stoppedAt === -1 || stoppedAt >= problem.examples.length);
+
+    return {
+        problemId: id,
+        status: run.status,
+        error: crashedInHidden ? "Runtime error" : run.error ?? null,
+        passed: results.filter(r => r.verdict === "passed").length,
+        total: results.length,
+        results
+    };
+}
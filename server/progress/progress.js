@@ -0,0 +1,153 @@
+// ─── Learning Progress ── Completed Walkthroughs per Student ───
+// Every delivered walkthrough is recorded for the signed-in student (see
+// agents/pipeline.js); quiz answers are scored here against the stored answer
+// key, so the client never reports its own score. The chat stream sends quizzes
+// without the key; the correct options and explanations are only returned once
+// the answers are submitted. Persisted through the storage backend (see
+// storage/index.js).
+
+import { v4 as uuidv4 } from "uuid";
+import knowledgeBase from "../knowledgeBase.js";
+import { createStore } from "../storage/index.js";
+
+// Per student; the oldest records are dropped first
+const MAX_RECORDS_PER_USER = 500;
+const RECENT_LIMIT = 10;
+
+const store = createStore("progress");
+let records = null;
+
+function load() {
+    if (!records) {
+        records = store.load()?.records || [];
+    }
+    return records;
+}
+
+function save(next) {
+    store.save({ records: next });
+    records = next;
+}
+
+// What the client sees of a record — the answer key stays on the server
+function toPublicRecord({ answerKey, explanations, userId, ...record }) {
+    return record;
+}
+
+// The answer key, revealed once the quiz has been scored
+function toSolutions({ answerKey, explanations }) {
+    return answerKey.map((correctIndex, i) => ({ correctIndex, explanation: explanations?.[i] ?? null }));
+}
+
+/**
+ * Records a delivered walkthrough for a student.
+ * @param {string} userId
+ * @param {{ query, topic, topicId, subtopicId, duration, difficulty, quiz }} state - final graph state
+ * @returns {object} the public record
+ */
+export function recordWalkthrough(userId, { query, topic, topicId, subtopicId, duration, difficulty, quiz }) {
+    const record = {
+        id: uuidv4(),
+        userId,
+        query,
+        topic,
+        topicId,
+        subtopicId,
+        duration,
+        difficulty,
+        completedAt: new Date().toISOString(),
+        quizScore: null,
+        answerKey: quiz?.questions?.map(q => q.correctIndex) || null,
+        explanations: quiz?.questions?.map(q => q.explanation) || null
+    };
+
+    const own = load().filter(r => r.userId === userId);
+    const dropped = new Set(own.slice(0, Math.max(0, own.length + 1 - MAX_RECORDS_PER_USER)).map(r => r.id));
+    save([...load().filter(r => !dropped.has(r.id)), record]);
+    return toPublicRecord(record);
+}
+
+/**
+ * Scores the student's quiz answers for a recorded walkthrough. The first score is kept.
+ * @returns {{ record?: object, solutions?: Array<{ correctIndex: number, explanation: string|null }>, error?: string, status?: number }}
+ */
+export function recordQuizAnswers(userId, recordId, answers) {
+    const record = load().find(r => r.id === recordId && r.userId === userId);
+    if (!record) return { status: 404, error: "Progress record not found" };
+    if (!record.answerKey) return { status: 409, error: "This walkthrough had no quiz" };
+    if (record.quizScore) return { record: toPublicRecord(record), solutions: toSolutions(record) };
+    if (answers.length !== record.answerKey.length) {
+        return { status: 400, error: `Expected ${record.answerKey.length} answers` };
+    }
+
+    const correct = record.answerKey.filter((key, i) => answers[i] === key).length;
+    const updated = { ...record, quizScore: { correct, total: record.answerKey.length } };
+    save(load().map(r => (r.id === recordId ? updated : r)));
+    return { record: toPublicRecord(updated), solutions: toSolutions(updated) };
+}
+
+// A topic-level walkthrough (no subtopic resolved) is an overview: it counts as
+// studying the topic's entry points — subtopics with no prerequisite of their
+// own — but not the subtopics that build on them.
+function overviewSubtopics(topicId) {
+    const topic = knowledgeBase.getTopicById(topicId);
+    if (!topic) return [];
+    return topic.subtopics
+        .filter(s => knowledgeBase.getPrerequisites(s.id, { transitive: false })?.length === 0)
+        .map(s => s.id);
+}
+
+// Subtopics the student has covered, directly or through a topic overview
+function studiedSubtopics(own) {
+    return new Set(own.flatMap(r => (r.subtopicId ? [r.subtopicId] : overviewSubtopics(r.topicId))));
+}
+
+// First subtopic of a topic, in learning order, that the student hasn't studied
+function nextSubtopic(topicId, studied) {
+    const next = (knowledgeBase.getTopologicalOrder(topicId) || []).find(node => !studied.has(node.id));
+    return next
+        ? { topicId, subtopicId: next.id, name: next.name, topicName: knowledgeBase.getTopicById(topicId).name }
+        : null;
+}
+
+/**
+ * A student's progress: completion per knowledge-base topic (see overviewSubtopics
+ * for walkthroughs of a whole topic), recent walkthroughs, and where to continue —
+ * the next unstudied subtopic of the last topic studied, or else of the least
+ * complete topic they have started.
+ */
+export function getProgress(userId) {
+    const own = load().filter(r => r.userId === userId);
+    const studied = studiedSubtopics(own);
+
+    const topics = knowledgeBase.getAllTopics().map(topic => {
+        const forTopic = own.filter(r => r.topicId === topic.id);
+        const done = topic.subtopics.filter(s => studied.has(s.id));
+        const scored = forTopic.filter(r => r.quizScore);
+        return {
+            topicId: topic.id,
+            name: topic.name,
+            studiedSubtopics: done.map(s => s.id),
+            totalSubtopics: topic.subtopics.length,
+            completion: topic.subtopics.length ? done.length / topic.subtopics.length : 0,
+            walkthroughs: forTopic.length,
+            lastStudiedAt: forTopic.length ? forTopic[forTopic.length - 1].completedAt : null,
+            quizAccuracy: scored.length
+                ? scored.reduce((sum, r) => sum + r.quizScore.correct, 0) / scored.reduce((sum, r) => sum + r.quizScore.total, 0)
+                : null
+        };
+    });
+
+    const last = own.length ? own[own.length - 1] : null;
+    const started = topics
+        .filter(t => t.walkthroughs > 0 && t.completion < 1)
+        .sort((a, b) => a.completion - b.completion);
+    const candidates = [last?.topicId, ...started.map(t => t.topicId)].filter(id => id && knowledgeBase.getTopicById(id));
+    const next = candidates.map(id => nextSubtopic(id, studied)).find(Boolean) || null;
+
+    return {
+        topics,
+        recent: own.slice(-RECENT_LIMIT).reverse().map(toPublicRecord),
+        continue: { last: last && toPublicRecord(last), next }
+    };
+}
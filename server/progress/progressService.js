@@ -0,0 +1,26 @@
+// ─── Progress Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates requests for the signed-in student's progress and returns
+// { status, body }, like topicService.js.
+
+import { getProgress, recordQuizAnswers } from "./progress.js";
+
+const MAX_ANSWERS = 20;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+export function getUserProgress(userId) {
+    return ok(getProgress(userId));
+}
+
+// answers: the chosen option index per question (null for a skipped question)
+export function submitQuizAnswers(userId, recordId, { answers } = {}) {
+    if (!Array.isArray(answers) || answers.length === 0 || answers.length > MAX_ANSWERS
+        || !answers.every(a => a === null || Number.isInteger(a))) {
+        return fail(400, "answers must be an array of option indexes");
+    }
+
+    const { record, solutions, status, error } = recordQuizAnswers(userId, recordId, answers);
+    if (error) return fail(status, error);
+    return ok({ record, solutions });
+}
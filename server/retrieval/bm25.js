@@ -0,0 +1,84 @@
+// ─── BM25 Index ── Local Lexical Search over Passages ───
+// Okapi BM25 with the usual k1 / b parameters. Kept entirely in memory and
+// rebuilt from the stored passages on startup, which is instant at the size
+// of a curated study-notes collection.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from",
+    "how", "in", "is", "it", "its", "of", "on", "or", "that", "the", "this", "to", "was",
+    "what", "when", "where", "which", "why", "with", "you", "your", "explain", "walkthrough"
+]);
+
+// Lowercased word tokens with stopwords removed and a light plural strip
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(t => !STOPWORDS.has(t))
+        .map(t => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+export function createBm25Index() {
+    const docs = new Map();          // id → { length, termFreqs: Map<term, count> }
+    const docFreqs = new Map();      // term → number of passages containing it
+    let totalLength = 0;
+
+    return {
+        get size() {
+            return docs.size;
+        },
+
+        add(id, text) {
+            const tokens = tokenize(text);
+            const termFreqs = new Map();
+            for (const t of tokens) termFreqs.set(t, (termFreqs.get(t) || 0) + 1);
+            for (const t of termFreqs.keys()) docFreqs.set(t, (docFreqs.get(t) || 0) + 1);
+
+            docs.set(id, { length: tokens.length, termFreqs });
+            totalLength += tokens.length;
+        },
+
+        remove(id) {
+            const doc = docs.get(id);
+            if (!doc) return;
+            for (const t of doc.termFreqs.keys()) {
+                const count = docFreqs.get(t) - 1;
+                if (count === 0) docFreqs.delete(t);
+                else docFreqs.set(t, count);
+            }
+            totalLength -= doc.length;
+            docs.delete(id);
+        },
+
+        /**
+         * Scores passages against a query.
+         * @param {string} query
+         * @param {{ k?: number, filter?: (id: string) => boolean }} [options]
+         * @returns {Array<{ id: string, score: number }>} best first, zero scores dropped
+         */
+        search(query, { k = 5, filter } = {}) {
+            const terms = [...new Set(tokenize(query))];
+            if (terms.length === 0 || docs.size === 0) return [];
+
+            const avgLength = totalLength / docs.size || 1;
+            const results = [];
+
+            for (const [id, doc] of docs) {
+                if (filter && !filter(id)) continue;
+
+                let score = 0;
+                for (const term of terms) {
+                    const tf = doc.termFreqs.get(term);
+                    if (!tf) continue;
+                    const df = docFreqs.get(term);
+                    const idf = Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+                    score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+                }
+                if (score > 0) results.push({ id, score });
+            }
+
+            return results.sort((a, b) => b.score - a.score).slice(0, k);
+        }
+    };
+}
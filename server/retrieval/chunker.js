@@ -0,0 +1,106 @@
+// ─── Chunker ── Splits Study Documents into Retrievable Passages ───
+// Markdown is split at headings first, so every passage knows the section it
+// came from ("Trees › Traversals"); sections are then packed paragraph by
+// paragraph up to MAX_CHUNK_CHARS. Code fences are never split.
+
+const MAX_CHUNK_CHARS = 1000;
+
+// Paragraphs of a block of text, keeping fenced code blocks whole
+function splitParagraphs(text) {
+    const paragraphs = [];
+    let current = [];
+    let inFence = false;
+
+    for (const line of text.split("\n")) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+        if (!inFence && line.trim() === "") {
+            if (current.length > 0) paragraphs.push(current.join("\n"));
+            current = [];
+        } else {
+            current.push(line);
+        }
+    }
+    if (current.length > 0) paragraphs.push(current.join("\n"));
+
+    return paragraphs.map(p => p.trim()).filter(Boolean);
+}
+
+// Breaks a paragraph longer than the limit at sentence boundaries
+function splitLongParagraph(paragraph) {
+    if (paragraph.length <= MAX_CHUNK_CHARS || /^\s*(```|~~~)/.test(paragraph)) return [paragraph];
+
+    const sentences = paragraph.match(/[^.!?]+[.!?]+(\s+|$)|[^.!?]+$/g) || [paragraph];
+    const pieces = [];
+    let current = "";
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length > MAX_CHUNK_CHARS) {
+            pieces.push(current.trim());
+            current = "";
+        }
+        current += sentence;
+    }
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+}
+
+function packSection(heading, body) {
+    const chunks = [];
+    let current = "";
+
+    for (const paragraph of splitParagraphs(body).flatMap(splitLongParagraph)) {
+        if (current && current.length + paragraph.length + 2 > MAX_CHUNK_CHARS) {
+            chunks.push({ heading, text: current });
+            current = "";
+        }
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    if (current) chunks.push({ heading, text: current });
+
+    return chunks;
+}
+
+// Markdown sections as { heading: "H1 › H2" | null, body }
+function splitMarkdownSections(content) {
+    const sections = [];
+    const path = [];
+    let body = [];
+    let inFence = false;
+
+    const flush = () => {
+        sections.push({ heading: path.filter(Boolean).join(" › ") || null, body: body.join("\n") });
+        body = [];
+    };
+
+    for (const line of content.split("\n")) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+        const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) {
+            flush();
+            const level = match[1].length;
+            path.length = level - 1;
+            path[level - 1] = match[2];
+        } else {
+            body.push(line);
+        }
+    }
+    flush();
+
+    return sections;
+}
+
+/**
+ * Splits a document into passages.
+ * @param {string} content
+ * @param {"markdown"|"text"} format
+ * @returns {Array<{ heading: string|null, text: string }>}
+ */
+export function chunkDocument(content, format) {
+    const normalized = content.replace(/\r\n?/g, "\n");
+    const sections = format === "markdown"
+        ? splitMarkdownSections(normalized)
+        : [{ heading: null, body: normalized }];
+
+    return sections.flatMap(({ heading, body }) => packSection(heading, body));
+}
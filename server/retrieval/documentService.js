@@ -0,0 +1,68 @@
+// ─── Document Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates ingestion requests and returns { status, body }, like topicService.js.
+// Only the student who added a document may delete it; documents recorded
+// before owners were stored can't be deleted this way.
+
+import knowledgeBase from "../knowledgeBase.js";
+import { ingestDocument, listDocuments, getDocument, deleteDocument } from "./documents.js";
+import { invalidateCachedWalkthroughs } from "../agents/responseCache.js";
+
+export const MAX_CONTENT_LENGTH = 200000;
+const MAX_TITLE_LENGTH = 200;
+const FORMATS = ["markdown", "text"];
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+// .txt titles default to plain text, everything else to Markdown
+function detectFormat(title) {
+    return /\.txt$/i.test(title) ? "text" : "markdown";
+}
+
+export function createDocument(userId, { topicId, title, content, format } = {}) {
+    if (typeof topicId !== "string" || !topicId) return fail(400, "topicId is required");
+    if (typeof title !== "string" || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+        return fail(400, `Title must be 1–${MAX_TITLE_LENGTH} characters`);
+    }
+    if (typeof content !== "string" || !content.trim()) return fail(400, "Content is required");
+    if (content.length > MAX_CONTENT_LENGTH) {
+        return fail(413, `Content must be under ${MAX_CONTENT_LENGTH} characters`);
+    }
+    if (format !== undefined && !FORMATS.includes(format)) {
+        return fail(400, `Format must be one of: ${FORMATS.join(", ")}`);
+    }
+    if (!knowledgeBase.getTopicById(topicId)) return fail(404, "Topic not found");
+
+    const document = ingestDocument({
+        topicId,
+        title: title.trim(),
+        content,
+        format: format || detectFormat(title),
+        ownerId: userId
+    });
+    // Cached walkthroughs for the topic were written without these notes
+    invalidateCachedWalkthroughs({ topicId });
+    return ok({ document }, 201);
+}
+
+export function listTopicDocuments({ topic } = {}) {
+    return ok({ documents: listDocuments(topic || undefined) });
+}
+
+export function getDocumentById(id) {
+    const document = getDocument(id);
+    if (!document) return fail(404, "Document not found");
+    const { ownerId, ...rest } = document;
+    return ok({ document: rest });
+}
+
+export function removeDocument(userId, id) {
+    const document = getDocument(id);
+    if (!document) return fail(404, "Document not found");
+    if (!document.ownerId || document.ownerId !== userId) {
+        return fail(403, "Only the student who added this document can delete it");
+    }
+    if (!deleteDocument(id)) return fail(404, "Document not found");
+    invalidateCachedWalkthroughs({ topicId: document.topicId });
+    return ok({ message: "Document deleted", id });
+}
@@ -0,0 +1,120 @@
+// ─── Study Documents ── Ingested Notes, Chunked and Indexed per Topic ───
+// Documents are persisted through the storage backend (see storage/index.js)
+// with their passages; the BM25 index is rebuilt from them on first use.
+// Each document records the student who added it (ownerId), who alone may
+// delete it; a topic's documents are deleted with the topic.
+
+import { v4 as uuidv4 } from "uuid";
+import { createStore } from "../storage/index.js";
+import { chunkDocument } from "./chunker.js";
+import { createBm25Index } from "./bm25.js";
+
+const store = createStore("documents");
+let documents = null;
+let index = null;
+// passage id → { document, chunk }
+const passages = new Map();
+
+function indexDocument(doc) {
+    for (const chunk of doc.chunks) {
+        // The heading is indexed with the text so section titles count as matches
+        index.add(chunk.id, `${doc.title} ${chunk.heading || ""} ${chunk.text}`);
+        passages.set(chunk.id, { document: doc, chunk });
+    }
+}
+
+function load() {
+    if (!documents) {
+        documents = store.load()?.documents || [];
+        index = createBm25Index();
+        documents.forEach(indexDocument);
+    }
+    return documents;
+}
+
+// Without the passages or the owner — for listings
+function summarize(doc) {
+    const { chunks, ownerId, ...meta } = doc;
+    return { ...meta, chunkCount: chunks.length };
+}
+
+/**
+ * Chunks, indexes and stores a document.
+ * @param {{ topicId: string, title: string, content: string, format: "markdown"|"text", ownerId: string }} input
+ * @returns {object} the document summary (no passages)
+ */
+export function ingestDocument({ topicId, title, content, format, ownerId }) {
+    const id = uuidv4();
+    const chunks = chunkDocument(content, format).map((chunk, i) => ({ id: `${id}#${i}`, ...chunk }));
+    const doc = { id, topicId, title, format, ownerId, createdAt: new Date().toISOString(), chunks };
+
+    const next = [...load(), doc];
+    store.save({ documents: next });
+    documents = next;
+    indexDocument(doc);
+
+    return summarize(doc);
+}
+
+export function listDocuments(topicId) {
+    return load()
+        .filter(doc => !topicId || doc.topicId === topicId)
+        .map(summarize);
+}
+
+export function getDocument(id) {
+    return load().find(doc => doc.id === id) || null;
+}
+
+// Removes documents from the store and their passages from the index
+function removeDocuments(removed) {
+    if (removed.length === 0) return;
+    const ids = new Set(removed.map(doc => doc.id));
+    const next = documents.filter(d => !ids.has(d.id));
+    store.save({ documents: next });
+    documents = next;
+    for (const chunk of removed.flatMap(doc => doc.chunks)) {
+        index.remove(chunk.id);
+        passages.delete(chunk.id);
+    }
+}
+
+export function deleteDocument(id) {
+    const doc = getDocument(id);
+    if (!doc) return false;
+    removeDocuments([doc]);
+    return true;
+}
+
+// Called when a topic is deleted, so its notes don't stay searchable without it
+export function deleteTopicDocuments(topicId) {
+    const removed = load().filter(doc => doc.topicId === topicId);
+    removeDocuments(removed);
+    return removed.length;
+}
+
+/**
+ * Top passages for a query, optionally restricted to some topics.
+ * @param {string} query
+ * @param {{ topicIds?: string[], k?: number }} [options]
+ * @returns {Array<{ passageId, documentId, title, heading, topicId, text, score }>}
+ */
+export function searchPassages(query, { topicIds, k = 4 } = {}) {
+    load();
+    const filter = topicIds?.length
+        ? (passageId) => topicIds.includes(passages.get(passageId).document.topicId)
+        : undefined;
+
+    return index.search(query, { k, filter }).map(({ id, score }) => {
+        const { document, chunk } = passages.get(id);
+        return {
+            passageId: id,
+            documentId: document.id,
+            title: document.title,
+            heading: chunk.heading,
+            topicId: document.topicId,
+            text: chunk.text,
+            score: Math.round(score * 100) / 100
+        };
+    });
+}
@@ -0,0 +1,26 @@
+// ─── Admin Route ── Blocked Injection Attempts & Response Cache ───
+// Thin Express adapter around security/adminService.js (shared with api/admin.js).
+import { Router } from "express";
+import * as adminService from "../security/adminService.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+// Every admin endpoint requires "Authorization: Bearer <ADMIN_TOKEN>"
+router.use((req, res, next) => {
+    const denied = adminService.authorizeAdmin(req.get("authorization"));
+    if (denied) return send(res, denied);
+    next();
+});
+
+// GET /api/admin/blocked-attempts?limit=50 — Newest blocked queries first
+router.get("/blocked-attempts", (req, res) => send(res, adminService.getBlockedAttempts(req.query)));
+
+// GET /api/admin/cache — Cached walkthroughs (without their content)
+router.get("/cache", (req, res) => send(res, adminService.getCachedWalkthroughs()));
+
+// DELETE /api/admin/cache?topicId=os — Invalidate one topic's walkthroughs, or all without topicId
+router.delete("/cache", (req, res) => send(res, adminService.clearCachedWalkthroughs(req.query)));
+
+export default router;
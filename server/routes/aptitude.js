@@ -0,0 +1,29 @@
+// ─── Aptitude Route ── Generated Problems and Timed Practice Sessions ───
+// Thin Express adapter around aptitude/aptitudeService.js (shared with api/aptitude.js).
+//   GET  /api/aptitude/categories                                            → categories and their templates
+//   POST /api/aptitude/sessions      { categories?, count?, timeLimitMinutes?, paraphrase? } → questions and deadline
+//   GET  /api/aptitude/sessions/:id                                          → the session (and result once submitted)
+//   POST /api/aptitude/sessions/:id/submit  { answers }                      → score and worked solutions
+import { Router } from "express";
+import * as aptitudeService from "../aptitude/aptitudeService.js";
+import { requireUser } from "./auth.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+router.get("/categories", (req, res) => send(res, aptitudeService.getCategories()));
+
+router.post("/sessions", requireUser, async (req, res) =>
+    send(res, await aptitudeService.startSession(req.user.id, req.body))
+);
+
+router.get("/sessions/:id", requireUser, (req, res) =>
+    send(res, aptitudeService.getPracticeSession(req.user.id, req.params.id))
+);
+
+router.post("/sessions/:id/submit", requireUser, (req, res) =>
+    send(res, aptitudeService.submitAnswers(req.user.id, req.params.id, req.body))
+);
+
+export default router;
@@ -0,0 +1,31 @@
+// ─── Auth Route ── Register, Login, Logout and the Current User ───
+// Thin Express adapter around security/authService.js (shared with api/auth.js).
+// Also exports requireUser, the middleware that protects chat, topic and document edits, and practice.
+import { Router } from "express";
+import * as authService from "../security/authService.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+// Rejects requests without a valid session; sets req.user for the handlers
+export function requireUser(req, res, next) {
+    const auth = authService.authenticate(req.get("authorization"));
+    if (!auth) return send(res, authService.UNAUTHORIZED);
+    req.user = auth.user;
+    next();
+}
+
+// POST /api/auth/register — { name, email, password } → { user, token, expiresAt }
+router.post("/register", async (req, res) => send(res, await authService.register(req.body)));
+
+// POST /api/auth/login — { email, password } → { user, token, expiresAt }
+router.post("/login", async (req, res) => send(res, await authService.login(req.body)));
+
+// POST /api/auth/logout — Revokes the session in the Authorization header
+router.post("/logout", (req, res) => send(res, authService.logout(req.get("authorization"))));
+
+// GET /api/auth/me — The signed-in user
+router.get("/me", (req, res) => send(res, authService.getCurrentUser(req.get("authorization"))));
+
+export default router;
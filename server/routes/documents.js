@@ -0,0 +1,23 @@
+// ─── Documents Route ── Study Material Ingestion for Retrieval ───
+// Thin Express adapter around retrieval/documentService.js (shared with api/documents.js).
+import { Router } from "express";
+import * as documentService from "../retrieval/documentService.js";
+import { requireUser } from "./auth.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+// POST /api/documents — Ingest { topicId, title, content, format?: "markdown"|"text" }
+router.post("/", requireUser, (req, res) => send(res, documentService.createDocument(req.user.id, req.body)));
+
+// GET /api/documents?topic=<topicId> — List documents (without passages)
+router.get("/", (req, res) => send(res, documentService.listTopicDocuments(req.query)));
+
+// GET /api/documents/:id — One document with its passages
+router.get("/:id", (req, res) => send(res, documentService.getDocumentById(req.params.id)));
+
+// DELETE /api/documents/:id — Remove a document from the store and the index (its owner only)
+router.delete("/:id", requireUser, (req, res) => send(res, documentService.removeDocument(req.user.id, req.params.id)));
+
+export default router;
@@ -0,0 +1,24 @@
+// ─── Interview Route ── Mock Technical Interviews ───
+// Thin Express adapter around interview/interviewService.js (shared with api/interview.js).
+//   POST /api/interview                   { topicId, difficulty?, subtopicIds?, questionCount? } → first question
+//   GET  /api/interview/:id                                → current question, answers so far, report
+//   POST /api/interview/:id/answer        { answer }       → evaluation, then the next question or the report
+import { Router } from "express";
+import * as interviewService from "../interview/interviewService.js";
+import { requireUser } from "./auth.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+router.use(requireUser);
+
+router.post("/", async (req, res) => send(res, await interviewService.startInterview(req.user.id, req.body)));
+
+router.get("/:id", async (req, res) => send(res, await interviewService.getInterview(req.user.id, req.params.id)));
+
+router.post("/:id/answer", async (req, res) =>
+    send(res, await interviewService.answerQuestion(req.user.id, req.params.id, req.body))
+);
+
+export default router;
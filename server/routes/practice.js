@@ -0,0 +1,22 @@
+// ─── Practice Route ── Coding problems + sandboxed judge ───
+// Thin Express adapter around practice/practiceService.js (shared with api/practice.js).
+//   POST /api/practice              { topic }  → generate a problem
+//   GET  /api/practice/:id                     → fetch a generated problem
+//   POST /api/practice/:id/submit   { code }   → run the code against all tests
+import { Router } from "express";
+import * as practiceService from "../practice/practiceService.js";
+import { requireUser } from "./auth.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+router.post("/", requireUser, async (req, res) => send(res, await practiceService.generateProblem(req.body)));
+
+router.get("/:id", (req, res) => send(res, practiceService.getProblemById(req.params.id)));
+
+router.post("/:id/submit", requireUser, async (req, res) =>
+    send(res, await practiceService.submitSolution(req.params.id, req.body))
+);
+
+export default router;
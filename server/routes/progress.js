@@ -0,0 +1,21 @@
+// ─── Progress Route ── The Signed-In Student's Learning Progress ───
+// Thin Express adapter around progress/progressService.js (shared with api/progress.js).
+//   GET  /api/progress                              → per-topic completion, recent walkthroughs, what's next
+//   POST /api/progress/:recordId/quiz  { answers }  → score a walkthrough's quiz, with the correct answers
+import { Router } from "express";
+import * as progressService from "../progress/progressService.js";
+import { requireUser } from "./auth.js";
+
+const router = Router();
+
+const send = (res, { status, body }) => res.status(status).json(body);
+
+router.use(requireUser);
+
+router.get("/", (req, res) => send(res, progressService.getUserProgress(req.user.id)));
+
+router.post("/:recordId/quiz", (req, res) =>
+    send(res, progressService.submitQuizAnswers(req.user.id, req.params.recordId, req.body))
+);
+
+export default router;
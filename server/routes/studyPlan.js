@@ -0,0 +1,17 @@
+// ─── Study Plan Route ── Day-by-Day Walkthrough Schedule ───
+// Thin Express adapter around studyPlan/studyPlanService.js (shared with api/study-plan.js).
+//   POST /api/study-plan  { targetDate, dailyMinutes, focusAreas?, startDate?, difficulty? }  → { plan }
+// Open to everyone; with a session the student's studied subtopics are left out.
+import { Router } from "express";
+import { createStudyPlan } from "../studyPlan/studyPlanService.js";
+import { authenticate } from "../security/authService.js";
+
+const router = Router();
+
+router.post("/", (req, res) => {
+    const auth = authenticate(req.get("authorization"));
+    const { status, body } = createStudyPlan(auth?.user.id || null, req.body);
+    res.status(status).json(body);
+});
+
+export default router;
@@ -1,53 +1,56 @@
-// ─── Topics Route ── GET/POST /api/topics ───
+// ─── Topics Route ── CRUD for /api/topics and subtopics, plus the topic graph ───
+// Thin Express adapter — validation and responses live in topicService.js,
+// which api/topics.js shares so both backends behave identically.
+// Reads are public; every change requires a signed-in user.
 import { Router } from "express";
-import knowledgeBase from "../knowledgeBase.js";
+import * as topicService from "../topicService.js";
+import { requireUser } from "./auth.js";
 
 const router = Router();
 
+const send = (res, { status, body }) => res.status(status).json(body);
+
 // GET /api/topics — Return all topics
-router.get("/", (req, res) => {
-    res.json({ topics: knowledgeBase.getAllTopics() });
-});
+router.get("/", (req, res) => send(res, topicService.listTopics()));
 
-// POST /api/topics — Add a new topic
-router.post("/", (req, res) => {
-    const { name, description, subtopics } = req.body;
+// GET /api/topics/graph — All nodes and typed edges
+router.get("/graph", (req, res) => send(res, topicService.getGraph()));
+
+// GET /api/topics/graph/neighbors?id=<nodeId>&type=<edgeType>&direction=in|out|both
+router.get("/graph/neighbors", (req, res) => send(res, topicService.getNeighbors(req.query)));
 
-    if (!name || typeof name !== "string" || name.trim().length === 0) {
-        return res.status(400).json({ error: "Topic name is required" });
-    }
+// GET /api/topics/graph/prerequisites?id=<nodeId> — Transitive prerequisites, in learning order
+router.get("/graph/prerequisites", (req, res) => send(res, topicService.getPrerequisites(req.query)));
 
-    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+// GET /api/topics/graph/order?topic=<topicId> — Learning order (whole graph without a topic)
+router.get("/graph/order", (req, res) => send(res, topicService.getLearningOrder(req.query)));
 
-    if (knowledgeBase.getTopicById(id)) {
-        return res.status(409).json({ error: "Topic already exists" });
-    }
+// POST /api/topics/graph/edges — Add a prerequisite-of or related-to edge
+router.post("/graph/edges", requireUser, (req, res) => send(res, topicService.addEdge(req.body)));
+
+// POST /api/topics — Add a new topic
+router.post("/", requireUser, (req, res) => send(res, topicService.createTopic(req.body)));
 
-    const topic = knowledgeBase.addTopic(
-        id,
-        name.trim(),
-        description?.trim() || `${name.trim()} — placement preparation topic`,
-        Array.isArray(subtopics) ? subtopics : []
-    );
+// PATCH /api/topics/:id — Rename a topic and/or edit its description
+router.patch("/:id", requireUser, (req, res) => send(res, topicService.updateTopic(req.params.id, req.body)));
 
-    res.status(201).json({ topic: { id, ...topic } });
-});
+// DELETE /api/topics/:id — Delete a topic with its subtopics, edges and study documents
+router.delete("/:id", requireUser, (req, res) => send(res, topicService.deleteTopic(req.params.id)));
 
 // POST /api/topics/:id/subtopic — Add a subtopic
-router.post("/:id/subtopic", (req, res) => {
-    const { subtopic } = req.body;
-    const { id } = req.params;
+router.post("/:id/subtopic", requireUser, (req, res) => send(res, topicService.addSubtopic(req.params.id, req.body)));
 
-    if (!subtopic || typeof subtopic !== "string") {
-        return res.status(400).json({ error: "Subtopic name is required" });
-    }
+// PUT /api/topics/:id/subtopics — Reorder subtopics: { order: [subtopicId, ...] }
+router.put("/:id/subtopics", requireUser, (req, res) => send(res, topicService.reorderSubtopics(req.params.id, req.body)));
 
-    const success = knowledgeBase.addSubtopic(id, subtopic.trim());
-    if (!success) {
-        return res.status(404).json({ error: "Topic not found" });
-    }
+// PATCH /api/topics/:id/subtopic/:subId — Rename a subtopic (subId is the part after "<topicId>/")
+router.patch("/:id/subtopic/:subId", requireUser, (req, res) =>
+    send(res, topicService.updateSubtopic(req.params.id, req.params.subId, req.body))
+);
 
-    res.json({ message: "Subtopic added", topic: knowledgeBase.getTopicById(id) });
-});
+// DELETE /api/topics/:id/subtopic/:subId — Remove a subtopic and its edges
+router.delete("/:id/subtopic/:subId", requireUser, (req, res) =>
+    send(res, topicService.deleteSubtopic(req.params.id, req.params.subId))
+);
 
 export default router;
@@ -0,0 +1,55 @@
+// ─── Admin Service ── Shared by the Express Router and the Vercel Handler ───
+// Admin endpoints are enabled by setting ADMIN_TOKEN and are called with
+// "Authorization: Bearer <ADMIN_TOKEN>". Returns { status, body }, like topicService.js.
+
+import crypto from "crypto";
+import { listBlockedAttempts, countBlockedAttempts } from "./blockedAttempts.js";
+import { listCachedWalkthroughs, invalidateCachedWalkthroughs } from "../agents/responseCache.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+// Constant-time comparison so the token can't be guessed byte by byte
+function tokenMatches(given, expected) {
+    const a = crypto.createHash("sha256").update(given).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks the Authorization header against ADMIN_TOKEN.
+ * @returns {{ status, body } | null} an error result, or null if the caller is an admin
+ */
+export function authorizeAdmin(authorization) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) return fail(503, "Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.");
+
+    const token = typeof authorization === "string" ? authorization.match(/^Bearer\s+(.+)$/i)?.[1] : null;
+    if (!token || !tokenMatches(token.trim(), expected)) return fail(401, "Invalid admin token");
+    return null;
+}
+
+export function getBlockedAttempts({ limit } = {}) {
+    const parsed = limit === undefined ? DEFAULT_LIMIT : parseInt(limit, 10);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+        return fail(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    return ok({ total: countBlockedAttempts(), attempts: listBlockedAttempts({ limit: parsed }) });
+}
+
+export function getCachedWalkthroughs() {
+    const entries = listCachedWalkthroughs();
+    return ok({ total: entries.length, entries });
+}
+
+// Without a topicId every cached walkthrough is dropped
+export function clearCachedWalkthroughs({ topicId } = {}) {
+    if (topicId !== undefined && (typeof topicId !== "string" || !topicId.trim())) {
+        return fail(400, "topicId must be a non-empty string");
+    }
+    const removed = invalidateCachedWalkthroughs({ topicId: topicId?.trim() });
+    return ok({ message: "Cache invalidated", removed });
+}
@@ -0,0 +1,109 @@
+// ─── Auth Service ── Shared by the Express Router and the Vercel Handlers ───
+// Register / login / logout for student accounts. Protected endpoints are called
+// with "Authorization: Bearer <session token>". Returns { status, body }, like topicService.js.
+// Accounts and revocations need durable storage: where it's missing (serverless
+// instances without USERS_FILE / SESSIONS_FILE, see storage/index.js) every
+// endpoint fails closed and no token is accepted.
+
+import { createUser, findUserByEmail, getUser, toPublicUser, verifyCredentials } from "./users.js";
+import { createSessionToken, revokeSession, verifySessionToken } from "./sessions.js";
+import { checkWritable } from "../storage/index.js";
+
+const MAX_NAME_LENGTH = 60;
+const MAX_EMAIL_LENGTH = 254;
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt hashes the whole password, so cap it
+const MAX_PASSWORD_LENGTH = 128;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+export const UNAUTHORIZED = fail(401, "Please sign in to continue");
+
+// A 503 when accounts or revocations would only live on this instance
+function authUnavailable() {
+    if (!checkWritable("users") && !checkWritable("sessions")) return null;
+    return fail(503, "Sign-in is unavailable on this deployment: accounts need durable storage (USERS_FILE and SESSIONS_FILE)");
+}
+
+function bearerToken(authorization) {
+    return typeof authorization === "string" ? authorization.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() : null;
+}
+
+function checkEmail(email) {
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim()) || email.trim().length > MAX_EMAIL_LENGTH) {
+        return "Enter a valid email address";
+    }
+    return null;
+}
+
+function checkPassword(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be ${MIN_PASSWORD_LENGTH}–${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function startSession(user, status = 200) {
+    const { token, expiresAt } = createSessionToken(user.id);
+    return ok({ user: toPublicUser(user), token, expiresAt }, status);
+}
+
+/**
+ * The signed-in user for an Authorization header.
+ * @returns {{ user: object, session: { sid, sub, exp } } | null}
+ */
+export function authenticate(authorization) {
+    if (authUnavailable()) return null;
+    const session = verifySessionToken(bearerToken(authorization));
+    const user = session && getUser(session.sub);
+    return user ? { user: toPublicUser(user), session } : null;
+}
+
+export async function register({ name, email, password } = {}) {
+    const unavailable = authUnavailable();
+    if (unavailable) return unavailable;
+    if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return fail(400, `Name must be 1–${MAX_NAME_LENGTH} characters`);
+    }
+    const error = checkEmail(email) || checkPassword(password);
+    if (error) return fail(400, error);
+    const taken = () => fail(409, "An account with this email already exists");
+    if (findUserByEmail(email)) return taken();
+
+    const user = await createUser({ name: name.trim().replace(/\s+/g, " "), email, password });
+    if (!user) return taken();
+    console.log(`👤 Registered ${user.email}`);
+    return startSession(user, 201);
+}
+
+export async function login({ email, password } = {}) {
+    const unavailable = authUnavailable();
+    if (unavailable) return unavailable;
+    if (typeof email !== "string" || typeof password !== "string" || !email.trim() || !password) {
+        return fail(400, "Email and password are required");
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) return fail(401, "Invalid email or password");
+
+    const user = await verifyCredentials(email, password);
+    if (!user) return fail(401, "Invalid email or password");
+    return startSession(user);
+}
+
+export function logout(authorization) {
+    const unavailable = authUnavailable();
+    if (unavailable) return unavailable;
+    const auth = authenticate(authorization);
+    if (!auth) return UNAUTHORIZED;
+    revokeSession(auth.session);
+    return ok({ message: "Signed out" });
+}
+
+export function getCurrentUser(authorization) {
+    const unavailable = authUnavailable();
+    if (unavailable) return unavailable;
+    const auth = authenticate(authorization);
+    return auth ? ok({ user: auth.user }) : UNAUTHORIZED;
+}
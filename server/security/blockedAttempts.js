@@ -0,0 +1,54 @@
+// ─── Blocked Attempts ── Log of Rejected Injection Attempts ───
+// Persisted through the storage backend (see storage/index.js) so admins can
+// review what the injection detector blocked. Only the newest entries are kept.
+
+import { v4 as uuidv4 } from "uuid";
+import { createStore } from "../storage/index.js";
+
+const MAX_ENTRIES = 1000;
+// Long queries are truncated so a flood of huge payloads can't bloat the log
+const MAX_QUERY_LENGTH = 2000;
+
+const store = createStore("blockedAttempts");
+let attempts = null;
+
+function load() {
+    if (!attempts) {
+        attempts = store.load()?.attempts || [];
+    }
+    return attempts;
+}
+
+/**
+ * Records a blocked query. Logging never fails the chat request.
+ * @param {{ query: string, threadId: string|null, stage: "heuristic"|"llm", rules: string[], reason: string }} attempt
+ */
+export function recordBlockedAttempt({ query, threadId, stage, rules, reason }) {
+    const entry = {
+        id: uuidv4(),
+        at: new Date().toISOString(),
+        threadId,
+        stage,
+        rules,
+        reason,
+        query: query.length > MAX_QUERY_LENGTH ? `${query.slice(0, MAX_QUERY_LENGTH)}…` : query
+    };
+
+    try {
+        const next = [...load(), entry].slice(-MAX_ENTRIES);
+        store.save({ attempts: next });
+        attempts = next;
+    } catch (error) {
+        console.error("Failed to record blocked attempt:", error.message);
+    }
+    return entry;
+}
+
+// Newest first
+export function listBlockedAttempts({ limit = 50 } = {}) {
+    return load().slice(-limit).reverse();
+}
+
+export function countBlockedAttempts() {
+    return load().length;
+}
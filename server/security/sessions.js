@@ -0,0 +1,84 @@
+// ─── Sessions ── HMAC-Signed Session Tokens ───
+// A token is "<payload>.<signature>": the base64url JSON payload
+// { sid, sub, exp } signed with SESSION_SECRET (HMAC-SHA256). Tokens are checked
+// without a lookup; signing out adds the session id to a revocation list, kept
+// in the storage backend until the token would have expired anyway.
+
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { createStore } from "../storage/index.js";
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+const store = createStore("sessions");
+let revoked = null;
+let fallbackSecret = null;
+
+// Without SESSION_SECRET a random per-process secret is used, so sessions end on restart
+function getSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    if (!fallbackSecret) {
+        console.warn("⚠️ SESSION_SECRET is not set — using a random secret; sessions will not survive a restart.");
+        fallbackSecret = crypto.randomBytes(32).toString("hex");
+    }
+    return fallbackSecret;
+}
+
+function getTtlMs() {
+    const hours = parseFloat(process.env.SESSION_TTL_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+function sign(payload) {
+    return crypto.createHmac("sha256", getSecret()).update(payload).digest("base64url");
+}
+
+// Revoked sessions that haven't expired yet: sid → exp
+function loadRevoked() {
+    if (!revoked) {
+        revoked = new Map((store.load()?.revoked || []).map(({ sid, exp }) => [sid, exp]));
+    }
+    return revoked;
+}
+
+/**
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function createSessionToken(userId) {
+    const exp = Date.now() + getTtlMs();
+    const payload = Buffer.from(JSON.stringify({ sid: uuidv4(), sub: userId, exp })).toString("base64url");
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+/**
+ * @returns {{ sid: string, sub: string, exp: number } | null} the session, if the token is
+ *   correctly signed, unexpired and not signed out
+ */
+export function verifySessionToken(token) {
+    if (typeof token !== "string") return null;
+    const [payload, signature, extra] = token.split(".");
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+        return null;
+    }
+    if (typeof session?.sub !== "string" || !(session.exp > Date.now())) return null;
+    if (loadRevoked().has(session.sid)) return null;
+    return session;
+}
+
+// Signs a session out until its expiry
+export function revokeSession({ sid, exp }) {
+    const now = Date.now();
+    const next = new Map([...loadRevoked()].filter(([, expiry]) => expiry > now));
+    next.set(sid, exp);
+    store.save({ revoked: [...next].map(([id, expiry]) => ({ sid: id, exp: expiry })) });
+    revoked = next;
+}
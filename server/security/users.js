@@ -0,0 +1,89 @@
+// ─── Users ── Student Accounts with Salted Password Hashes ───
+// Persisted through the storage backend (see storage/index.js). Passwords are
+// hashed with scrypt and a per-user random salt; the hash never leaves this module.
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { v4 as uuidv4 } from "uuid";
+import { createStore } from "../storage/index.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const store = createStore("users");
+let users = null;
+
+function load() {
+    if (!users) {
+        users = store.load()?.users || [];
+    }
+    return users;
+}
+
+// Emails are compared case-insensitively
+export function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+// "scrypt:<salt hex>:<hash hex>"
+async function hashPassword(password, salt = crypto.randomBytes(SALT_BYTES).toString("hex")) {
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${hash.toString("hex")}`;
+}
+
+async function passwordMatches(password, passwordHash) {
+    const [, salt, expected] = passwordHash.split(":");
+    const actual = (await hashPassword(password, salt)).split(":")[2];
+    return crypto.timingSafeEqual(Buffer.from(actual, "hex"), Buffer.from(expected, "hex"));
+}
+
+// What the client sees of an account
+export function toPublicUser({ id, name, email, createdAt }) {
+    return { id, name, email, avatar: name.charAt(0).toUpperCase(), createdAt };
+}
+
+export function findUserByEmail(email) {
+    const key = normalizeEmail(email);
+    return load().find(user => user.email === key) || null;
+}
+
+export function getUser(id) {
+    return load().find(user => user.id === id) || null;
+}
+
+/**
+ * Creates an account. The caller checks that the email is free; the check is
+ * repeated after hashing, since a concurrent registration may have taken it
+ * while scrypt ran.
+ * @returns {Promise<object|null>} the stored user (with its password hash), or null if the email is taken
+ */
+export async function createUser({ name, email, password }) {
+    const user = {
+        id: uuidv4(),
+        name,
+        email: normalizeEmail(email),
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    if (findUserByEmail(user.email)) return null;
+
+    const next = [...load(), user];
+    store.save({ users: next });
+    users = next;
+    return user;
+}
+
+/**
+ * @returns {Promise<object|null>} the user if the email and password match
+ */
+export async function verifyCredentials(email, password) {
+    const user = findUserByEmail(email);
+    if (!user) {
+        // Hash anyway so unknown emails take as long as wrong passwords
+        await hashPassword(password);
+        return null;
+    }
+    return (await passwordMatches(password, user.passwordHash)) ? user : null;
+}
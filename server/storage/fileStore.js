@@ -0,0 +1,43 @@
+// ─── File Store ── JSON Storage Backend with Atomic Writes ───
+// Keeps a whole data object (the topic graph, the study documents) in one
+// JSON file. Every save writes a temp file next to the target and renames it
+// over the original, so a crash mid-write never leaves a truncated file behind.
+
+import fs from "fs";
+import path from "path";
+
+export function createFileStore(filePath) {
+  return {
+    name: `file:${filePath}`,
+
+    // Returns the stored data, or null if nothing has been saved yet
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(filePath, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+
+      try {
+        // Older knowledge base files carry a version field; the shape is detected instead
+        const { version, ...data } = JSON.parse(raw);
+        return data;
+      } catch {
+        // Keep the unreadable file for inspection and start empty
+        const backup = `${filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(filePath, backup);
+        console.warn(`⚠️ Storage file was unreadable, moved to ${backup}`);
+        return null;
+      }
+    },
+
+    save(data) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    }
+  };
+}
@@ -0,0 +1,103 @@
+// ─── Storage ── Backend Selection ───
+// A storage backend is any object with:
+//
+//   name               label used in logs
+//   load()             → the saved data object, or null if nothing has been saved yet
+//   save(data)         persists the full data object
+//
+// Six stores use it: the knowledge base graph ({ topics, edges }), the
+// ingested study documents ({ documents }), the log of blocked injection
+// attempts ({ attempts }), student accounts ({ users }), signed-out
+// sessions ({ revoked }) and learning progress ({ records }). Selected from the environment:
+//
+//   KB_STORAGE         file (default) | memory — backend for every store
+//   KB_FILE            knowledge base JSON file (default: server/data/knowledgeBase.json)
+//   DOCS_FILE          study documents JSON file (default: server/data/documents.json)
+//   BLOCKED_LOG_FILE   blocked attempts JSON file (default: server/data/blockedAttempts.json)
+//   USERS_FILE         accounts JSON file (default: server/data/users.json)
+//   SESSIONS_FILE      revoked sessions JSON file (default: server/data/sessions.json)
+//   PROGRESS_FILE      learning progress JSON file (default: server/data/progress.json)
+//
+// On Vercel every instance has its own /tmp and memory, both wiped on a cold
+// start, so a store is only writable there when its *_FILE variable points at
+// durable storage. Otherwise it serves its defaults (the seeded topics, no
+// documents, no accounts) and refuses every save with a clear error, rather
+// than reporting success and losing the data; checkWritable() turns that into
+// a 503 for the serverless handlers.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileStore } from "./fileStore.js";
+import { createMemoryStore } from "./memoryStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STORES = {
+  knowledgeBase: { fileEnv: "KB_FILE", fileName: "knowledgeBase.json" },
+  documents: { fileEnv: "DOCS_FILE", fileName: "documents.json" },
+  blockedAttempts: { fileEnv: "BLOCKED_LOG_FILE", fileName: "blockedAttempts.json" },
+  users: { fileEnv: "USERS_FILE", fileName: "users.json" },
+  sessions: { fileEnv: "SESSIONS_FILE", fileName: "sessions.json" },
+  progress: { fileEnv: "PROGRESS_FILE", fileName: "progress.json" }
+};
+
+function defaultFilePath(fileName) {
+  return path.join(__dirname, "..", "data", fileName);
+}
+
+function selectedBackend() {
+  return (process.env.KB_STORAGE || "file").trim().toLowerCase();
+}
+
+// Off Vercel the process (and its data directory) outlives a request
+function isDurable(name) {
+  if (!process.env.VERCEL) return true;
+  return selectedBackend() === "file" && Boolean(process.env[STORES[name].fileEnv]);
+}
+
+function notDurableMessage(name) {
+  return `Changes can't be saved on this deployment: ${name} storage is per instance. ` +
+    `Set ${STORES[name].fileEnv} to durable storage to enable them.`;
+}
+
+// Stands in for a store that would lose its writes
+function createUnavailableStore(name) {
+  return {
+    name: `unavailable:${name}`,
+
+    load() {
+      return null;
+    },
+
+    save() {
+      throw new Error(notDurableMessage(name));
+    }
+  };
+}
+
+/**
+ * @param {"knowledgeBase"|"documents"|"blockedAttempts"|"users"|"sessions"|"progress"} name
+ * @returns {{ status: number, body: { error: string } } | null} a 503 when the store can't keep writes
+ */
+export function checkWritable(name) {
+  return isDurable(name) ? null : { status: 503, body: { error: notDurableMessage(name) } };
+}
+
+/**
+ * @param {"knowledgeBase"|"documents"|"blockedAttempts"|"users"|"sessions"|"progress"} [name]
+ */
+export function createStore(name = "knowledgeBase") {
+  const { fileEnv, fileName } = STORES[name];
+  const backend = selectedBackend();
+
+  switch (backend) {
+    case "file":
+      if (!isDurable(name)) return createUnavailableStore(name);
+      return createFileStore(process.env[fileEnv] || defaultFilePath(fileName));
+    case "memory":
+      if (!isDurable(name)) return createUnavailableStore(name);
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown KB_STORAGE "${backend}". Use one of: file, memory.`);
+  }
+}
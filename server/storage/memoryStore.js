@@ -0,0 +1,18 @@
+// ─── Memory Store ── Non-Persistent Storage Backend ───
+// Same interface as the file store; useful for tests and read-only hosts.
+
+export function createMemoryStore() {
+  let saved = null;
+
+  return {
+    name: "memory",
+
+    load() {
+      return saved && structuredClone(saved);
+    },
+
+    save(data) {
+      saved = structuredClone(data);
+    }
+  };
+}
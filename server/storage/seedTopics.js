@@ -0,0 +1,191 @@
+// ─── Seed Topics ── Initial Knowledge Base Content ───
+// Written to a fresh store the first time the knowledge base loads.
+// Subtopic ids are derived as "<topicId>/<slug of the name>".
+
+const SEED_TOPICS = {
+  "mern-stack": {
+    name: "MERN Stack",
+    description: "MongoDB, Express.js, React, Node.js full-stack development",
+    subtopics: [
+      "MongoDB Schema Design",
+      "Express.js Middleware",
+      "React Hooks & State Management",
+      "Node.js Event Loop",
+      "REST API Design",
+      "Authentication with JWT",
+      "Deployment & DevOps"
+    ]
+  },
+  "system-design": {
+    name: "System Design",
+    description: "Designing scalable, reliable, and efficient software systems",
+    subtopics: [
+      "Load Balancing",
+      "Database Sharding",
+      "Caching Strategies",
+      "Microservices Architecture",
+      "Message Queues",
+      "CAP Theorem",
+      "API Gateway Design"
+    ]
+  },
+  "aptitude": {
+    name: "Aptitude",
+    description: "Quantitative aptitude, logical reasoning, and verbal ability for placements",
+    subtopics: [
+      "Probability & Permutations",
+      "Time & Work Problems",
+      "Profit & Loss",
+      "Number Series",
+      "Logical Puzzles",
+      "Data Interpretation",
+      "Verbal Reasoning"
+    ]
+  },
+  "data-structures": {
+    name: "Data Structures",
+    description: "Core data structures used in coding interviews",
+    subtopics: [
+      "Arrays & Strings",
+      "Linked Lists",
+      "Stacks & Queues",
+      "Trees & Binary Search Trees",
+      "Graphs & Traversals",
+      "Hash Maps",
+      "Heaps & Priority Queues"
+    ]
+  },
+  "oop": {
+    name: "Object-Oriented Programming",
+    description: "OOP principles and design patterns for interviews",
+    subtopics: [
+      "Encapsulation & Abstraction",
+      "Inheritance & Polymorphism",
+      "SOLID Principles",
+      "Design Patterns (Singleton, Factory, Observer)",
+      "UML Diagrams",
+      "Composition vs Inheritance"
+    ]
+  },
+  "dbms": {
+    name: "Database Management Systems",
+    description: "Relational databases, SQL, normalization, and transactions",
+    subtopics: [
+      "ER Diagrams",
+      "Normalization (1NF–BCNF)",
+      "SQL Queries & Joins",
+      "Transactions & ACID",
+      "Indexing & Optimization",
+      "NoSQL vs SQL"
+    ]
+  },
+  "os": {
+    name: "Operating Systems",
+    description: "OS concepts frequently asked in placement interviews",
+    subtopics: [
+      "Process Scheduling",
+      "Memory Management",
+      "Deadlocks",
+      "Virtual Memory & Paging",
+      "File Systems",
+      "Threads & Concurrency"
+    ]
+  },
+  "cn": {
+    name: "Computer Networks",
+    description: "Networking fundamentals and protocols for placements",
+    subtopics: [
+      "OSI & TCP/IP Models",
+      "HTTP/HTTPS Protocol",
+      "DNS & DHCP",
+      "Subnetting & IP Addressing",
+      "TCP vs UDP",
+      "Network Security Basics"
+    ]
+  },
+  "ml": {
+    name: "Machine Learning & AI",
+    description: "Machine learning algorithms, AI concepts, and data science for placements",
+    subtopics: [
+      "Decision Trees & Random Forest",
+      "Linear & Logistic Regression",
+      "Support Vector Machines (SVM)",
+      "Neural Networks & Deep Learning",
+      "K-Means Clustering",
+      "K-Nearest Neighbors (KNN)",
+      "Natural Language Processing (NLP)",
+      "Model Evaluation & Metrics"
+    ]
+  }
+};
+
+// Typed edges between topic / subtopic ids: [from, to, type].
+// "prerequisite-of" reads "from must be learned before to";
+// "related-to" is symmetric. "part-of" edges come from subtopic membership.
+export const SEED_EDGES = [
+  // Data Structures
+  ["data-structures/arrays-strings", "data-structures/linked-lists", "prerequisite-of"],
+  ["data-structures/arrays-strings", "data-structures/hash-maps", "prerequisite-of"],
+  ["data-structures/linked-lists", "data-structures/stacks-queues", "prerequisite-of"],
+  ["data-structures/linked-lists", "data-structures/trees-binary-search-trees", "prerequisite-of"],
+  ["data-structures/trees-binary-search-trees", "data-structures/heaps-priority-queues", "prerequisite-of"],
+  ["data-structures/trees-binary-search-trees", "data-structures/graphs-traversals", "prerequisite-of"],
+  ["data-structures/stacks-queues", "data-structures/graphs-traversals", "prerequisite-of"],
+
+  // MERN Stack
+  ["mern-stack/node-js-event-loop", "mern-stack/express-js-middleware", "prerequisite-of"],
+  ["mern-stack/express-js-middleware", "mern-stack/rest-api-design", "prerequisite-of"],
+  ["mern-stack/rest-api-design", "mern-stack/authentication-with-jwt", "prerequisite-of"],
+  ["mern-stack/mongodb-schema-design", "mern-stack/rest-api-design", "prerequisite-of"],
+  ["mern-stack/rest-api-design", "mern-stack/deployment-devops", "prerequisite-of"],
+
+  // System Design
+  ["system-design/load-balancing", "system-design/microservices-architecture", "prerequisite-of"],
+  ["system-design/caching-strategies", "system-design/microservices-architecture", "prerequisite-of"],
+  ["system-design/message-queues", "system-design/microservices-architecture", "prerequisite-of"],
+  ["system-design/microservices-architecture", "system-design/api-gateway-design", "prerequisite-of"],
+  ["system-design/cap-theorem", "system-design/database-sharding", "prerequisite-of"],
+
+  // OOP
+  ["oop/encapsulation-abstraction", "oop/inheritance-polymorphism", "prerequisite-of"],
+  ["oop/inheritance-polymorphism", "oop/composition-vs-inheritance", "prerequisite-of"],
+  ["oop/inheritance-polymorphism", "oop/solid-principles", "prerequisite-of"],
+  ["oop/solid-principles", "oop/design-patterns-singleton-factory-observer", "prerequisite-of"],
+
+  // DBMS
+  ["dbms/er-diagrams", "dbms/normalization-1nf-bcnf", "prerequisite-of"],
+  ["dbms/sql-queries-joins", "dbms/indexing-optimization", "prerequisite-of"],
+  ["dbms/sql-queries-joins", "dbms/transactions-acid", "prerequisite-of"],
+  ["dbms/transactions-acid", "dbms/nosql-vs-sql", "prerequisite-of"],
+
+  // Operating Systems
+  ["os/process-scheduling", "os/threads-concurrency", "prerequisite-of"],
+  ["os/threads-concurrency", "os/deadlocks", "prerequisite-of"],
+  ["os/memory-management", "os/virtual-memory-paging", "prerequisite-of"],
+
+  // Computer Networks
+  ["cn/osi-tcp-ip-models", "cn/tcp-vs-udp", "prerequisite-of"],
+  ["cn/osi-tcp-ip-models", "cn/subnetting-ip-addressing", "prerequisite-of"],
+  ["cn/osi-tcp-ip-models", "cn/http-https-protocol", "prerequisite-of"],
+  ["cn/http-https-protocol", "cn/network-security-basics", "prerequisite-of"],
+
+  // Machine Learning
+  ["ml/linear-logistic-regression", "ml/neural-networks-deep-learning", "prerequisite-of"],
+  ["ml/model-evaluation-metrics", "ml/decision-trees-random-forest", "prerequisite-of"],
+  ["ml/linear-logistic-regression", "ml/support-vector-machines-svm", "prerequisite-of"],
+
+  // Aptitude
+  ["aptitude/profit-loss", "aptitude/data-interpretation", "prerequisite-of"],
+
+  // Across topics
+  ["data-structures/hash-maps", "system-design/caching-strategies", "related-to"],
+  ["data-structures/graphs-traversals", "cn/osi-tcp-ip-models", "related-to"],
+  ["dbms/indexing-optimization", "data-structures/trees-binary-search-trees", "related-to"],
+  ["dbms/nosql-vs-sql", "mern-stack/mongodb-schema-design", "related-to"],
+  ["dbms/transactions-acid", "system-design/cap-theorem", "related-to"],
+  ["os/threads-concurrency", "mern-stack/node-js-event-loop", "related-to"],
+  ["cn/http-https-protocol", "mern-stack/rest-api-design", "related-to"],
+  ["aptitude/probability-permutations", "ml/model-evaluation-metrics", "related-to"]
+];
+
+export default SEED_TOPICS;
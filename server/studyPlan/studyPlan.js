@@ -0,0 +1,114 @@
+// ─── Study Plan ── Day-by-Day Schedule over the Knowledge Base ───
+// Turns focus topics, a daily time budget and a target date into a schedule of
+// walkthroughs. Subtopics are taken in learning order (getTopologicalOrder) and
+// any prerequisite from outside the focus is scheduled before the subtopic that
+// needs it (getPrerequisites). Every item carries the chat request that starts
+// its walkthrough, so the client can run it in one click.
+
+import knowledgeBase from "../knowledgeBase.js";
+
+// Walkthrough lengths the chat accepts, longest first (see agents/wordBudget.js)
+const DURATIONS = [5, 4, 3, 2];
+
+// Time after each walkthrough for its quiz and notes
+const FOLLOW_UP_MINUTES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-11-09" → the date after n days
+function addDays(date, n) {
+    return new Date(Date.parse(date) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// Subtopics to study, prerequisites first and each topic's subtopics kept together
+function orderSubtopics(topicIds) {
+    const ordered = [];
+    const seen = new Set();
+    const focus = new Set(topicIds);
+
+    const add = (node) => {
+        if (seen.has(node.id)) return;
+        seen.add(node.id);
+        ordered.push({ ...node, prerequisite: !focus.has(node.topicId) });
+    };
+    // A whole topic can be a prerequisite — then all of its subtopics are
+    const expand = (node) => (node.kind === "topic" ? knowledgeBase.getTopologicalOrder(node.id) || [] : [node]);
+
+    for (const topicId of topicIds) {
+        for (const subtopic of knowledgeBase.getTopologicalOrder(topicId) || []) {
+            for (const prerequisite of knowledgeBase.getPrerequisites(subtopic.id) || []) {
+                expand(prerequisite).forEach(add);
+            }
+            add(subtopic);
+        }
+    }
+    return ordered;
+}
+
+// Longest walkthrough length that fits every item before the target date
+function chooseDuration(itemCount, days, dailyMinutes) {
+    const fits = DURATIONS.find(d => Math.floor(dailyMinutes / (d + FOLLOW_UP_MINUTES)) * days >= itemCount);
+    return fits || DURATIONS[DURATIONS.length - 1];
+}
+
+/**
+ * Builds a study plan. Inputs are validated by studyPlanService.js.
+ * @param {{ topicIds: string[], startDate: string, targetDate: string, dailyMinutes: number,
+ *   difficulty: string, studied?: Set<string> }} options - studied: subtopic ids to leave out
+ * @returns {object} { startDate, targetDate, dailyMinutes, duration, difficulty, focus, days, unscheduled, alreadyStudied, warning }
+ */
+export function buildStudyPlan({ topicIds, startDate, targetDate, dailyMinutes, difficulty, studied = new Set() }) {
+    const subtopics = orderSubtopics(topicIds);
+    const pending = subtopics.filter(s => !studied.has(s.id));
+    // The target date itself is left free
+    const dayCount = daysBetween(startDate, targetDate);
+
+    const duration = chooseDuration(pending.length, dayCount, dailyMinutes);
+    const minutes = duration + FOLLOW_UP_MINUTES;
+    const capacity = Math.floor(dailyMinutes / minutes) * dayCount;
+
+    const items = pending.map(s => {
+        const topicName = knowledgeBase.getTopicById(s.topicId).name;
+        return {
+            subtopicId: s.id,
+            name: s.name,
+            topicId: s.topicId,
+            topicName,
+            prerequisite: s.prerequisite,
+            minutes,
+            request: { query: `Explain ${s.name} in ${topicName}`, duration, difficulty }
+        };
+    });
+    const scheduled = items.slice(0, capacity);
+
+    // Spread evenly rather than front-loading, so every day has a similar load
+    const days = [];
+    scheduled.forEach((item, i) => {
+        const offset = Math.floor((i * dayCount) / scheduled.length);
+        const date = addDays(startDate, offset);
+        if (days[days.length - 1]?.date !== date) days.push({ date, minutes: 0, items: [] });
+        const day = days[days.length - 1];
+        day.items.push(item);
+        day.minutes += item.minutes;
+    });
+
+    const unscheduled = items.slice(capacity);
+    return {
+        startDate,
+        targetDate,
+        dailyMinutes,
+        duration,
+        difficulty,
+        focus: topicIds.map(id => ({ topicId: id, name: knowledgeBase.getTopicById(id).name })),
+        days,
+        unscheduled,
+        alreadyStudied: subtopics.length - pending.length,
+        warning: unscheduled.length
+            ? `${unscheduled.length} subtopic(s) don't fit before ${targetDate} — add daily time or narrow the focus areas`
+            : null
+    };
+}
@@ -0,0 +1,79 @@
+// ─── Study Plan Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates plan requests and returns { status, body }, like topicService.js.
+// A signed-in student's plan leaves out the subtopics they have already studied.
+
+import knowledgeBase from "../knowledgeBase.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTY_LEVELS, isDifficulty } from "../agents/difficulty.js";
+import { getProgress } from "../progress/progress.js";
+import { buildStudyPlan, daysBetween } from "./studyPlan.js";
+
+const MIN_DAILY_MINUTES = 15;
+const MAX_DAILY_MINUTES = 480;
+const MAX_PLAN_DAYS = 120;
+const MAX_FOCUS_AREAS = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+function isDate(value) {
+    return typeof value === "string" && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+        && new Date(Date.parse(value)).toISOString().startsWith(value);
+}
+
+// Topic id or name ("os", "Operating Systems", "operating system") → topic id
+function resolveFocusArea(area) {
+    if (typeof area !== "string" || !area.trim()) return null;
+    if (knowledgeBase.getTopicById(area.trim())) return area.trim();
+    return knowledgeBase.resolveTopic(area)?.topicId || null;
+}
+
+/**
+ * POST body: { targetDate, dailyMinutes, focusAreas?, startDate?, difficulty? }
+ * Dates are "YYYY-MM-DD"; startDate defaults to today (UTC). Without focus areas
+ * the plan covers every topic.
+ */
+export function createStudyPlan(userId, { targetDate, dailyMinutes, focusAreas, startDate, difficulty } = {}) {
+    const start = startDate ?? new Date().toISOString().slice(0, 10);
+    if (!isDate(start)) return fail(400, "startDate must be a date like 2026-11-09");
+    if (!isDate(targetDate)) return fail(400, "targetDate must be a date like 2026-11-09");
+
+    const days = daysBetween(start, targetDate);
+    if (days < 1) return fail(400, "targetDate must be after the start date");
+    if (days > MAX_PLAN_DAYS) return fail(400, `Plans can cover at most ${MAX_PLAN_DAYS} days`);
+
+    if (!Number.isInteger(dailyMinutes) || dailyMinutes < MIN_DAILY_MINUTES || dailyMinutes > MAX_DAILY_MINUTES) {
+        return fail(400, `dailyMinutes must be a whole number from ${MIN_DAILY_MINUTES} to ${MAX_DAILY_MINUTES}`);
+    }
+    if (difficulty !== undefined && difficulty !== null && !isDifficulty(difficulty)) {
+        return fail(400, `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}`);
+    }
+
+    let topicIds = knowledgeBase.getAllTopics().map(t => t.id);
+    if (focusAreas !== undefined && focusAreas !== null) {
+        if (!Array.isArray(focusAreas) || focusAreas.length > MAX_FOCUS_AREAS) {
+            return fail(400, `focusAreas must be a list of up to ${MAX_FOCUS_AREAS} topics`);
+        }
+        if (focusAreas.length > 0) {
+            const resolved = focusAreas.map(resolveFocusArea);
+            const unknown = focusAreas.filter((_, i) => !resolved[i]);
+            if (unknown.length > 0) return fail(400, `Unknown focus area: ${unknown.map(String).join(", ")}`);
+            topicIds = [...new Set(resolved)];
+        }
+    }
+
+    const studied = new Set(
+        userId ? getProgress(userId).topics.flatMap(t => t.studiedSubtopics) : []
+    );
+
+    const plan = buildStudyPlan({
+        topicIds,
+        startDate: start,
+        targetDate,
+        dailyMinutes,
+        difficulty: difficulty || DEFAULT_DIFFICULTY,
+        studied
+    });
+    return ok({ plan });
+}
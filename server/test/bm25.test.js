@@ -0,0 +1,48 @@
+// ─── BM25 ── passage ranking ───
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBm25Index, tokenize } from "../retrieval/bm25.js";
+
+function indexOf(passages) {
+    const index = createBm25Index();
+    for (const [id, text] of Object.entries(passages)) index.add(id, text);
+    return index;
+}
+
+test("tokenize drops stopwords and plural endings", () => {
+    assert.deepEqual(tokenize("The Stacks and the queues"), ["stack", "queue"]);
+});
+
+test("the passage about the query ranks first", () => {
+    const index = indexOf({
+        heap: "A binary heap keeps the smallest element at the root of the heap.",
+        stack: "A stack pushes and pops elements at the same end.",
+        queue: "A queue adds elements at the back and removes them from the front."
+    });
+    const results = index.search("how does a heap work");
+    assert.equal(results[0].id, "heap");
+    assert.equal(results.length, 1);
+});
+
+test("rare terms outweigh common ones", () => {
+    const index = indexOf({
+        common: "array array array traversal",
+        rare: "array dijkstra",
+        other: "array sorting"
+    });
+    assert.equal(index.search("array dijkstra")[0].id, "rare");
+});
+
+test("filter and remove take passages out of the results", () => {
+    const index = indexOf({ a: "hash map collisions", b: "hash map resizing" });
+    assert.deepEqual(index.search("hash map", { filter: id => id === "b" }).map(r => r.id), ["b"]);
+    index.remove("b");
+    assert.deepEqual(index.search("hash map").map(r => r.id), ["a"]);
+});
+
+test("queries without indexed terms return nothing", () => {
+    const index = indexOf({ a: "linked list nodes" });
+    assert.deepEqual(index.search("the and of"), []);
+    assert.deepEqual(index.search("quantum"), []);
+});
@@ -0,0 +1,8 @@
+// ─── Test Environment ── imported first by every test file ───
+// Storage stays in memory and every agent uses the mock LLM, so the suite
+// needs no network, API keys or data files.
+
+process.env.KB_STORAGE = "memory";
+process.env.LLM_PROVIDER = "mock";
+process.env.SESSION_SECRET = "test-secret";
+delete process.env.VERCEL;
@@ -0,0 +1,38 @@
+// ─── Judge ── sandbox escapes and resource limits ───
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runSubmission, JUDGE_LIMITS } from "../practice/judge.js";
+
+const TESTS = [{ input: [2], expected: 4 }];
+
+const judge = (code) => runSubmission({ code, functionName: "solve", tests: TESTS });
+
+test("a correct solution passes", async () => {
+    const result = await judge("function solve(x) { return x * 2; }");
+    assert.equal(result.status, "ok");
+    assert.equal(result.results[0].verdict, "passed");
+});
+
+test("code can't reach the host process through the Function constructor", async () => {
+    const result = await judge("function solve() { return this.constructor.constructor('return process')().pid; }");
+    assert.equal(result.results[0].verdict, "runtime_error");
+});
+
+test("globals of the worker are not exposed", async () => {
+    const result = await judge("function solve() { return [typeof process, typeof require, typeof globalThis.process].join(); }");
+    assert.equal(result.results[0].verdict, "wrong_answer");
+    assert.equal(result.results[0].output, "undefined,undefined,undefined");
+});
+
+test("an endless loop is stopped at the per-test timeout", async () => {
+    const started = Date.now();
+    const result = await judge("function solve() { while (true) {} }");
+    assert.equal(result.results[0].verdict, "time_limit_exceeded");
+    assert.ok(Date.now() - started < JUDGE_LIMITS.totalTimeoutMs);
+});
+
+test("runaway allocation ends the run with a memory verdict", async () => {
+    const result = await judge("function solve() { const a = []; while (true) a.push(new Array(1e6).fill(1)); }");
+    assert.equal(result.status, "memory_limit_exceeded");
+});
@@ -0,0 +1,32 @@
+// ─── Sessions ── token signing and revocation ───
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionToken, revokeSession, verifySessionToken } from "../security/sessions.js";
+
+test("a freshly signed token verifies to its user", () => {
+    const { token } = createSessionToken("user-1");
+    assert.equal(verifySessionToken(token)?.sub, "user-1");
+});
+
+test("a token with an edited payload is rejected", () => {
+    const { token } = createSessionToken("user-1");
+    const [payload, signature] = token.split(".");
+    const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const forged = Buffer.from(JSON.stringify({ ...session, sub: "admin" })).toString("base64url");
+    assert.equal(verifySessionToken(`${forged}.${signature}`), null);
+});
+
+test("malformed tokens are rejected", () => {
+    for (const token of [undefined, "", "abc", "a.b.c", `${createSessionToken("user-1").token}x`]) {
+        assert.equal(verifySessionToken(token), null);
+    }
+});
+
+test("a revoked token stops verifying while other sessions keep working", () => {
+    const first = createSessionToken("user-1").token;
+    const second = createSessionToken("user-1").token;
+    revokeSession(verifySessionToken(first));
+    assert.equal(verifySessionToken(first), null);
+    assert.equal(verifySessionToken(second)?.sub, "user-1");
+});
@@ -0,0 +1,66 @@
+// ─── Topic Service ── prototype-key slugs and response cache invalidation ───
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as topicService from "../topicService.js";
+import * as documentService from "../retrieval/documentService.js";
+import knowledgeBase from "../knowledgeBase.js";
+import { listCachedWalkthroughs, runCacheLookup, runCacheStore } from "../agents/responseCache.js";
+
+// Stores a walkthrough for a node the way the graph's cache nodes would
+async function cacheWalkthrough(nodeId) {
+    const node = knowledgeBase.getNode(nodeId);
+    const state = {
+        query: node.name,
+        topicId: node.topicId || node.id,
+        subtopicId: node.topicId ? node.id : null,
+        duration: 3,
+        difficulty: "intermediate",
+        rejected: false,
+        history: []
+    };
+    const { cache } = await runCacheLookup(state);
+    await runCacheStore({ ...state, cache, markdown: "# Walkthrough", mediaFailed: false, moderation: { action: "passed" } });
+}
+
+const cachedNodes = () => listCachedWalkthroughs().map(entry => entry.nodeId).sort();
+
+test("Object.prototype keys are not topics", () => {
+    for (const id of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+        assert.equal(topicService.updateTopic(id, { name: "Renamed" }).status, 404);
+        assert.equal(topicService.deleteTopic(id).status, 404);
+        assert.equal(topicService.getLearningOrder({ topic: id }).status, 404);
+        assert.equal(knowledgeBase.getNode(id), null);
+    }
+});
+
+test("a topic named after a prototype key can be created and edited", () => {
+    const created = topicService.createTopic({ name: "Constructor", description: "Object construction" });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.topic.id, "constructor");
+    assert.equal(topicService.updateTopic("constructor", { description: "Updated" }).status, 200);
+    assert.equal(topicService.deleteTopic("constructor").status, 200);
+});
+
+test("renaming a prerequisite drops the cached walkthroughs that build on it", async () => {
+    await cacheWalkthrough("data-structures/stacks-queues");
+    await cacheWalkthrough("data-structures/graphs-traversals");
+    await cacheWalkthrough("data-structures/hash-maps");
+    await cacheWalkthrough("dbms");
+
+    const result = topicService.updateSubtopic("data-structures", "linked-lists", { name: "Linked Lists and Nodes" });
+    assert.equal(result.status, 200);
+    // Hash maps don't depend on linked lists, and other topics are untouched
+    assert.deepEqual(cachedNodes(), ["data-structures/hash-maps", "dbms"]);
+});
+
+test("adding study notes drops the topic's cached walkthroughs", async () => {
+    await cacheWalkthrough("data-structures/stacks-queues");
+    const created = documentService.createDocument("user-1", {
+        topicId: "data-structures",
+        title: "Stack notes",
+        content: "# Stacks\nA stack is last in, first out."
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual(cachedNodes(), ["dbms"]);
+});
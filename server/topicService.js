@@ -0,0 +1,200 @@
+// ─── Topic Service ── Shared by the Express Router and the Vercel Handler ───
+// Validates requests against the knowledge base and returns { status, body },
+// so both backends answer with identical payloads and error codes.
+// Ids follow one slug policy (see normalizeName / slugify in knowledgeBase.js).
+
+import knowledgeBase, { normalizeName, nameKey, slugify } from "./knowledgeBase.js";
+import { invalidateCachedWalkthroughs } from "./agents/responseCache.js";
+import { deleteTopicDocuments } from "./retrieval/documents.js";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Ids that would shadow a sub-route such as /api/topics/graph
+const RESERVED_IDS = ["graph"];
+
+const ok = (body, status = 200) => ({ status, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+// Returns an error message, or null if the name is usable
+function checkName(name, label) {
+    if (typeof name !== "string" || !normalizeName(name)) return `${label} name is required`;
+    if (normalizeName(name).length > MAX_NAME_LENGTH) return `${label} name must be at most ${MAX_NAME_LENGTH} characters`;
+    if (!slugify(name)) return `${label} name must contain letters or digits`;
+    return null;
+}
+
+function checkDescription(description) {
+    if (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH) {
+        return `Description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    return null;
+}
+
+export function topicIdFor(name) {
+    const slug = slugify(name);
+    return RESERVED_IDS.includes(slug) ? `${slug}-topic` : slug;
+}
+
+// Nodes that have any of `ids` among their (transitive) prerequisites. Their
+// cached walkthroughs name those prerequisites, so they go stale when an edge
+// or a prerequisite's name changes. Collect before a deletion removes the edges.
+function prerequisiteDependents(ids) {
+    const edges = knowledgeBase.getEdges("prerequisite-of");
+    const found = new Set();
+    const queue = [...ids];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const edge of edges) {
+            if (edge.from !== current || found.has(edge.to)) continue;
+            found.add(edge.to);
+            queue.push(edge.to);
+        }
+    }
+    return [...found];
+}
+
+function invalidateNodes(ids) {
+    for (const id of ids) invalidateCachedWalkthroughs({ topicId: id });
+}
+
+function topicResponse(id) {
+    return { id, ...knowledgeBase.getTopicById(id) };
+}
+
+function hasSubtopicNamed(topicId, name) {
+    return knowledgeBase.getTopicById(topicId).subtopics.some(s => nameKey(s.name) === nameKey(name));
+}
+
+// ─── Topics ───
+
+export function listTopics() {
+    return ok({ topics: knowledgeBase.getAllTopics() });
+}
+
+export function createTopic({ name, description, subtopics } = {}) {
+    const nameError = checkName(name, "Topic");
+    if (nameError) return fail(400, nameError);
+    if (description !== undefined && description !== null && checkDescription(description)) {
+        return fail(400, checkDescription(description));
+    }
+    if (subtopics !== undefined && (!Array.isArray(subtopics) || subtopics.some(s => checkName(s, "Subtopic")))) {
+        return fail(400, "subtopics must be an array of subtopic names");
+    }
+
+    const id = topicIdFor(name);
+    const displayName = normalizeName(name);
+    const duplicate = knowledgeBase.getTopicById(id)
+        || knowledgeBase.getAllTopics().some(t => nameKey(t.name) === nameKey(displayName));
+    if (duplicate) return fail(409, "Topic already exists");
+
+    // Drop repeated subtopics ("Heaps" / " heaps ") before they get ids
+    const uniqueSubtopics = [...new Map((subtopics || []).map(s => [nameKey(s), normalizeName(s)])).values()];
+
+    knowledgeBase.addTopic(
+        id,
+        displayName,
+        description?.trim() || `${displayName} — placement preparation topic`,
+        uniqueSubtopics
+    );
+    return ok({ topic: topicResponse(id) }, 201);
+}
+
+export function updateTopic(id, { name, description } = {}) {
+    if (name === undefined && description === undefined) {
+        return fail(400, "Provide a name or description to update");
+    }
+    if (name !== undefined && checkName(name, "Topic")) return fail(400, checkName(name, "Topic"));
+    if (description !== undefined && checkDescription(description)) return fail(400, checkDescription(description));
+
+    const { error, status } = knowledgeBase.updateTopic(id, {
+        name: name === undefined ? undefined : normalizeName(name),
+        description: description?.trim()
+    });
+    if (error) return fail(status, error);
+    invalidateNodes([id, ...prerequisiteDependents([id])]);
+    return ok({ topic: topicResponse(id) });
+}
+
+export function deleteTopic(id) {
+    const topic = knowledgeBase.getTopicById(id);
+    const dependents = topic ? prerequisiteDependents([id, ...topic.subtopics.map(s => s.id)]) : [];
+    if (!knowledgeBase.deleteTopic(id)) return fail(404, "Topic not found");
+    // Its study notes would otherwise stay searchable through the retriever's global fallback
+    const documentsDeleted = deleteTopicDocuments(id);
+    invalidateNodes([id, ...dependents]);
+    return ok({ message: "Topic deleted", id, documentsDeleted });
+}
+
+// ─── Subtopics ── subId is the part of the subtopic id after "<topicId>/" ───
+
+export function addSubtopic(id, { subtopic } = {}) {
+    const nameError = checkName(subtopic, "Subtopic");
+    if (nameError) return fail(400, nameError);
+    if (!knowledgeBase.getTopicById(id)) return fail(404, "Topic not found");
+    if (hasSubtopicNamed(id, subtopic)) return fail(409, "Subtopic already exists in this topic");
+
+    knowledgeBase.addSubtopic(id, normalizeName(subtopic));
+    invalidateCachedWalkthroughs({ topicId: id });
+    return ok({ message: "Subtopic added", topic: topicResponse(id) });
+}
+
+export function updateSubtopic(id, subId, { name } = {}) {
+    const nameError = checkName(name, "Subtopic");
+    if (nameError) return fail(400, nameError);
+
+    const { error, status } = knowledgeBase.updateSubtopic(id, `${id}/${subId}`, { name: normalizeName(name) });
+    if (error) return fail(status, error);
+    invalidateNodes([`${id}/${subId}`, ...prerequisiteDependents([`${id}/${subId}`])]);
+    return ok({ topic: topicResponse(id) });
+}
+
+export function deleteSubtopic(id, subId) {
+    const dependents = prerequisiteDependents([`${id}/${subId}`]);
+    if (!knowledgeBase.deleteSubtopic(id, `${id}/${subId}`)) return fail(404, "Subtopic not found");
+    invalidateNodes([`${id}/${subId}`, ...dependents]);
+    return ok({ topic: topicResponse(id) });
+}
+
+export function reorderSubtopics(id, { order } = {}) {
+    if (!Array.isArray(order)) return fail(400, "order must be an array of subtopic ids");
+
+    const { error, status } = knowledgeBase.reorderSubtopics(id, order);
+    if (error) return fail(status, error);
+    return ok({ topic: topicResponse(id) });
+}
+
+// ─── Graph ───
+
+export function getGraph() {
+    return ok({ nodes: knowledgeBase.getNodes(), edges: knowledgeBase.getEdges() });
+}
+
+export function getNeighbors({ id, type, direction } = {}) {
+    const neighbors = knowledgeBase.getNeighbors(id || "", { type, direction });
+    if (!neighbors) return fail(404, "Node not found");
+    return ok({ node: knowledgeBase.getNode(id), neighbors });
+}
+
+export function getPrerequisites({ id } = {}) {
+    const prerequisites = knowledgeBase.getPrerequisites(id || "");
+    if (!prerequisites) return fail(404, "Node not found");
+    return ok({ node: knowledgeBase.getNode(id), prerequisites });
+}
+
+export function getLearningOrder({ topic } = {}) {
+    const order = knowledgeBase.getTopologicalOrder(topic || undefined);
+    if (!order) return fail(404, "Topic not found");
+    return ok({ order });
+}
+
+export function addEdge({ from, to, type } = {}) {
+    if (typeof from !== "string" || typeof to !== "string") {
+        return fail(400, "from and to node ids are required");
+    }
+
+    const { edge, error, status } = knowledgeBase.addEdge(from, to, type);
+    if (error) return fail(status, error);
+    if (type === "prerequisite-of") invalidateNodes([to, ...prerequisiteDependents([to])]);
+    return ok({ edge }, 201);
+}